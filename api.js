@@ -1,8 +1,91 @@
 import express from 'express'
 
-import { post_image, post_controls, get_session_data } from './engine.js'
+import {
+    post_image, post_controls, get_controls_after, ack_controls, post_viewer_stats, get_session_data, get_image_blob,
+    set_displays, get_displays, set_cursor, get_cursor, post_clipboard, request_clipboard, get_clipboard, clipboard_max_bytes,
+    register_host, pair_viewer, refresh_viewer, is_host, get_viewer,
+    set_approval, get_approval, can_watch,
+    create_transfer, answer_transfer, write_transfer_chunk, get_transfer, list_transfers, get_transfer_file,
+    close_transfer, set_outbox, get_outbox, file_chunk_max_bytes,
+    touch_participant, get_participants, control_action, can_interact,
+    create_share, redeem_share, list_shares, revoke_share, share_wake, is_share_valid,
+    touch_host, list_sessions, get_video, set_watching, get_wanted, post_signal, take_signals, get_frame_count,
+    session_events,
+} from './engine.js'
+import { list_recordings, get_recording_path } from './recorder.js'
 import { copyFile } from 'node:fs'
 
+// 1 = /api/sessions lists every session; by default it only answers for ids the caller already knows (?ids=a,b)
+const list_all_sessions = process.env.SAILAWAY_LIST_SESSIONS === '1'
+// Video viewers this far behind skip media segments until the next keyframe.
+const MAX_VIDEO_BUFFERED_BYTES = 4 * 1024 * 1024
+// Frames per second a multipart stream viewer gets at most; viewers may ask for fewer (?max_fps=).
+const stream_max_fps = Number(process.env.SAILAWAY_STREAM_MAX_FPS ?? 30)
+
+// Token from `Authorization: Bearer <token>`, or `?token=` for clients that can't set headers
+// (<img> multipart streams, browser WebSockets).
+export function get_request_token(req) {
+    const header = req.headers?.authorization
+    if (typeof header === 'string' && header.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length).trim()
+    }
+    return new URL(req.url ?? '', 'http://localhost').searchParams.get('token')
+}
+
+function require_host(req, res, next) {
+    if (is_host(req.params.session_id, get_request_token(req))) {
+        touch_host(req.params.session_id)
+        return next()
+    }
+    res.status(401).json({ error: 'Host authentication required' })
+}
+
+// The host itself is accepted wherever a viewer is; `res.locals.viewer` is null for it.
+function require_viewer(req, res, next) {
+    const session_id = req.params.session_id
+    const token = get_request_token(req)
+    const viewer = get_viewer(session_id, token)
+    if (viewer || is_host(session_id, token)) {
+        touch_participant(session_id, viewer)
+        res.locals.viewer = viewer
+        return next()
+    }
+    res.status(401).json({ error: 'Viewer token required' })
+}
+
+const PAIR_ERRORS = {
+    unknown_session: [404, 'Session not found'],
+    bad_pin: [401, 'Wrong PIN'],
+    locked: [429, 'Too many attempts, try again later'],
+}
+
+const CONTROL_ERRORS = {
+    bad_request: [400, 'Invalid control action'],
+    forbidden: [403, 'Not allowed to do that with the control'],
+    not_found: [404, 'Participant not found'],
+}
+
+const FILE_ERRORS = {
+    bad_request: [400, 'Invalid transfer'],
+    forbidden: [403, 'Not your transfer'],
+    not_found: [404, 'Transfer not found'],
+    conflict: [409, 'Unexpected offset, resume from received'],
+    bad_checksum: [422, 'Chunk checksum mismatch'],
+    too_large: [413, 'File too large'],
+}
+
+function send_file_result(res, result) {
+    if (!result.error) return res.json(result)
+    const [status, error] = FILE_ERRORS[result.error]
+    res.status(status).json({ error, received: result.received })
+}
+
+// File, recording and share routes are for the host and viewers it approved (not share-link viewers).
+function require_watcher(req, res, next) {
+    if (can_interact(req.params.session_id, res.locals.viewer)) return next()
+    res.status(403).json({ error: res.locals.viewer?.view_only ? 'View-only link' : 'Not approved by host' })
+}
+
 export default function generate_api() {
 
     const router = express.Router()
@@ -12,9 +95,114 @@ export default function generate_api() {
         res.json({ status: 'API is running' })
     })
 
+    // GET registered sessions with presence ({ sessions: [{ session_id, name, os, width, height, online, last_seen, viewers }] })
+    // GET to /api/sessions?ids=<id>,<id>
+    router.get('/sessions', (req, res) => {
+        const ids = typeof req.query.ids === 'string' ? req.query.ids.split(',').filter(Boolean).slice(0, 100) : null
+        if (!ids && !list_all_sessions) {
+            return res.status(403).json({ error: 'Session listing is disabled, ask for specific ids' })
+        }
+        res.json({ sessions: list_sessions(ids) })
+    })
+
+    // POST host heartbeat, optionally with updated { info: { name, os, width, height } }
+    // POST to /api/session/:session_id/heartbeat
+    router.post('/session/:session_id/heartbeat', require_host, express.json(), (req, res) => {
+        const session_id = req.params.session_id
+        touch_host(session_id, req.body?.info)
+        res.json({ status: 'Heartbeat received' })
+    })
+
+    // POST host registration (claims the session, publishes the pairing PIN)
+    // POST to /api/session/:session_id/host
+    router.post('/session/:session_id/host', express.json(), (req, res) => {
+        const session_id = req.params.session_id
+        const { secret, pin, info } = req.body ?? {}
+        if (!register_host(session_id, secret, pin, info)) {
+            return res.status(403).json({ error: 'Session is claimed by another host' })
+        }
+        res.json({ status: 'Host registered' })
+    })
+
+    // POST PIN to get a short-lived viewer token
+    // POST to /api/session/:session_id/pair
+    router.post('/session/:session_id/pair', express.json(), (req, res) => {
+        const session_id = req.params.session_id
+        const { pin, viewer_key, name } = req.body ?? {}
+        const result = pair_viewer(session_id, pin, { viewer_key, name }, req.ip)
+        if (result.error) {
+            const [status, error] = PAIR_ERRORS[result.error]
+            return res.status(status).json({ error })
+        }
+        res.json(result)
+    })
+
+    // POST to swap a viewer token for a fresh one
+    // POST to /api/session/:session_id/token
+    router.post('/session/:session_id/token', (req, res) => {
+        const session_id = req.params.session_id
+        const result = refresh_viewer(session_id, get_request_token(req))
+        if (!result) return res.status(401).json({ error: 'Viewer token required' })
+        res.json(result)
+    })
+
+    // POST host decision about a viewer
+    // POST to /api/session/:session_id/approval
+    router.post('/session/:session_id/approval', require_host, express.json(), (req, res) => {
+        const session_id = req.params.session_id
+        const { viewer_id, status } = req.body ?? {}
+        if (!set_approval(session_id, viewer_id, status)) {
+            return res.status(400).json({ error: 'Invalid approval' })
+        }
+        res.json({ status: 'Approval recorded' })
+    })
+
+    // GET the calling viewer's approval status
+    // GET to /api/session/:session_id/approval
+    router.get('/session/:session_id/approval', require_viewer, (req, res) => {
+        const session_id = req.params.session_id
+        const viewer = res.locals.viewer
+        res.json({ status: viewer && !viewer.view_only ? get_approval(session_id, viewer.viewer_id) : 'approved' })
+    })
+
+    // POST a view-only share link ({ ttl_ms?, single_use? }); the token is only ever returned here
+    // POST to /api/session/:session_id/share
+    router.post('/session/:session_id/share', require_viewer, require_watcher, express.json(), (req, res) => {
+        const session_id = req.params.session_id
+        res.json(create_share(session_id, res.locals.viewer, req.body))
+    })
+
+    // GET active share links (the host sees all of them, viewers their own)
+    // GET to /api/session/:session_id/share
+    router.get('/session/:session_id/share', require_viewer, require_watcher, (req, res) => {
+        const session_id = req.params.session_id
+        res.json({ shares: list_shares(session_id, res.locals.viewer) })
+    })
+
+    // DELETE a share link, cutting off everyone watching through it
+    // DELETE to /api/session/:session_id/share/:share_id
+    router.delete('/session/:session_id/share/:share_id', require_viewer, require_watcher, (req, res) => {
+        const { session_id, share_id } = req.params
+        if (!revoke_share(session_id, res.locals.viewer, share_id)) {
+            return res.status(404).json({ error: 'Share link not found' })
+        }
+        res.json({ status: 'Share link revoked' })
+    })
+
+    // POST a share token ({ share_token, name? }) to get a view-only viewer token
+    // POST to /api/session/:session_id/share/redeem
+    router.post('/session/:session_id/share/redeem', express.json(), (req, res) => {
+        const session_id = req.params.session_id
+        const { share_token, name } = req.body ?? {}
+        const result = redeem_share(session_id, share_token, name)
+        if (!result) return res.status(404).json({ error: 'Share link is invalid, expired or already used' })
+        res.json(result)
+    })
+
     // POST to post image in session
     // POST to /api/session/:session_id/image
     router.post('/session/:session_id/image',
+        require_host,
         express.raw({ type: 'application/octet-stream', limit: '10mb' }),
         (req, res) => {
             const session_id = req.params.session_id
@@ -25,26 +213,377 @@ export default function generate_api() {
 
     // POST to post controls in session
     // POST to /api/session/:session_id/controls
-    router.post('/session/:session_id/controls', express.json(), (req, res) => {
+    router.post('/session/:session_id/controls', require_viewer, express.json(), (req, res) => {
         const session_id = req.params.session_id
+        if (res.locals.viewer?.view_only) {
+            return res.status(403).json({ error: 'View-only link' })
+        }
         const controls = req.body
         const time = Date.now()
         controls.time = time
-        post_controls(session_id, controls)
-        res.json({ status: 'Controls received' })
+        controls.viewer = res.locals.viewer
+        const in_control = post_controls(session_id, controls)
+        res.json({ status: 'Controls received', in_control })
+    })
+
+    // POST to acknowledge applied control events, so the server can drop them
+    // POST to /api/session/:session_id/controls/ack
+    router.post('/session/:session_id/controls/ack', require_host, express.json(), (req, res) => {
+        const seq = Number(req.body?.seq)
+        if (!Number.isInteger(seq) || seq < 0) {
+            return res.status(400).json({ error: 'Invalid seq' })
+        }
+        ack_controls(req.params.session_id, seq)
+        res.json({ status: 'Controls acknowledged' })
+    })
+
+    // GET who is in the session and who holds the control baton
+    // GET to /api/session/:session_id/participants
+    router.get('/session/:session_id/participants', require_viewer, (req, res) => {
+        const session_id = req.params.session_id
+        res.json({ ...get_participants(session_id), you: res.locals.viewer?.viewer_id ?? null })
+    })
+
+    // POST a control handoff: { action: 'request' | 'cancel' | 'release' | 'grant' | 'revoke', viewer_id? }
+    // POST to /api/session/:session_id/control
+    router.post('/session/:session_id/control', require_viewer, express.json(), (req, res) => {
+        const session_id = req.params.session_id
+        const { action, viewer_id } = req.body ?? {}
+        const result = control_action(session_id, res.locals.viewer, action, viewer_id)
+        if (result.error) {
+            const [status, error] = CONTROL_ERRORS[result.error]
+            return res.status(status).json({ error })
+        }
+        res.json({ ...get_participants(session_id), you: res.locals.viewer?.viewer_id ?? null })
+    })
+
+    // POST viewer rendering stats (feeds the host's adaptive encoder)
+    // POST to /api/session/:session_id/stats
+    router.post('/session/:session_id/stats', require_viewer, express.json(), (req, res) => {
+        const session_id = req.params.session_id
+        post_viewer_stats(session_id, res.locals.viewer, req.body)
+        res.json({ status: 'Stats received' })
     })
 
-    // GET latest controls for session
-    // GET to /api/session/:session_id/controls
-    router.get('/session/:session_id/controls', (req, res) => {
+    // POST host display layout
+    // POST to /api/session/:session_id/displays
+    router.post('/session/:session_id/displays', require_host, express.json(), (req, res) => {
+        const session_id = req.params.session_id
+        const { displays, selected, capture, locked } = req.body ?? {}
+        if (!set_displays(session_id, displays, selected, capture, locked)) {
+            return res.status(400).json({ error: 'Invalid displays' })
+        }
+        res.json({ status: 'Displays received' })
+    })
+
+    // GET host display layout ({ displays, selected, capture, locked })
+    // GET to /api/session/:session_id/displays
+    router.get('/session/:session_id/displays', require_viewer, (req, res) => {
+        const session_id = req.params.session_id
+        res.json(get_displays(session_id))
+    })
+
+    // POST the host's pointer position and shape ({ x, y, shape, visible }, x/y normalized to the captured area)
+    // POST to /api/session/:session_id/cursor
+    router.post('/session/:session_id/cursor', require_host, express.json(), (req, res) => {
+        if (!set_cursor(req.params.session_id, req.body)) {
+            return res.status(400).json({ error: 'Invalid cursor' })
+        }
+        res.json({ status: 'Cursor received' })
+    })
+
+    // GET the host's pointer, for viewers without a socket
+    // GET to /api/session/:session_id/cursor
+    router.get('/session/:session_id/cursor', require_viewer, (req, res) => {
+        const session_id = req.params.session_id
+        if (!can_watch(session_id, res.locals.viewer)) {
+            return res.status(403).json({ error: 'Not approved by host' })
+        }
+        res.json({ cursor: get_cursor(session_id) })
+    })
+
+    // POST clipboard text: from the host (answering a request) or from an approved viewer (paste to host)
+    // POST to /api/session/:session_id/clipboard
+    router.post('/session/:session_id/clipboard',
+        require_viewer,
+        express.json({ limit: clipboard_max_bytes * 2 }),
+        (req, res) => {
+            const session_id = req.params.session_id
+            const viewer = res.locals.viewer
+            if (!can_interact(session_id, viewer)) {
+                return res.status(403).json({ error: 'Not approved by host' })
+            }
+            if (!post_clipboard(session_id, viewer, req.body?.text)) {
+                return res.status(413).json({ error: 'Clipboard text missing or too large' })
+            }
+            res.json({ status: 'Clipboard received' })
+        })
+
+    // POST to ask the host for its clipboard ({ requested_at }); its answer shows up in GET with a newer time
+    // POST to /api/session/:session_id/clipboard/request
+    router.post('/session/:session_id/clipboard/request', require_viewer, (req, res) => {
+        const session_id = req.params.session_id
+        const viewer = res.locals.viewer
+        if (!can_interact(session_id, viewer)) {
+            return res.status(403).json({ error: 'Not approved by host' })
+        }
+        res.json({ requested_at: request_clipboard(session_id, viewer) })
+    })
+
+    // GET the host's clipboard text as of the latest request ({ text, time } or null)
+    // GET to /api/session/:session_id/clipboard
+    router.get('/session/:session_id/clipboard', require_viewer, (req, res) => {
+        const session_id = req.params.session_id
+        if (!can_interact(session_id, res.locals.viewer)) {
+            return res.status(403).json({ error: 'Not approved by host' })
+        }
+        res.json({ clipboard: get_clipboard(session_id).from_host })
+    })
+
+    // POST host outbox listing ({ files: [{ name, size, mtime }] })
+    // POST to /api/session/:session_id/outbox
+    router.post('/session/:session_id/outbox', require_host, express.json({ limit: '1mb' }), (req, res) => {
+        const session_id = req.params.session_id
+        if (!set_outbox(session_id, req.body?.files)) {
+            return res.status(400).json({ error: 'Invalid outbox' })
+        }
+        res.json({ status: 'Outbox received' })
+    })
+
+    // GET transfers ({ transfers, outbox }); viewers only see their own transfers
+    // GET to /api/session/:session_id/files
+    router.get('/session/:session_id/files', require_viewer, require_watcher, (req, res) => {
+        const session_id = req.params.session_id
+        res.json({ transfers: list_transfers(session_id, res.locals.viewer), outbox: get_outbox(session_id) })
+    })
+
+    // POST a new transfer: { direction: 'to_host', name, size, sha256? } or { direction: 'from_host', name }
+    // POST to /api/session/:session_id/files
+    router.post('/session/:session_id/files', require_viewer, require_watcher, express.json(), async (req, res) => {
+        const session_id = req.params.session_id
+        send_file_result(res, await create_transfer(session_id, res.locals.viewer, req.body))
+    })
+
+    // GET one transfer, `received` is where an interrupted upload resumes
+    // GET to /api/session/:session_id/files/:transfer_id
+    router.get('/session/:session_id/files/:transfer_id', require_viewer, require_watcher, (req, res) => {
+        const { session_id, transfer_id } = req.params
+        const transfer = get_transfer(session_id, transfer_id, res.locals.viewer)
+        if (!transfer) return send_file_result(res, { error: 'not_found' })
+        res.json({ transfer })
+    })
+
+    // POST host answer to a from_host request: { size, sha256 } or { error }
+    // POST to /api/session/:session_id/files/:transfer_id/answer
+    router.post('/session/:session_id/files/:transfer_id/answer', require_host, express.json(), async (req, res) => {
+        const { session_id, transfer_id } = req.params
+        send_file_result(res, await answer_transfer(session_id, transfer_id, req.body))
+    })
+
+    // PUT one chunk at `?offset=`, optionally checked against `X-Chunk-Sha256`
+    // PUT to /api/session/:session_id/files/:transfer_id?offset=<bytes>
+    router.put('/session/:session_id/files/:transfer_id',
+        require_viewer,
+        require_watcher,
+        express.raw({ type: () => true, limit: file_chunk_max_bytes }),
+        async (req, res) => {
+            const { session_id, transfer_id } = req.params
+            const offset = Number(req.query.offset)
+            if (!Buffer.isBuffer(req.body) || !req.body.length || !Number.isSafeInteger(offset)) {
+                return send_file_result(res, { error: 'bad_request' })
+            }
+            const chunk_sha256 = req.get('X-Chunk-Sha256')?.toLowerCase()
+            send_file_result(res, await write_transfer_chunk(session_id, transfer_id, res.locals.viewer, offset, req.body, chunk_sha256))
+        })
+
+    // GET the data of a complete transfer (supports Range requests for resuming). A viewer's download
+    // from the host is closed once the last byte went out: browsers can't tell us when they are done.
+    // GET to /api/session/:session_id/files/:transfer_id/data
+    router.get('/session/:session_id/files/:transfer_id/data', require_viewer, require_watcher, (req, res) => {
+        const { session_id, transfer_id } = req.params
+        const viewer = res.locals.viewer
+        const file = get_transfer_file(session_id, transfer_id, viewer)
+        if (!file) return send_file_result(res, { error: 'not_found' })
+        if (file.direction === 'from_host') {
+            res.on('finish', () => {
+                const range = String(res.getHeader('Content-Range') ?? '')
+                if (res.statusCode === 200 || range.endsWith(`-${file.size - 1}/${file.size}`)) {
+                    close_transfer(session_id, transfer_id, viewer)
+                }
+            })
+        }
+        res.set('X-Sha256', file.sha256)
+        res.download(file.path, file.name, { dotfiles: 'allow' })
+    })
+
+    // DELETE a transfer once downloaded (or to cancel it)
+    // DELETE to /api/session/:session_id/files/:transfer_id
+    router.delete('/session/:session_id/files/:transfer_id', require_viewer, require_watcher, (req, res) => {
+        const { session_id, transfer_id } = req.params
+        if (!close_transfer(session_id, transfer_id, res.locals.viewer)) {
+            return send_file_result(res, { error: 'not_found' })
+        }
+        res.json({ status: 'Transfer closed' })
+    })
+
+    // GET the session's recordings ({ recordings: [{ name, size, started_at, updated_at, active }] })
+    // GET to /api/session/:session_id/recordings
+    router.get('/session/:session_id/recordings', require_viewer, require_watcher, async (req, res) => {
+        const session_id = req.params.session_id
+        res.json({ recordings: await list_recordings(session_id) })
+    })
+
+    // GET one recording file (see recorder.js for the format)
+    // GET to /api/session/:session_id/recordings/:name
+    router.get('/session/:session_id/recordings/:name', require_viewer, require_watcher, (req, res) => {
+        const { session_id, name } = req.params
+        const file_path = get_recording_path(session_id, name)
+        const not_found = () => res.status(404).json({ error: 'Recording not found' })
+        if (!file_path) return not_found()
+        res.download(file_path, name, (err) => {
+            if (err && !res.headersSent) not_found()
+        })
+    })
+
+    // GET control events after the host's cursor (all unacked ones without `after`)
+    // GET to /api/session/:session_id/controls?after=<seq>
+    router.get('/session/:session_id/controls', require_host, (req, res) => {
         const session_id = req.params.session_id
         const session_data = get_session_data(session_id)
-        res.json({ controls: session_data.controls })
+        const { controls, last_seq, gap } = get_controls_after(session_id, req.query.after)
+        res.json({
+            controls,
+            last_seq,
+            gap,
+            stats: Object.values(session_data.viewer_stats),
+            clipboard: session_data.clipboard.to_host,
+            clipboard_request: session_data.clipboard.request,
+            wanted: get_wanted(session_id),
+        })
     })
 
-    // GET image stream for session
-    // GET to /api/session/:session_id/stream
-    router.get('/session/:session_id/stream', (req, res) => {
+    // GET WebRTC signals (peer-to-peer mode), emptying the caller's mailbox. Viewers get { ice_servers, signals },
+    // 404 when the host has no peer-to-peer mode; the host gets { signals }.
+    // GET to /api/session/:session_id/signal
+    router.get('/session/:session_id/signal', require_viewer, (req, res) => {
+        const session_id = req.params.session_id
+        const viewer = res.locals.viewer
+        if (!viewer) return res.json({ signals: take_signals(session_id, null) })
+        if (!can_watch(session_id, viewer)) {
+            return res.status(403).json({ error: 'Not approved by host' })
+        }
+        const ice_servers = get_session_data(session_id).host.info?.ice_servers
+        if (!ice_servers) {
+            return res.status(404).json({ error: 'Host has no peer-to-peer mode' })
+        }
+        res.json({ ice_servers, signals: take_signals(session_id, viewer.viewer_id) })
+    })
+
+    // POST a WebRTC signal: { signal } from a viewer, { to: <viewer_id>, signal } from the host
+    // POST to /api/session/:session_id/signal
+    router.post('/session/:session_id/signal', require_viewer, express.json({ limit: '64kb' }), (req, res) => {
+        const session_id = req.params.session_id
+        const viewer = res.locals.viewer
+        if (viewer && !can_watch(session_id, viewer)) {
+            return res.status(403).json({ error: 'Not approved by host' })
+        }
+        if (viewer && !get_session_data(session_id).host.info?.ice_servers) {
+            return res.status(404).json({ error: 'Host has no peer-to-peer mode' })
+        }
+        if (!post_signal(session_id, viewer, req.body?.to, req.body?.signal)) {
+            return res.status(400).json({ error: 'Invalid signal' })
+        }
+        res.json({ status: 'Signal queued' })
+    })
+
+    // GET live video (the host's video mode), as one long response in the host's container format.
+    // Starts at the latest keyframe; ends when the host's video stops or restarts (e.g. new resolution),
+    // and the viewer reconnects. 404 when the host has no video mode.
+    // GET to /api/session/:session_id/video
+    router.get('/session/:session_id/video', require_viewer, (req, res) => {
+        const session_id = req.params.session_id
+        const viewer = res.locals.viewer
+        if (!can_watch(session_id, viewer)) {
+            return res.status(403).json({ error: 'Not approved by host' })
+        }
+        const mime = get_session_data(session_id).host.info?.video
+        if (!mime) {
+            return res.status(404).json({ error: 'Host has no video mode' })
+        }
+        res.writeHead(200, {
+            'Content-Type': mime,
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        })
+        res.flushHeaders()
+
+        // Segments only make sense from a keyframe on: at the start, and again after dropping some.
+        let generation = null
+        let needs_keyframe = true
+        const write_segment = (data, keyframe) => {
+            if (res.writableEnded || res.destroyed) return
+            if (needs_keyframe && !keyframe) return
+            if (res.writableLength > MAX_VIDEO_BUFFERED_BYTES) {
+                needs_keyframe = true
+                return
+            }
+            needs_keyframe = false
+            res.write(data)
+        }
+        // The host starts encoding once someone watches, so the stream may not exist yet.
+        const join = () => {
+            const video = get_video(session_id)
+            if (!video?.init || res.writableEnded || res.destroyed) return
+            generation = video.generation
+            res.write(video.init)
+            video.gop.forEach((data, i) => write_segment(data, i === 0))
+        }
+        const on_video = (event) => {
+            if (!can_watch(session_id, viewer)) {
+                needs_keyframe = true
+                return
+            }
+            if (generation == null) {
+                join()
+                return
+            }
+            if (event.generation !== generation) {
+                // Another run, another init segment: let the viewer start over.
+                stop()
+                return
+            }
+            if (event.end) stop()
+            else if (event.data) write_segment(event.data, event.keyframe)
+        }
+        session_events.on(`video:${session_id}`, on_video)
+        session_events.on(`forget:${session_id}`, stop)
+        set_watching(session_id, 'video', res, true)
+        join()
+
+        // Share-link viewers keep the host capturing while they watch, until the link is revoked.
+        const wake_timer = setInterval(() => {
+            if (!viewer?.view_only) return
+            if (!is_share_valid(session_id, viewer.share_id)) return stop()
+            share_wake(session_id)
+        }, 5_000)
+        if (viewer?.view_only) share_wake(session_id)
+
+        // Nothing may be written once the response ended, though 'close' can take a while for a slow viewer.
+        function stop() {
+            clearInterval(wake_timer)
+            session_events.off(`video:${session_id}`, on_video)
+            session_events.off(`forget:${session_id}`, stop)
+            set_watching(session_id, 'video', res, false)
+            if (!res.writableEnded && !res.destroyed) res.end()
+        }
+        res.on('close', stop)
+    })
+
+    // GET image stream for session, one multipart part per new frame (the latest one, composed from tiles).
+    // Frames come at most `max_fps` times a second; a viewer whose connection still holds unsent data skips
+    // the frames in between and gets the latest one once it drained.
+    // GET to /api/session/:session_id/stream?max_fps=<fps>
+    router.get('/session/:session_id/stream', require_viewer, (req, res) => {
         const session_id = req.params.session_id
         res.writeHead(200, {
             'Content-Type': 'multipart/x-mixed-replace; boundary=frame',
@@ -77,22 +616,81 @@ export default function generate_api() {
             return 'application/octet-stream'
         }
 
-        const sendFrame = () => {
-            const session_data = get_session_data(session_id)
-            const image_blob = session_data.image_blob
-            if (image_blob) {
-                res.write(`--frame\r\n`)
-                res.write(`Content-Type: ${detectImageContentType(image_blob)}\r\n`)
-                res.write(`Content-Length: ${image_blob.length}\r\n\r\n`)
-                res.write(image_blob)
-                res.write(`\r\n`)
+        const viewer = res.locals.viewer
+        // Viewers can only lower the server's cap: anything outside (0, stream_max_fps] gets the cap itself.
+        const requested_fps = Number(req.query.max_fps)
+        const max_fps = requested_fps > 0 ? Math.min(requested_fps, stream_max_fps) : stream_max_fps
+        const min_interval_ms = max_fps > 0 ? 1000 / max_fps : 0
+
+        let sent_frame = -1 // frame count of the last part written
+        let sent_at = 0
+        let sending = false // composing or waiting for the connection to drain
+        let timer = null
+
+        const sendFrame = async () => {
+            timer = null
+            if (sending || res.writableEnded || res.destroyed || !can_watch(session_id, viewer)) return
+            const frame = get_frame_count(session_id)
+            if (frame === sent_frame) return
+            const wait = sent_at + min_interval_ms - Date.now()
+            if (wait > 0) {
+                timer = setTimeout(sendFrame, wait)
+                return
             }
+
+            sending = true
+            try {
+                const image_blob = await get_image_blob(session_id)
+                if (!image_blob || res.writableEnded || res.destroyed) return
+                sent_frame = frame
+                sent_at = Date.now()
+                const part = Buffer.concat([
+                    Buffer.from(
+                        `--frame\r\n` +
+                        `Content-Type: ${detectImageContentType(image_blob)}\r\n` +
+                        `Content-Length: ${image_blob.length}\r\n\r\n`
+                    ),
+                    image_blob,
+                    Buffer.from(`\r\n`),
+                ])
+                // Slow viewer: nothing more until this part is out, then straight to the latest frame.
+                if (!res.write(part)) await new Promise((resolve) => res.once('drain', resolve).once('close', resolve))
+            } finally {
+                sending = false
+            }
+            // A frame may have come in meanwhile.
+            if (!timer) void sendFrame()
+        }
+        const on_frame = () => {
+            if (!timer) void sendFrame()
         }
+        // Approved while waiting: the screen may not change for a while, send what there is.
+        const on_approval = ({ viewer_id, status }) => {
+            if (viewer_id === viewer?.viewer_id && status === 'approved') on_frame()
+        }
+
+        // Share-link viewers keep the host capturing while they watch, until the link is revoked.
+        const wake_timer = setInterval(() => {
+            if (!viewer?.view_only) return
+            if (!is_share_valid(session_id, viewer.share_id)) return res.end()
+            share_wake(session_id)
+        }, 5_000)
+        if (viewer?.view_only) share_wake(session_id)
 
-        const intervalId = setInterval(sendFrame, 100)
+        const on_forget = () => res.end()
+        session_events.on(`frame:${session_id}`, on_frame)
+        session_events.on(`approval:${session_id}`, on_approval)
+        session_events.on(`forget:${session_id}`, on_forget)
+        set_watching(session_id, 'images', res, true)
+        void sendFrame()
 
         req.on('close', () => {
-            clearInterval(intervalId)
+            clearInterval(wake_timer)
+            clearTimeout(timer)
+            session_events.off(`frame:${session_id}`, on_frame)
+            session_events.off(`approval:${session_id}`, on_approval)
+            session_events.off(`forget:${session_id}`, on_forget)
+            set_watching(session_id, 'images', res, false)
         })
     })
 
@@ -2,26 +2,81 @@ import crypto from 'node:crypto'
 import { execFile, spawn } from 'node:child_process'
 import path from 'node:path'
 import os from 'node:os'
-import { promises as fs } from 'node:fs'
+import { promises as fs, createReadStream } from 'node:fs'
+import readline from 'node:readline/promises'
 
 import screenshot from 'screenshot-desktop'
+import { WebSocket } from 'ws'
+
+import { encode_tile_packet, is_tile_packet, TILE_FLAG_KEYFRAME } from './tiles.js'
 
 //#region ----------------------------------------------------------------------- DATA
 
 const server = process.env.SAILAWAY_SERVER ?? 'http://localhost:8080'
 const update_time_ms = Number(process.env.SAILAWAY_UPDATE_MS ?? 100) // ms
-// const apply_controls = (process.env.SAILAWAY_APPLY_CONTROLS ?? '1') !== '0'
+const input_driver_name = process.env.SAILAWAY_INPUT ?? (process.platform === 'win32' ? 'powershell' : 'xdotool') // powershell|xdotool|uinput|mock|none
+const input_log_file = process.env.SAILAWAY_INPUT_LOG ?? path.join(os.homedir(), '.sailaway', 'input.jsonl') // mock driver output
+const use_socket = (process.env.SAILAWAY_SOCKET ?? '1') !== '0' // 0 = HTTP polling only
+const socket_retry_ms = Number(process.env.SAILAWAY_SOCKET_RETRY_MS ?? 2000) // ms
+const control_max_age_ms = Number(process.env.SAILAWAY_CONTROL_MAX_AGE_MS ?? 10_000) // older input is skipped, not replayed
+const text_max_chars = 1024 // typed text applied per control event
+const key_sequence_max_steps = 64 // steps of a key macro applied per control event
+const cursor_enabled = (process.env.SAILAWAY_CURSOR ?? '1') !== '0' // report the pointer to viewers
+const cursor_interval_ms = Number(process.env.SAILAWAY_CURSOR_MS ?? 100) // ms between pointer reads while viewers watch
+const host_name = process.env.SAILAWAY_NAME ?? os.hostname() // shown in the session list
+const heartbeat_ms = Number(process.env.SAILAWAY_HEARTBEAT_MS ?? 10_000) // ms
+const approval_cmd = process.env.SAILAWAY_APPROVAL_CMD ?? '' // exit 0 = approve viewer
+const allowed_viewers_file = process.env.SAILAWAY_ALLOWED_VIEWERS ?? path.join(os.homedir(), '.sailaway', 'allowed_viewers.json')
 
 const compress_images = (process.env.SAILAWAY_COMPRESS_IMAGES ?? '1') !== '0'
 const image_format = String(process.env.SAILAWAY_IMAGE_FORMAT ?? 'jpeg').toLowerCase() // jpeg|webp|png
 const image_quality = Number(process.env.SAILAWAY_IMAGE_QUALITY ?? 60) // 1..100
 const image_max_dim = Number(process.env.SAILAWAY_IMAGE_MAX_DIM ?? 1280) // px (largest edge)
+const use_tiles = (process.env.SAILAWAY_TILES ?? '1') !== '0' // upload only changed tiles
+const tile_size = Number(process.env.SAILAWAY_TILE_SIZE ?? 64) // px
+const keyframe_every = Number(process.env.SAILAWAY_KEYFRAME_EVERY ?? 100) // frames between full frames
+const video_codec = String(process.env.SAILAWAY_VIDEO ?? '').toLowerCase() // '' = off, h264|vp8 (needs ffmpeg and the socket)
+const video_bitrate = process.env.SAILAWAY_VIDEO_BITRATE ?? '2M' // ffmpeg bitrate
+const video_max_dim = Number(process.env.SAILAWAY_VIDEO_MAX_DIM ?? image_max_dim) // px (largest edge), fixed: no adaptive sizing
+const webrtc_enabled = (process.env.SAILAWAY_WEBRTC ?? '1') !== '0' // peer-to-peer frames when @roamhq/wrtc is installed
+const ice_servers = String(process.env.SAILAWAY_ICE_SERVERS ?? '') // comma-separated STUN/TURN URLs; '' = local network only
+    .split(',').map(url => url.trim()).filter(Boolean)
+const initial_display = process.env.SAILAWAY_DISPLAY ?? '' // display id, or 'all'; default: primary
+const capture_backend_name = process.env.SAILAWAY_CAPTURE_BACKEND ?? 'screenshot' // screenshot|x11grab|xwd|test
+const xwd_file = process.env.SAILAWAY_XWD_FILE ?? '' // Xvfb -fbdir framebuffer (e.g. /tmp/fb/Xvfb_screen0); '' = run xwd
+const test_pattern_size = process.env.SAILAWAY_TEST_PATTERN_SIZE ?? '1280x720' // test backend screen size
+const initial_capture = process.env.SAILAWAY_CAPTURE ?? 'screen' // screen | rect:<x>,<y>,<w>,<h> | window:<title> | pid:<pid>
+// 1 = viewers can't change display or capture; locked by default when sharing less than the screen
+const capture_locked = (process.env.SAILAWAY_CAPTURE_LOCK ?? (['', 'screen'].includes(initial_capture.trim()) ? '0' : '1')) !== '0'
+const window_refresh_ms = Number(process.env.SAILAWAY_WINDOW_REFRESH_MS ?? 1000) // ms between window position checks
+const clipboard_enabled = (process.env.SAILAWAY_CLIPBOARD ?? '1') !== '0'
+const clipboard_max_bytes = Number(process.env.SAILAWAY_CLIPBOARD_MAX_BYTES ?? 1024 * 1024)
+const files_enabled = (process.env.SAILAWAY_FILES ?? '1') !== '0'
+const inbox_dir = process.env.SAILAWAY_INBOX ?? path.join(os.homedir(), '.sailaway', 'inbox') // files dropped by viewers
+const outbox_dir = process.env.SAILAWAY_OUTBOX ?? path.join(os.homedir(), '.sailaway', 'outbox') // files viewers may fetch; '' = none
+const file_chunk_bytes = 1024 * 1024
+
+// Adaptive encoding: quality, size and interval move within these bounds with link conditions.
+const adaptive_enabled = (process.env.SAILAWAY_ADAPTIVE ?? '1') !== '0'
+const image_quality_min = Number(process.env.SAILAWAY_IMAGE_QUALITY_MIN ?? 20)
+const image_quality_max = Number(process.env.SAILAWAY_IMAGE_QUALITY_MAX ?? 85)
+const image_max_dim_min = Number(process.env.SAILAWAY_IMAGE_MAX_DIM_MIN ?? 640)
+const image_max_dim_max = Number(process.env.SAILAWAY_IMAGE_MAX_DIM_MAX ?? 1920)
+const update_time_ms_min = Number(process.env.SAILAWAY_UPDATE_MS_MIN ?? 50)
+const update_time_ms_max = Number(process.env.SAILAWAY_UPDATE_MS_MAX ?? 1000)
+
+// Current values, starting from the configured ones (see ADAPTIVE).
+const encode_settings = {
+    quality: image_quality,
+    max_dim: image_max_dim,
+    interval_ms: update_time_ms,
+}
 
 //#region ----------------------------------------------------------------------- SESSION
 
-function execFileAsync(file, args) {
+function execFileAsync(file, args, options = {}) {
     return new Promise((resolve, reject) => {
-        execFile(file, args, { encoding: 'utf8' }, (err, stdout, stderr) => {
+        execFile(file, args, { encoding: 'utf8', ...options }, (err, stdout, stderr) => {
             if (err) {
                 err.stdout = stdout
                 err.stderr = stderr
@@ -70,6 +125,189 @@ async function get_or_create_session_id() {
     return session_id
 }
 
+async function get_or_create_host_secret() {
+    // Proves to the server that we own the session id; never shown to viewers.
+    const fromEnv = process.env.SAILAWAY_HOST_SECRET
+    if (typeof fromEnv === 'string' && fromEnv.trim()) {
+        return fromEnv.trim()
+    }
+
+    const dir = path.join(os.homedir(), '.sailaway')
+    const file = path.join(dir, 'host_secret.txt')
+
+    try {
+        const existing = await fs.readFile(file, 'utf8')
+        const secret = existing.trim()
+        if (secret) return secret
+    } catch {
+        // ignore
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex')
+    try {
+        await fs.mkdir(dir, { recursive: true })
+        await fs.writeFile(file, `${secret}\n`, { encoding: 'utf8', mode: 0o600 })
+    } catch {
+        // ignore: the secret still works until the next restart
+    }
+    return secret
+}
+
+function generate_pin() {
+    // Fresh PIN per run unless pinned by env; viewers trade it for a short-lived token.
+    const fromEnv = process.env.SAILAWAY_PIN
+    if (typeof fromEnv === 'string' && fromEnv.trim()) {
+        return fromEnv.trim()
+    }
+    return String(crypto.randomInt(0, 1_000_000)).padStart(6, '0')
+}
+
+const host_auth = {
+    secret: null,
+    pin: null,
+    registered: false,
+}
+
+// What the server lists about us; width/height follow the captured area, video is the type of the video
+// stream we offer ('' when none).
+const host_info = {
+    name: host_name,
+    os: `${os.type()} ${os.release()}`,
+    width: 0,
+    height: 0,
+    video: '',
+}
+
+function auth_headers() {
+    return { 'Authorization': `Bearer ${host_auth.secret}` }
+}
+
+async function register_host(session_id) {
+    const res = await fetch(`${server}/api/session/${session_id}/host`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ secret: host_auth.secret, pin: host_auth.pin, info: host_info }),
+    })
+    if (!res.ok) {
+        const text = await res.text().catch(() => '')
+        throw new Error(`Host registration failed: ${res.status} ${res.statusText}${text ? ` - ${text}` : ''}`)
+    }
+    host_auth.registered = true
+    // A (re)registered server may have lost our composed frame.
+    request_keyframe()
+}
+
+async function ensure_registered(session_id) {
+    // The server forgets hosts when it restarts; any 401 clears `registered` so we claim again.
+    if (host_auth.registered) return
+    await register_host(session_id)
+}
+
+// Keeps us listed as online even while nobody is watching.
+async function post_heartbeat(session_id) {
+    const res = await fetch(`${server}/api/session/${session_id}/heartbeat`, {
+        method: 'POST',
+        headers: { ...auth_headers(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ info: host_info }),
+    })
+    if (res.status === 401) host_auth.registered = false
+    if (!res.ok) throw new Error(`Heartbeat failed: ${res.status} ${res.statusText}`)
+}
+
+//#region ----------------------------------------------------------------------- APPROVAL
+
+function describe_viewer(viewer) {
+    return viewer.name ? `"${viewer.name}" (${viewer.viewer_id})` : viewer.viewer_id
+}
+
+// The allow-list holds viewer_ids, which the server derives from a per-browser key it issued, so an entry
+// can't be claimed by another browser. It only skips the prompt: viewers still need the PIN to pair.
+async function load_allowed_viewers() {
+    try {
+        const parsed = JSON.parse(await fs.readFile(allowed_viewers_file, 'utf8'))
+        return Array.isArray(parsed) ? parsed.map(String) : []
+    } catch {
+        return []
+    }
+}
+
+async function remember_viewer(viewer_id) {
+    const allowed = await load_allowed_viewers()
+    if (allowed.includes(viewer_id)) return
+    allowed.push(viewer_id)
+    try {
+        await fs.mkdir(path.dirname(allowed_viewers_file), { recursive: true })
+        await fs.writeFile(allowed_viewers_file, JSON.stringify(allowed, null, 2) + '\n', 'utf8')
+    } catch (err) {
+        console.warn(`[client] could not save allowed viewers: ${err?.message ?? err}`)
+    }
+}
+
+// Terminal prompts are shown one at a time.
+let prompt_queue = Promise.resolve()
+
+function ask_terminal(viewer) {
+    const job = prompt_queue.then(async () => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout })
+        try {
+            const answer = await rl.question(`[client] viewer ${describe_viewer(viewer)} wants to connect. Allow? [y]es / [n]o / [a]lways: `)
+            const choice = answer.trim().toLowerCase()
+            if (choice === 'a' || choice === 'always') return 'always'
+            if (choice === 'y' || choice === 'yes') return 'approved'
+            return 'rejected'
+        } finally {
+            rl.close()
+        }
+    })
+    prompt_queue = job.catch(() => { })
+    return job
+}
+
+function ask_command(viewer) {
+    // External hook (GUI dialog, chat bot, ...): viewer passed through env, exit code 0 approves.
+    return new Promise((resolve) => {
+        const child = spawn(approval_cmd, {
+            shell: true,
+            stdio: 'inherit',
+            env: {
+                ...process.env,
+                SAILAWAY_VIEWER_ID: viewer.viewer_id,
+                SAILAWAY_VIEWER_NAME: viewer.name ?? '',
+            },
+        })
+        child.on('error', () => resolve('rejected'))
+        child.on('exit', (code) => resolve(code === 0 ? 'approved' : 'rejected'))
+    })
+}
+
+async function request_approval(viewer) {
+    const allowed = await load_allowed_viewers()
+    if (allowed.includes(viewer.viewer_id)) return 'approved'
+
+    if (approval_cmd) return await ask_command(viewer)
+
+    if (process.stdin.isTTY) {
+        const answer = await ask_terminal(viewer)
+        if (answer !== 'always') return answer
+        await remember_viewer(viewer.viewer_id)
+        return 'approved'
+    }
+
+    console.warn(`[client] rejecting viewer ${describe_viewer(viewer)}: no terminal to ask and SAILAWAY_APPROVAL_CMD is not set`)
+    console.warn(`[client] to pre-approve it, add its id to ${allowed_viewers_file}`)
+    return 'rejected'
+}
+
+async function post_approval(session_id, viewer_id, status) {
+    const res = await fetch(`${server}/api/session/${session_id}/approval`, {
+        method: 'POST',
+        headers: { ...auth_headers(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ viewer_id, status }),
+    })
+    if (res.status === 401) host_auth.registered = false
+    if (!res.ok) throw new Error(`Approval report failed: ${res.status} ${res.statusText}`)
+}
+
 //#region ----------------------------------------------------------------------- IMAGE
 
 async function post_image(session_id, image_buffer) {
@@ -80,82 +318,918 @@ async function post_image(session_id, image_buffer) {
     const res = await fetch(`${server}/api/session/${session_id}/image`, {
         method: 'POST',
         headers: {
+            ...auth_headers(),
             'Content-Type': 'application/octet-stream'
         },
         body: image_buffer
     })
 
+    if (res.status === 401) host_auth.registered = false
     if (!res.ok) {
         const text = await res.text().catch(() => '')
         throw new Error(`Upload failed: ${res.status} ${res.statusText}${text ? ` - ${text}` : ''}`)
     }
 }
 
-async function compress_image_buffer(image_buffer) {
-    if (!compress_images) return image_buffer
+// `crop` ({ x, y, width, height } as fractions of the image) keeps only that part of the frame. A cropped frame
+// is never sent whole: without sharp, or when cropping fails, this throws instead.
+async function compress_image_buffer(image_buffer, crop = null) {
+    if (!compress_images && !crop) return image_buffer
 
     let sharp
     try {
         ; ({ default: sharp } = await import('sharp'))
     } catch {
+        if (crop) throw new Error('sharp is required to capture a region')
         // If sharp isn't available for some reason, fall back to raw frames.
         return image_buffer
     }
 
     // Avoid re-encoding tiny/empty buffers.
-    if (!image_buffer || image_buffer.length < 32) return image_buffer
+    if (!crop && (!image_buffer || image_buffer.length < 32)) return image_buffer
 
-    const quality = Number.isFinite(image_quality) ? Math.min(100, Math.max(1, Math.round(image_quality))) : 60
-    const maxDim = Number.isFinite(image_max_dim) ? Math.max(1, Math.round(image_max_dim)) : 1280
+    const maxDim = Number.isFinite(encode_settings.max_dim) ? Math.max(1, Math.round(encode_settings.max_dim)) : 1280
 
     try {
         let pipeline = sharp(image_buffer, { failOnError: false })
 
+        if (crop) {
+            pipeline = pipeline.extract(await crop_region(sharp, image_buffer, crop))
+        }
+        if (!compress_images) {
+            return await pipeline.png({ compressionLevel: 0 }).toBuffer()
+        }
         if (maxDim > 0) {
             pipeline = pipeline.resize({ width: maxDim, height: maxDim, fit: 'inside', withoutEnlargement: true })
         }
 
-        switch (image_format) {
-            case 'jpg':
-            case 'jpeg':
-                return await pipeline.jpeg({ quality, mozjpeg: true }).toBuffer()
-            case 'webp':
-                return await pipeline.webp({ quality }).toBuffer()
-            case 'png':
-                // PNG is usually larger for desktop frames, but keep as an option.
-                return await pipeline.png({ compressionLevel: 9 }).toBuffer()
-            default:
-                return await pipeline.jpeg({ quality, mozjpeg: true }).toBuffer()
-        }
-    } catch {
+        return await encode_pipeline(pipeline)
+    } catch (err) {
+        if (crop) throw err
         return image_buffer
     }
 }
 
+// Fractions of the captured image to pixels (desktop and image pixels differ on scaled displays).
+async function crop_region(sharp, image_buffer, crop) {
+    const { width, height } = await sharp(image_buffer, { failOnError: false }).metadata()
+    const left = Math.max(0, Math.min(width - 1, Math.round(crop.x * width)))
+    const top = Math.max(0, Math.min(height - 1, Math.round(crop.y * height)))
+    return {
+        left,
+        top,
+        width: Math.max(1, Math.min(width - left, Math.round(crop.width * width))),
+        height: Math.max(1, Math.min(height - top, Math.round(crop.height * height))),
+    }
+}
+
+async function encode_pipeline(pipeline) {
+    const quality = Number.isFinite(encode_settings.quality) ? Math.min(100, Math.max(1, Math.round(encode_settings.quality))) : 60
+
+    switch (image_format) {
+        case 'jpg':
+        case 'jpeg':
+            return await pipeline.jpeg({ quality, mozjpeg: true }).toBuffer()
+        case 'webp':
+            return await pipeline.webp({ quality }).toBuffer()
+        case 'png':
+            // PNG is usually larger for desktop frames, but keep as an option.
+            return await pipeline.png({ compressionLevel: 9 }).toBuffer()
+        default:
+            return await pipeline.jpeg({ quality, mozjpeg: true }).toBuffer()
+    }
+}
+
+//#region ----------------------------------------------------------------------- TILES
+
+const tile_state = {
+    width: 0,
+    height: 0,
+    hashes: [],
+    since_keyframe: 0,
+    force_keyframe: true,
+}
+
+// Next frame is sent whole (server lost our frame, upload failed, ...).
+function request_keyframe() {
+    tile_state.force_keyframe = true
+}
+
+// Returns a tile packet with only the tiles that changed since the previous frame (or a keyframe),
+// null when nothing changed, or a plain image when sharp is unavailable. `crop` as for compress_image_buffer().
+async function encode_tile_frame(image_buffer, crop = null) {
+    let sharp
+    try {
+        ; ({ default: sharp } = await import('sharp'))
+    } catch {
+        return await compress_image_buffer(image_buffer, crop)
+    }
+
+    const maxDim = Number.isFinite(encode_settings.max_dim) ? Math.max(1, Math.round(encode_settings.max_dim)) : 1280
+    const size = Number.isFinite(tile_size) ? Math.max(16, Math.round(tile_size)) : 64
+
+    let source = sharp(image_buffer, { failOnError: false })
+    if (crop) source = source.extract(await crop_region(sharp, image_buffer, crop))
+    const { data, info } = await source
+        .resize({ width: maxDim, height: maxDim, fit: 'inside', withoutEnlargement: true })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true })
+    const { width, height, channels } = info
+    const raw = () => sharp(data, { raw: { width, height, channels } })
+
+    const cols = Math.ceil(width / size)
+    const rows = Math.ceil(height / size)
+    const regions = []
+    const hashes = []
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            const left = col * size
+            const top = row * size
+            const region = { left, top, width: Math.min(size, width - left), height: Math.min(size, height - top) }
+            const hash = crypto.createHash('sha1')
+            for (let y = top; y < top + region.height; y++) {
+                const start = (y * width + left) * channels
+                hash.update(data.subarray(start, start + region.width * channels))
+            }
+            regions.push(region)
+            hashes.push(hash.digest('base64'))
+        }
+    }
+
+    const keyframe = tile_state.force_keyframe ||
+        tile_state.width !== width ||
+        tile_state.height !== height ||
+        tile_state.since_keyframe >= keyframe_every
+
+    let tiles
+    if (keyframe) {
+        tiles = [{ x: 0, y: 0, width, height, data: await encode_pipeline(raw()) }]
+    } else {
+        const changed = regions.filter((_, i) => hashes[i] !== tile_state.hashes[i])
+        tiles = await Promise.all(changed.map(async (region) => ({
+            x: region.left,
+            y: region.top,
+            width: region.width,
+            height: region.height,
+            data: await encode_pipeline(raw().extract(region)),
+        })))
+    }
+
+    tile_state.width = width
+    tile_state.height = height
+    tile_state.hashes = hashes
+    tile_state.since_keyframe = keyframe ? 0 : tile_state.since_keyframe + 1
+    tile_state.force_keyframe = false
+
+    if (!tiles.length) return null
+    return encode_tile_packet({ width, height, keyframe, tiles })
+}
+
+//#region ----------------------------------------------------------------------- VIDEO
+
+// Video mode: captured frames go through a local ffmpeg into one live stream (split for viewers by video.js on
+// the server) rather than separate images. Frames are stamped at the nominal rate, 1000 / SAILAWAY_UPDATE_MS.
+const VIDEO_CODECS = {
+    h264: {
+        mime: 'video/mp4; codecs="avc1.42E028"',
+        args: (fps) => [
+            '-c:v', 'libx264', '-preset', 'ultrafast', '-tune', 'zerolatency',
+            '-profile:v', 'baseline', '-level', '4.0', '-pix_fmt', 'yuv420p',
+            '-g', String(fps * 2), '-b:v', video_bitrate, '-maxrate', video_bitrate, '-bufsize', video_bitrate,
+            // One fragment per frame: nothing waits for the end of a group of pictures.
+            '-f', 'mp4', '-movflags', 'frag_every_frame+empty_moov+default_base_moof',
+        ],
+    },
+    vp8: {
+        mime: 'video/webm; codecs="vp8"',
+        args: (fps) => [
+            '-c:v', 'libvpx', '-deadline', 'realtime', '-cpu-used', '8', '-lag-in-frames', '0', '-auto-alt-ref', '0',
+            '-g', String(fps * 2), '-b:v', video_bitrate,
+            '-f', 'webm', '-cluster_time_limit', String(Math.round(1000 / fps)),
+        ],
+    },
+}
+
+// Skip frames while the server hasn't taken this much of the encoded stream yet.
+const VIDEO_MAX_BUFFERED_BYTES = 8 * 1024 * 1024
+
+function video_fps() {
+    return Math.max(1, Math.round(1000 / Math.max(1, update_time_ms)))
+}
+
+// Captured image -> raw RGB frame for the encoder, cropped like images are, scaled to even dimensions (4:2:0).
+async function to_video_frame(image_buffer, crop = null) {
+    const { default: sharp } = await import('sharp')
+    let pipeline = sharp(image_buffer, { failOnError: false })
+    let size = await sharp(image_buffer, { failOnError: false }).metadata()
+    if (crop) {
+        size = await crop_region(sharp, image_buffer, crop)
+        pipeline = pipeline.extract(size)
+    }
+    const maxDim = Number.isFinite(video_max_dim) && video_max_dim > 0 ? video_max_dim : 1280
+    const scale = Math.min(1, maxDim / Math.max(size.width, size.height))
+    const width = Math.max(2, Math.floor((size.width * scale) / 2) * 2)
+    const height = Math.max(2, Math.floor((size.height * scale) / 2) * 2)
+    const data = await pipeline.resize(width, height, { fit: 'fill' }).removeAlpha().raw().toBuffer()
+    return { data, width, height }
+}
+
+// One ffmpeg run at a fixed frame size, streamed to the server over a socket of its own (role 'video').
+// write() drops frames while ffmpeg or the socket is behind. `closed` turns true once either side is gone;
+// `error` then holds what went wrong, if anything.
+function createVideoEncoder(session_id, width, height) {
+    const codec = VIDEO_CODECS[video_codec]
+    const fps = video_fps()
+    const ffmpeg = spawn('ffmpeg', [
+        '-loglevel', 'error',
+        '-f', 'rawvideo', '-pix_fmt', 'rgb24', '-video_size', `${width}x${height}`, '-framerate', String(fps), '-i', '-',
+        ...codec.args(fps),
+        '-',
+    ], { stdio: ['pipe', 'pipe', 'pipe'], windowsHide: true })
+    const ws = new WebSocket(get_socket_url(session_id, 'video'), { headers: auth_headers() })
+
+    const encoder = { width, height, closed: false, error: null, write, close }
+    let stdin_full = false
+    let queued = [] // encoded output from before the socket opened
+
+    function close(err) {
+        if (encoder.closed) return
+        encoder.closed = true
+        encoder.error = err instanceof Error ? err : null
+        ffmpeg.stdin.destroy()
+        ffmpeg.kill()
+        ws.close()
+    }
+
+    function write(frame) {
+        if (encoder.closed || stdin_full || ws.bufferedAmount > VIDEO_MAX_BUFFERED_BYTES) return false
+        stdin_full = !ffmpeg.stdin.write(frame)
+        return true
+    }
+
+    ffmpeg.stdin.on('drain', () => {
+        stdin_full = false
+    })
+    // EPIPE once ffmpeg is gone; 'exit' closes.
+    ffmpeg.stdin.on('error', () => { })
+    ffmpeg.on('error', close)
+    ffmpeg.on('exit', () => close())
+    readline.createInterface({ input: ffmpeg.stderr }).on('line', (line) => {
+        console.warn(`[client] ffmpeg: ${line}`)
+    })
+    ffmpeg.stdout.on('data', (chunk) => {
+        if (ws.readyState === ws.OPEN) ws.send(chunk, { binary: true })
+        else queued.push(chunk)
+    })
+
+    ws.on('open', () => {
+        ws.send(JSON.stringify({ type: 'start', mime: codec.mime }))
+        for (const chunk of queued) ws.send(chunk, { binary: true })
+        queued = []
+    })
+    ws.on('unexpected-response', (req, res) => {
+        if (res.statusCode === 401) host_auth.registered = false
+        ws.terminate()
+    })
+    ws.on('close', () => close())
+    // 'close' always follows 'error'.
+    ws.on('error', () => { })
+
+    return encoder
+}
+
+//#region ----------------------------------------------------------------------- ADAPTIVE
+
+const adaptive = {
+    upload_ms: null, // smoothed upload round trip
+    frame_bytes: null, // smoothed uploaded bytes per frame
+    render_ms: null, // smoothed viewer decode+paint time
+    backlog: 0, // frames queued on the viewer side
+    stats_time: 0,
+    good_streak: 0,
+    last_adjust: 0,
+}
+
+function smooth(previous, value) {
+    return previous == null ? value : previous * 0.7 + value * 0.3
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value))
+}
+
+function record_upload(bytes, ms) {
+    adaptive.upload_ms = smooth(adaptive.upload_ms, ms)
+    adaptive.frame_bytes = smooth(adaptive.frame_bytes, bytes)
+}
+
+function record_viewer_stats(stats) {
+    if (!stats || !(stats.time > adaptive.stats_time)) return
+    adaptive.stats_time = stats.time
+    adaptive.render_ms = smooth(adaptive.render_ms, Number(stats.render_ms) || 0)
+    adaptive.backlog = Number(stats.backlog) || 0
+}
+
+// Cheapest visual loss first when congested: quality, then size, then frame rate.
+function degrade_settings() {
+    const s = encode_settings
+    if (s.quality > image_quality_min) {
+        s.quality = clamp(s.quality - 10, image_quality_min, image_quality_max)
+    } else if (s.max_dim > image_max_dim_min) {
+        s.max_dim = clamp(Math.round(s.max_dim * 0.75), image_max_dim_min, image_max_dim_max)
+    } else if (s.interval_ms < update_time_ms_max) {
+        s.interval_ms = clamp(Math.round(s.interval_ms * 1.5), update_time_ms_min, update_time_ms_max)
+    } else {
+        return false
+    }
+    return true
+}
+
+// Recover in reverse order: frame rate, then size, then quality.
+function improve_settings() {
+    const s = encode_settings
+    if (s.interval_ms > update_time_ms_min) {
+        s.interval_ms = clamp(Math.round(s.interval_ms / 1.5), update_time_ms_min, update_time_ms_max)
+    } else if (s.max_dim < image_max_dim_max) {
+        s.max_dim = clamp(Math.round(s.max_dim / 0.75), image_max_dim_min, image_max_dim_max)
+    } else if (s.quality < image_quality_max) {
+        s.quality = clamp(s.quality + 5, image_quality_min, image_quality_max)
+    } else {
+        return false
+    }
+    return true
+}
+
+function adapt_settings() {
+    if (!adaptive_enabled || adaptive.upload_ms == null) return
+    const now = Date.now()
+    if (now - adaptive.last_adjust < 2_000) return
+    adaptive.last_adjust = now
+
+    const budget = encode_settings.interval_ms
+    const viewer_fresh = now - adaptive.stats_time < 10_000
+    const viewer_slow = viewer_fresh && (adaptive.render_ms > 100 || adaptive.backlog > 2)
+    const congested = adaptive.upload_ms > budget * 0.8 || viewer_slow
+    const spare = adaptive.upload_ms < budget * 0.3 && !viewer_slow
+
+    let changed = false
+    if (congested) {
+        adaptive.good_streak = 0
+        changed = degrade_settings()
+    } else if (spare && ++adaptive.good_streak >= 3) {
+        // Be slower to improve than to degrade, to avoid oscillating.
+        adaptive.good_streak = 0
+        changed = improve_settings()
+    } else if (!spare) {
+        adaptive.good_streak = 0
+    }
+
+    if (changed) {
+        // Tiles at mixed quality/size would linger: start over from a full frame.
+        request_keyframe()
+        const { quality, max_dim, interval_ms } = encode_settings
+        console.log(`[client] adaptive: quality=${quality} max_dim=${max_dim} interval_ms=${interval_ms} (upload ${Math.round(adaptive.upload_ms)}ms, ${Math.round(adaptive.frame_bytes / 1024)}KiB/frame)`)
+    }
+}
+
 //#region ----------------------------------------------------------------------- GATHER CONTROLS
 
-async function get_controls(session_id) {
+async function get_controls(session_id, after) {
     if (typeof fetch !== 'function') {
         return null
     }
 
     try {
-        const res = await fetch(`${server}/api/session/${session_id}/controls`, {
+        const res = await fetch(`${server}/api/session/${session_id}/controls?after=${after}`, {
             method: 'GET',
-            headers: { 'Accept': 'application/json' },
+            headers: { ...auth_headers(), 'Accept': 'application/json' },
         })
 
+        if (res.status === 401) host_auth.registered = false
         if (!res.ok) {
             return null
         }
 
-        const json = await res.json().catch(() => null)
-        return json?.controls ?? null
+        // { controls, last_seq, gap, stats, clipboard, clipboard_request, wanted }
+        return await res.json().catch(() => null)
     } catch {
         return null
     }
 }
 
+async function ack_controls(session_id, seq) {
+    const res = await fetch(`${server}/api/session/${session_id}/controls/ack`, {
+        method: 'POST',
+        headers: { ...auth_headers(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ seq }),
+    })
+    if (res.status === 401) host_auth.registered = false
+    if (!res.ok) throw new Error(`Ack failed: ${res.status} ${res.statusText}`)
+}
+
+//#region ----------------------------------------------------------------------- SOCKET
+
+function get_socket_url(session_id, role) {
+    const url = new URL(`/api/session/${encodeURIComponent(session_id)}/ws`, server)
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:'
+    url.searchParams.set('role', role)
+    return url.toString()
+}
+
+function open_host_socket(session_id, handlers, control_cursor) {
+    // Keeps a host socket alive, reconnecting forever. `current()` is null while disconnected,
+    // in which case callers fall back to the HTTP routes.
+    // `handlers` maps server message types ('controls', 'stats', ...) to callbacks.
+    // `control_cursor()` is the last control seq handled: control events resume after it on every connect.
+    let current = null
+    // Frames waiting for the server's 'frame_ack', oldest first.
+    let pending_acks = []
+
+    const connect = async () => {
+        try {
+            await ensure_registered(session_id)
+        } catch (err) {
+            console.warn(`[client] ${err?.message ?? err}`)
+            setTimeout(connect, socket_retry_ms)
+            return
+        }
+
+        const ws = new WebSocket(get_socket_url(session_id, 'host'), { headers: auth_headers() })
+
+        ws.on('unexpected-response', (req, res) => {
+            if (res.statusCode === 401) host_auth.registered = false
+            ws.terminate()
+        })
+
+        ws.on('open', () => {
+            current = ws
+            ws.send(JSON.stringify({ type: 'resume', after: control_cursor() }))
+            request_keyframe()
+            console.log('[client] socket connected')
+        })
+
+        ws.on('message', (data, isBinary) => {
+            if (isBinary) return
+            let message
+            try {
+                message = JSON.parse(String(data))
+            } catch {
+                return
+            }
+            if (message?.type === 'frame_ack') {
+                pending_acks.shift()?.resolve()
+                return
+            }
+            if (typeof message?.type === 'string' && Object.hasOwn(handlers, message.type)) {
+                handlers[message.type](message)
+            }
+        })
+
+        ws.on('close', () => {
+            if (current === ws) {
+                current = null
+                for (const pending of pending_acks) pending.reject(new Error('socket closed'))
+                pending_acks = []
+                console.warn('[client] socket closed, falling back to HTTP polling')
+            }
+            setTimeout(connect, socket_retry_ms)
+        })
+
+        // 'close' always follows 'error', reconnect happens there.
+        ws.on('error', () => { })
+    }
+
+    connect()
+
+    // Resolves once the server acknowledged the frame, so the caller sees the real round trip.
+    function send_image(image_buffer) {
+        const ws = current
+        if (!ws) return Promise.reject(new Error('socket not connected'))
+        return new Promise((resolve, reject) => {
+            // No ack in time: treat the socket as dead, 'close' rejects everything pending.
+            const timer = setTimeout(() => ws.terminate(), 10_000)
+            pending_acks.push({
+                resolve: () => { clearTimeout(timer); resolve() },
+                reject: (err) => { clearTimeout(timer); reject(err) },
+            })
+            ws.send(image_buffer, { binary: true }, (err) => {
+                if (err) ws.terminate()
+            })
+        })
+    }
+
+    function send_json(message) {
+        const ws = current
+        if (!ws) return false
+        ws.send(JSON.stringify(message))
+        return true
+    }
+
+    return {
+        current: () => current,
+        send_image,
+        send_json,
+    }
+}
+
+//#region ----------------------------------------------------------------------- PEER TO PEER
+
+// Peer-to-peer mode: a viewer offers a WebRTC connection (the server only relays signals, see engine SIGNALING)
+// and we answer through the @roamhq/wrtc package. The viewer opens one data channel, `frames`: ordered and
+// reliable, each frame goes as binary chunks followed by the text message 'end'. Input keeps going through the
+// server, which queues, records and hands out the baton as for every other viewer.
+// Viewers that can't connect keep the relayed path. Without SAILAWAY_ICE_SERVERS only direct (local network)
+// routes are tried: no third party is contacted unless configured.
+const PEER_CHUNK_BYTES = 16 * 1024 // fits a data channel message in every browser
+const PEER_MAX_BUFFERED_BYTES = 4 * 1024 * 1024 // skip frames for peers this far behind
+
+let wrtc_module // undefined until tried, null when not installed
+async function load_wrtc() {
+    if (wrtc_module === undefined) {
+        try {
+            const module = await import('@roamhq/wrtc')
+            wrtc_module = module.default ?? module
+        } catch {
+            wrtc_module = null
+        }
+    }
+    return wrtc_module
+}
+
+async function get_signals(session_id) {
+    const res = await fetch(`${server}/api/session/${session_id}/signal`, {
+        headers: { ...auth_headers(), 'Accept': 'application/json' },
+    })
+    if (res.status === 401) host_auth.registered = false
+    if (!res.ok) throw new Error(`Signal poll failed: ${res.status} ${res.statusText}`)
+    return (await res.json()).signals ?? []
+}
+
+// Share links still valid ({ share_id, ... }), to cut off view-only peers whose link was revoked or expired.
+async function list_shares(session_id) {
+    const res = await fetch(`${server}/api/session/${session_id}/share`, {
+        headers: { ...auth_headers(), 'Accept': 'application/json' },
+    })
+    if (res.status === 401) host_auth.registered = false
+    if (!res.ok) throw new Error(`Share list failed: ${res.status} ${res.statusText}`)
+    return (await res.json()).shares ?? []
+}
+
+async function post_signal(session_id, to, signal) {
+    const res = await fetch(`${server}/api/session/${session_id}/signal`, {
+        method: 'POST',
+        headers: { ...auth_headers(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ to, signal }),
+    })
+    if (res.status === 401) host_auth.registered = false
+    if (!res.ok) throw new Error(`Signal failed: ${res.status} ${res.statusText}`)
+}
+
+// `send_signal(viewer_id, signal)` reaches a viewer through the server, `accepts(viewer)` says whether it may
+// watch (checked again for every frame).
+function createPeerHost(wrtc, { send_signal, accepts }) {
+    const peers = new Map() // peer id -> { id, viewer, pc, frames, needs_keyframe }
+
+    function drop(peer) {
+        if (peers.get(peer.id) !== peer) return
+        peers.delete(peer.id)
+        peer.pc.close()
+        console.log(`[client] peer-to-peer connection with ${describe_viewer(peer.viewer)} closed`)
+    }
+
+    function open_channel(peer, channel) {
+        if (channel.label !== 'frames') return
+        peer.frames = channel
+        // The viewer starts from a keyframe.
+        channel.onopen = () => request_keyframe()
+        channel.onclose = () => drop(peer)
+        if (channel.readyState === 'open') channel.onopen()
+    }
+
+    async function answer(signal) {
+        const viewer = signal.viewer
+        if (!accepts(viewer)) {
+            send_signal(viewer.viewer_id, { type: 'bye', peer: signal.peer })
+            return
+        }
+        // One connection per viewer: a new offer replaces the old one (a reloaded page, a retry).
+        for (const other of peers.values()) {
+            if (other.viewer.viewer_id === viewer.viewer_id) drop(other)
+        }
+        const pc = new wrtc.RTCPeerConnection({ iceServers: ice_servers.map(urls => ({ urls })) })
+        const peer = { id: signal.peer, viewer, pc, frames: null, needs_keyframe: true }
+        peers.set(peer.id, peer)
+
+        pc.onicecandidate = ({ candidate }) => {
+            if (!candidate) return
+            send_signal(viewer.viewer_id, { type: 'candidate', peer: peer.id, candidate: candidate.toJSON?.() ?? candidate })
+        }
+        pc.onconnectionstatechange = () => {
+            if (pc.connectionState === 'failed' || pc.connectionState === 'closed') drop(peer)
+        }
+        pc.ondatachannel = ({ channel }) => open_channel(peer, channel)
+
+        try {
+            await pc.setRemoteDescription({ type: 'offer', sdp: signal.sdp })
+            await pc.setLocalDescription(await pc.createAnswer())
+            send_signal(viewer.viewer_id, { type: 'answer', peer: peer.id, sdp: pc.localDescription.sdp })
+            console.log(`[client] peer-to-peer connection with ${describe_viewer(viewer)}`)
+        } catch (err) {
+            console.warn(`[client] peer-to-peer offer from ${describe_viewer(viewer)} failed: ${err?.message ?? err}`)
+            send_signal(viewer.viewer_id, { type: 'bye', peer: peer.id })
+            drop(peer)
+        }
+    }
+
+    function handle_signal(signal) {
+        if (!signal?.viewer?.viewer_id) return
+        const peer = peers.get(signal.peer)
+        // Signals about a connection only count from the viewer that opened it.
+        if (peer && peer.viewer.viewer_id !== signal.viewer.viewer_id) return
+        if (signal.type === 'offer' && !peer) {
+            void answer(signal)
+        } else if (signal.type === 'candidate' && peer && signal.candidate) {
+            peer.pc.addIceCandidate(signal.candidate).catch(() => {
+                // A candidate we can't use: others may still connect.
+            })
+        } else if (signal.type === 'bye' && peer) {
+            drop(peer)
+        }
+    }
+
+    // Tile deltas only apply on top of what the peer already has: a peer that fell behind (or just joined)
+    // waits for the next keyframe, asked for once its channel drained.
+    function send_frame(frame) {
+        const keyframe = !is_tile_packet(frame) || (frame[8] & TILE_FLAG_KEYFRAME) !== 0
+        for (const peer of peers.values()) {
+            if (peer.frames?.readyState !== 'open' || !accepts(peer.viewer)) continue
+            const behind = peer.frames.bufferedAmount > PEER_MAX_BUFFERED_BYTES
+            if (behind || (peer.needs_keyframe && !keyframe)) {
+                peer.needs_keyframe = true
+                if (!behind) request_keyframe()
+                continue
+            }
+            for (let offset = 0; offset < frame.length; offset += PEER_CHUNK_BYTES) {
+                peer.frames.send(frame.subarray(offset, offset + PEER_CHUNK_BYTES))
+            }
+            peer.frames.send('end')
+            peer.needs_keyframe = false
+        }
+    }
+
+    // Closes connections to viewers no longer accepted (rejected, or a share link gone).
+    function prune() {
+        for (const peer of [...peers.values()]) {
+            if (!accepts(peer.viewer)) drop(peer)
+        }
+    }
+
+    function has_view_only() {
+        return [...peers.values()].some(peer => peer.viewer.view_only)
+    }
+
+    // Peers currently taking frames.
+    function receivers() {
+        let count = 0
+        for (const peer of peers.values()) {
+            if (peer.frames?.readyState === 'open' && accepts(peer.viewer)) count++
+        }
+        return count
+    }
+
+    return { handle_signal, send_frame, receivers, prune, has_view_only }
+}
+
+//#region ----------------------------------------------------------------------- CLIPBOARD
+
+function run_with_input(file, args, input) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(file, args, { stdio: ['pipe', 'ignore', 'pipe'], windowsHide: true })
+        let stderr = ''
+        child.stderr.on('data', (chunk) => { stderr += chunk })
+        child.on('error', reject)
+        child.on('exit', (code) => code === 0 ? resolve() : reject(new Error(`${file} exited with ${code}: ${stderr.trim()}`)))
+        child.stdin.end(input, 'utf8')
+    })
+}
+
+// Candidate [file, args] pairs per platform, first one that works wins.
+function clipboard_commands() {
+    if (process.platform === 'win32') {
+        const utf8 = '[Console]::InputEncoding=[Text.Encoding]::UTF8; [Console]::OutputEncoding=[Text.Encoding]::UTF8;'
+        return {
+            read: [['powershell', ['-NoProfile', '-NonInteractive', '-Command', `${utf8} Get-Clipboard -Raw`]]],
+            write: [['powershell', ['-NoProfile', '-NonInteractive', '-Command', `${utf8} Set-Clipboard -Value ([Console]::In.ReadToEnd())`]]],
+        }
+    }
+    return {
+        read: [['xclip', ['-selection', 'clipboard', '-o']], ['xsel', ['--clipboard', '--output']]],
+        write: [['xclip', ['-selection', 'clipboard', '-i']], ['xsel', ['--clipboard', '--input']]],
+    }
+}
+
+async function read_clipboard() {
+    let lastErr = null
+    for (const [file, args] of clipboard_commands().read) {
+        try {
+            const { stdout } = await execFileAsync(file, args)
+            // PowerShell appends a newline to the raw value.
+            return process.platform === 'win32' ? stdout.replace(/\r?\n$/, '') : stdout
+        } catch (err) {
+            // xclip exits non-zero on an empty clipboard.
+            if (err?.code !== 'ENOENT') return ''
+            lastErr = err
+        }
+    }
+    throw lastErr ?? new Error('no clipboard tool found')
+}
+
+async function write_clipboard(text) {
+    let lastErr = null
+    for (const [file, args] of clipboard_commands().write) {
+        try {
+            return await run_with_input(file, args, text)
+        } catch (err) {
+            lastErr = err
+            if (err?.code !== 'ENOENT') break
+        }
+    }
+    throw lastErr ?? new Error('no clipboard tool found')
+}
+
+async function post_clipboard(session_id, text) {
+    const res = await fetch(`${server}/api/session/${session_id}/clipboard`, {
+        method: 'POST',
+        headers: { ...auth_headers(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text }),
+    })
+    if (res.status === 401) host_auth.registered = false
+    if (!res.ok) throw new Error(`Clipboard upload failed: ${res.status} ${res.statusText}`)
+}
+
+//#region ----------------------------------------------------------------------- FILES
+
+async function file_sha256(file_path) {
+    const hash = crypto.createHash('sha256')
+    for await (const chunk of createReadStream(file_path)) hash.update(chunk)
+    return hash.digest('hex')
+}
+
+async function files_request(session_id, route, init = {}) {
+    const res = await fetch(`${server}/api/session/${session_id}/${route}`, {
+        ...init,
+        headers: { ...auth_headers(), ...init.headers },
+    })
+    if (res.status === 401) host_auth.registered = false
+    return res
+}
+
+// Plain files directly inside the outbox, nothing else is ever served.
+async function list_outbox() {
+    if (!outbox_dir) return []
+    const entries = await fs.readdir(outbox_dir, { withFileTypes: true }).catch(() => [])
+    const files = []
+    for (const entry of entries) {
+        if (!entry.isFile()) continue
+        try {
+            const stat = await fs.stat(path.join(outbox_dir, entry.name))
+            files.push({ name: entry.name, size: stat.size, mtime: stat.mtimeMs })
+        } catch {
+            // ignore: removed while listing
+        }
+    }
+    return files
+}
+
+async function post_outbox(session_id, files) {
+    const res = await files_request(session_id, 'outbox', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ files }),
+    })
+    if (!res.ok) throw new Error(`Outbox upload failed: ${res.status} ${res.statusText}`)
+}
+
+async function get_transfers(session_id) {
+    const res = await files_request(session_id, 'files')
+    if (!res.ok) throw new Error(`Transfer list failed: ${res.status} ${res.statusText}`)
+    return (await res.json()).transfers ?? []
+}
+
+// Outbox path for a requested name; symlinks or anything else leading outside the outbox is refused.
+async function resolve_outbox_file(name) {
+    if (!outbox_dir || typeof name !== 'string' || path.basename(name) !== name || name === '.' || name === '..') {
+        throw new Error('not in outbox')
+    }
+    const root = await fs.realpath(outbox_dir)
+    const file_path = await fs.realpath(path.join(root, name))
+    if (path.dirname(file_path) !== root) throw new Error('not in outbox')
+    const stat = await fs.stat(file_path)
+    if (!stat.isFile()) throw new Error('not a file')
+    return { file_path, size: stat.size }
+}
+
+// "name.txt", then "name (1).txt", ... so nothing in the inbox gets overwritten.
+async function unique_inbox_path(name) {
+    const { name: stem, ext } = path.parse(name)
+    for (let i = 0; ; i++) {
+        const candidate = path.join(inbox_dir, i ? `${stem} (${i})${ext}` : name)
+        try {
+            await fs.access(candidate)
+        } catch {
+            return candidate
+        }
+    }
+}
+
+// Download a complete viewer upload into the inbox, resuming a partial `.part` file with a Range request.
+async function receive_file(session_id, transfer) {
+    await fs.mkdir(inbox_dir, { recursive: true })
+    const part_path = path.join(inbox_dir, `.${transfer.id}.part`)
+    const offset = await fs.stat(part_path).then(s => s.size, () => 0)
+
+    if (offset < transfer.size) {
+        const res = await files_request(session_id, `files/${transfer.id}/data`, {
+            headers: offset ? { 'Range': `bytes=${offset}-` } : {},
+        })
+        if (!res.ok) throw new Error(`Download failed: ${res.status} ${res.statusText}`)
+        const handle = await fs.open(part_path, res.status === 206 ? 'a' : 'w')
+        try {
+            for await (const chunk of res.body) await handle.write(chunk)
+        } finally {
+            await handle.close()
+        }
+    }
+
+    if (await file_sha256(part_path) !== transfer.sha256) {
+        await fs.rm(part_path, { force: true })
+        throw new Error('checksum mismatch')
+    }
+    const target = await unique_inbox_path(transfer.name)
+    await fs.rename(part_path, target)
+    await files_request(session_id, `files/${transfer.id}`, { method: 'DELETE' }).catch(() => {
+        // ignore: the server drops it on its own later
+    })
+    return target
+}
+
+// Answer a viewer's request for an outbox file, then upload it from wherever the server is at.
+async function send_file(session_id, transfer) {
+    let file
+    try {
+        file = await resolve_outbox_file(transfer.name)
+    } catch (err) {
+        if (transfer.status === 'requested') await answer_transfer(session_id, transfer, { error: 'File not available' })
+        throw err
+    }
+
+    let received = transfer.received
+    if (transfer.status === 'requested') {
+        const sha256 = await file_sha256(file.file_path)
+        transfer = await answer_transfer(session_id, transfer, { size: file.size, sha256 })
+        received = 0
+    }
+
+    const handle = await fs.open(file.file_path, 'r')
+    try {
+        while (received < transfer.size) {
+            const buffer = Buffer.alloc(Math.min(file_chunk_bytes, transfer.size - received))
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, received)
+            if (bytesRead !== buffer.length) throw new Error('file changed while sending')
+            const res = await files_request(session_id, `files/${transfer.id}?offset=${received}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'X-Chunk-Sha256': crypto.createHash('sha256').update(buffer).digest('hex'),
+                },
+                body: buffer,
+            })
+            const json = await res.json().catch(() => ({}))
+            if (res.status === 409 || res.status === 422) {
+                // Someone else moved the offset, or the chunk got mangled: continue from the server's view.
+                received = Number(json.received) || 0
+                continue
+            }
+            if (!res.ok) throw new Error(`Upload failed: ${res.status} ${json.error ?? res.statusText}`)
+            received = json.transfer.received
+        }
+    } finally {
+        await handle.close()
+    }
+}
+
+async function answer_transfer(session_id, transfer, answer) {
+    const res = await files_request(session_id, `files/${transfer.id}/answer`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(answer),
+    })
+    const json = await res.json().catch(() => ({}))
+    if (!res.ok) throw new Error(`Transfer answer failed: ${res.status} ${json.error ?? res.statusText}`)
+    return json.transfer
+}
+
 //#region ----------------------------------------------------------------------- DISPLAY GEOMETRY
 
 async function getDisplayGeometry() {
@@ -184,7 +1258,502 @@ async function getDisplayGeometryWindows() {
     if (!Number.isFinite(width) || !Number.isFinite(height) || width <= 0 || height <= 0) {
         throw new Error(`Invalid geometry from powershell: ${stdout}`)
     }
-    return { width, height }
+    return { width, height }
+}
+
+//#region ----------------------------------------------------------------------- DISPLAYS
+
+// Displays as { id, name, x, y, width, height, primary }, with x/y the offset in the virtual desktop.
+async function list_displays() {
+    const displays = await screenshot.listDisplays()
+    return displays.map((d, i) => ({
+        id: String(d.id),
+        name: String(d.name ?? d.id),
+        // Linux reports offsetX/offsetY, Windows left/top.
+        x: Number(d.offsetX ?? d.left ?? 0),
+        y: Number(d.offsetY ?? d.top ?? 0),
+        width: Number(d.width),
+        height: Number(d.height),
+        primary: d.primary ?? i === 0,
+    })).filter(d => d.width > 0 && d.height > 0)
+}
+
+// Area covered by the selection ('all' = bounding box of every display), in virtual desktop coordinates.
+function get_capture_area(displays, selected) {
+    if (selected === 'all') {
+        const x = Math.min(...displays.map(d => d.x))
+        const y = Math.min(...displays.map(d => d.y))
+        const width = Math.max(...displays.map(d => d.x + d.width)) - x
+        const height = Math.max(...displays.map(d => d.y + d.height)) - y
+        return { x, y, width, height }
+    }
+    const display = displays.find(d => d.id === selected) ?? displays.find(d => d.primary) ?? displays[0]
+    return { x: display.x, y: display.y, width: display.width, height: display.height }
+}
+
+async function capture_displays(displays, selected) {
+    if (selected !== 'all' || displays.length < 2) {
+        return await screenshot(selected && selected !== 'all' ? { screen: selected } : undefined)
+    }
+
+    // Composite every display at its offset.
+    const { default: sharp } = await import('sharp')
+    const area = get_capture_area(displays, 'all')
+    const shots = await Promise.all(displays.map(d => screenshot({ screen: d.id })))
+    return await sharp({ create: { width: area.width, height: area.height, channels: 3, background: { r: 0, g: 0, b: 0 } } })
+        .composite(shots.map((input, i) => ({ input, left: displays[i].x - area.x, top: displays[i].y - area.y })))
+        .png({ compressionLevel: 0 })
+        .toBuffer()
+}
+
+// `capture` is the current capture spec (see parse_capture()); `locked` tells viewers they can't change it.
+async function post_displays(session_id, displays, selected, capture, locked) {
+    const res = await fetch(`${server}/api/session/${session_id}/displays`, {
+        method: 'POST',
+        headers: { ...auth_headers(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ displays, selected, capture, locked }),
+    })
+    if (res.status === 401) host_auth.registered = false
+    if (!res.ok) throw new Error(`Display publish failed: ${res.status} ${res.statusText}`)
+}
+
+async function post_cursor(session_id, cursor) {
+    const res = await fetch(`${server}/api/session/${session_id}/cursor`, {
+        method: 'POST',
+        headers: { ...auth_headers(), 'Content-Type': 'application/json' },
+        body: JSON.stringify(cursor),
+    })
+    if (res.status === 401) host_auth.registered = false
+    if (!res.ok) throw new Error(`Cursor publish failed: ${res.status} ${res.statusText}`)
+}
+
+// Pointer in the captured area: x/y normalized like viewer input, hidden while outside of it.
+function to_area_cursor(state, area) {
+    const x = (state.x - (area.x ?? 0)) / Math.max(1, area.width - 1)
+    const y = (state.y - (area.y ?? 0)) / Math.max(1, area.height - 1)
+    const inside = x >= 0 && x <= 1 && y >= 0 && y <= 1
+    return {
+        x: Math.max(0, Math.min(1, x)),
+        y: Math.max(0, Math.min(1, y)),
+        shape: state.shape ?? 'default',
+        visible: state.visible !== false && inside,
+    }
+}
+
+//#region ----------------------------------------------------------------------- CAPTURE REGION
+
+// 'screen' (the selected display), 'rect:<x>,<y>,<width>,<height>' in virtual desktop pixels, 'window:<title>'
+// (first visible window whose title contains it, ignoring case) or 'pid:<pid>' (that process's window).
+// Returns null for anything else.
+function parse_capture(spec) {
+    const text = String(spec ?? '').trim()
+    if (text === '' || text === 'screen') return { mode: 'screen', spec: 'screen' }
+    if (text.length > 256) return null
+    const [, mode, arg] = /^(rect|window|pid):(.*)$/.exec(text) ?? []
+    if (mode === 'rect') {
+        const [x, y, width, height] = arg.split(',').map(Number)
+        if (![x, y, width, height].every(Number.isInteger) || width <= 0 || height <= 0) return null
+        return { mode, spec: text, rect: { x, y, width, height } }
+    }
+    if (mode === 'window' && arg.trim()) {
+        return { mode, spec: text, title: arg.trim() }
+    }
+    if (mode === 'pid' && /^\d+$/.test(arg)) {
+        return { mode, spec: text, pid: Number(arg) }
+    }
+    return null
+}
+
+// Bounds { x, y, width, height } of the window a 'window:' or 'pid:' capture follows, in virtual desktop
+// pixels; null while no such window is visible.
+async function find_window(capture) {
+    const bounds = process.platform === 'win32' ? await find_window_windows(capture) : await find_window_linux(capture)
+    if (!bounds || ![bounds.x, bounds.y, bounds.width, bounds.height].every(Number.isFinite)) return null
+    if (bounds.width <= 0 || bounds.height <= 0) return null
+    return bounds
+}
+
+async function find_window_linux(capture) {
+    // xdotool matches names as a case-insensitive regex: escape the title to match it literally.
+    const args = capture.mode === 'pid'
+        ? ['search', '--onlyvisible', '--pid', String(capture.pid)]
+        : ['search', '--onlyvisible', '--name', capture.title.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')]
+    let stdout
+    try {
+        ; ({ stdout } = await execFileAsync('xdotool', args))
+    } catch (err) {
+        // Exit code 1: nothing matched.
+        if (err?.code === 1) return null
+        throw err
+    }
+    const id = String(stdout).trim().split(/\s+/)[0]
+    if (!id) return null
+
+    // xwininfo gives the absolute position of the window's contents, decorations excluded.
+    const { stdout: info } = await execFileAsync('xwininfo', ['-id', id])
+    const field = (label) => Number(new RegExp(`${label}:\\s*(-?\\d+)`).exec(info)?.[1])
+    return {
+        x: field('Absolute upper-left X'),
+        y: field('Absolute upper-left Y'),
+        width: field('Width'),
+        height: field('Height'),
+    }
+}
+
+// One PowerShell process answers every lookup, so user32 is bound (Add-Type) once rather than on each refresh.
+// Queries go in as JSON lines, never as script text: window titles come from viewers.
+let windows_window_finder = null
+
+function createWindowsWindowFinder() {
+    const ps = spawn('powershell', ['-NoProfile', '-NonInteractive', '-ExecutionPolicy', 'Bypass', '-Command', '-'], {
+        stdio: ['pipe', 'pipe', 'pipe'],
+        windowsHide: true,
+    })
+
+    const bootstrap = String.raw`
+$ErrorActionPreference = 'Stop'
+[Console]::InputEncoding = [Text.Encoding]::UTF8
+Add-Type -TypeDefinition @'
+using System;
+using System.Runtime.InteropServices;
+public struct WinBox { public int Left, Top, Right, Bottom; }
+public static class WinBounds {
+    [DllImport("user32.dll")] public static extern bool GetWindowRect(IntPtr hWnd, out WinBox box);
+    [DllImport("user32.dll")] public static extern bool IsIconic(IntPtr hWnd);
+}
+'@
+while ($true) {
+    $line = [Console]::In.ReadLine()
+    if ($line -eq $null) { break }
+    $reply = ''
+    try {
+        $msg = $line | ConvertFrom-Json
+        $title = [string]$msg.title
+        $p = Get-Process | Where-Object {
+            $_.MainWindowHandle -ne 0 -and $(if ($msg.pid) { $_.Id -eq [int]$msg.pid } else {
+                $_.MainWindowTitle.IndexOf($title, [StringComparison]::OrdinalIgnoreCase) -ge 0 })
+        } | Select-Object -First 1
+        if ($p -and -not [WinBounds]::IsIconic($p.MainWindowHandle)) {
+            $b = New-Object WinBox
+            [void][WinBounds]::GetWindowRect($p.MainWindowHandle, [ref]$b)
+            $reply = "$($b.Left) $($b.Top) $($b.Right - $b.Left) $($b.Bottom - $b.Top)"
+        }
+    } catch { }
+    [Console]::Out.WriteLine("WINDOW " + [int]$msg.id + " " + $reply)
+    [Console]::Out.Flush()
+}
+`
+    ps.stdin.write(bootstrap)
+    ps.stdin.write('\n')
+
+    // Replies come back as "WINDOW <id> [<x> <y> <width> <height>]" lines.
+    const pending = new Map() // id -> resolve
+    let next_id = 1
+    let exited = null
+    readline.createInterface({ input: ps.stdout }).on('line', (line) => {
+        const match = /^WINDOW (\d+) ?(.*)$/.exec(line)
+        if (!match) return
+        const parts = match[2].trim().split(/\s+/).map(Number)
+        const bounds = parts.length === 4 ? { x: parts[0], y: parts[1], width: parts[2], height: parts[3] } : null
+        pending.get(Number(match[1]))?.(bounds)
+    })
+    ps.on('error', (err) => {
+        exited = err
+    })
+    ps.on('exit', () => {
+        exited ??= new Error('powershell window lookup exited')
+    })
+    // EPIPE once PowerShell is gone; the next lookup starts a new one.
+    ps.stdin.on('error', () => { })
+
+    async function find(capture) {
+        if (exited) throw exited
+        const id = next_id++
+        try {
+            return await new Promise((resolve, reject) => {
+                pending.set(id, resolve)
+                setTimeout(() => reject(exited ?? new Error('powershell window lookup timed out')), 5_000)
+                ps.stdin.write(JSON.stringify({ id, pid: capture.pid ?? 0, title: capture.title ?? '' }) + '\n')
+            })
+        } finally {
+            pending.delete(id)
+        }
+    }
+
+    return { find, exited: () => exited != null }
+}
+
+async function find_window_windows(capture) {
+    if (!windows_window_finder || windows_window_finder.exited()) windows_window_finder = createWindowsWindowFinder()
+    return await windows_window_finder.find(capture)
+}
+
+function intersect_areas(a, b) {
+    const x = Math.max(a.x, b.x)
+    const y = Math.max(a.y, b.y)
+    const width = Math.min(a.x + a.width, b.x + b.width) - x
+    const height = Math.min(a.y + a.height, b.y + b.height) - y
+    return width > 0 && height > 0 ? { x, y, width, height } : null
+}
+
+// How to capture a region: `source` is the display holding all of it ('all' when it spans several), `area` the
+// part of the region that is on screen (input maps into it) and `crop` that part as fractions of the source image.
+// null when the region is entirely off screen.
+function plan_region_capture(displays, region) {
+    const display = displays.find(d => {
+        const inside = intersect_areas(d, region)
+        return inside && inside.width === region.width && inside.height === region.height
+    })
+    const source = display?.id ?? (displays.length > 1 ? 'all' : displays[0].id)
+    const sourceArea = get_capture_area(displays, source)
+    const area = intersect_areas(region, sourceArea)
+    if (!area) return null
+    return {
+        source,
+        area,
+        crop: {
+            x: (area.x - sourceArea.x) / sourceArea.width,
+            y: (area.y - sourceArea.y) / sourceArea.height,
+            width: area.width / sourceArea.width,
+            height: area.height / sourceArea.height,
+        },
+    }
+}
+
+//#region ----------------------------------------------------------------------- CAPTURE BACKENDS
+
+// A capture backend is { name, list_displays(), capture(displays, selected), observe_control?(control, area) }:
+// list_displays() resolves to displays as list_displays() above, capture() to an image sharp can read (PNG) of
+// get_capture_area(displays, selected), and observe_control(control, area) sees every approved control event
+// along with the area its coordinates map into.
+const capture_backends = {
+    screenshot: createScreenshotCapture,
+    x11grab: createX11GrabCapture,
+    xwd: createXwdCapture,
+    test: createTestPatternCapture,
+}
+
+function create_capture_backend(name) {
+    const create = Object.hasOwn(capture_backends, name) ? capture_backends[name] : null
+    if (!create) {
+        throw new Error(`Unknown capture backend "${name}" (expected ${Object.keys(capture_backends).join(', ')})`)
+    }
+    return create()
+}
+
+// screenshot-desktop: ImageMagick/xrandr on Linux, its bundled helper on Windows.
+function createScreenshotCapture() {
+    return {
+        name: 'screenshot',
+        list_displays,
+        capture: capture_displays,
+    }
+}
+
+// Size of the X root window, for servers without RandR outputs (a bare Xvfb).
+async function get_root_geometry() {
+    const { stdout } = await execFileAsync('xwininfo', ['-root'])
+    const field = (label) => Number(new RegExp(`${label}:\\s*(-?\\d+)`).exec(stdout)?.[1])
+    const width = field('Width')
+    const height = field('Height')
+    if (!(width > 0) || !(height > 0)) throw new Error(`Invalid geometry from xwininfo: ${stdout}`)
+    return { width, height }
+}
+
+async function list_x11_displays() {
+    try {
+        const displays = await list_displays()
+        if (displays.length) return displays
+    } catch {
+        // ignore: fall back to the root window
+    }
+    const { width, height } = await get_root_geometry()
+    return [{ id: '', name: process.env.DISPLAY ?? 'screen', x: 0, y: 0, width, height, primary: true }]
+}
+
+// ffmpeg's x11grab device: one frame of exactly the captured area, 'all' included.
+function createX11GrabCapture() {
+    return {
+        name: 'x11grab',
+        list_displays: list_x11_displays,
+        async capture(displays, selected) {
+            const area = get_capture_area(displays, selected)
+            const { stdout } = await execFileAsync('ffmpeg', [
+                '-loglevel', 'error',
+                '-f', 'x11grab',
+                '-video_size', `${area.width}x${area.height}`,
+                '-i', `${process.env.DISPLAY ?? ':0'}+${area.x},${area.y}`,
+                '-frames:v', '1',
+                '-c:v', 'png',
+                '-f', 'image2pipe',
+                '-',
+            ], { encoding: 'buffer', maxBuffer: 256 * 1024 * 1024 })
+            return stdout
+        },
+    }
+}
+
+// XWD dumps: the framebuffer file Xvfb keeps with -fbdir (no X round trip at all), or `xwd -root`.
+function createXwdCapture() {
+    const read_dump = async () => {
+        const xwd = xwd_file
+            ? await fs.readFile(xwd_file)
+            : (await execFileAsync('xwd', ['-root', '-silent'], { encoding: 'buffer', maxBuffer: 256 * 1024 * 1024 })).stdout
+        return { xwd, header: parse_xwd(xwd) }
+    }
+    return {
+        name: 'xwd',
+        async list_displays() {
+            if (!xwd_file) return await list_x11_displays()
+            const { header: { width, height } } = await read_dump()
+            return [{ id: '', name: path.basename(xwd_file), x: 0, y: 0, width, height, primary: true }]
+        },
+        async capture(displays, selected) {
+            const { xwd, header } = await read_dump()
+            const { width, height } = header
+            const area = get_capture_area(displays, selected)
+            const left = Math.max(0, Math.min(width - 1, area.x))
+            const top = Math.max(0, Math.min(height - 1, area.y))
+            return await (await decode_xwd(xwd, header))
+                .extract({ left, top, width: Math.min(area.width, width - left), height: Math.min(area.height, height - top) })
+                .png({ compressionLevel: 0 })
+                .toBuffer()
+        },
+    }
+}
+
+// XWD (X Window Dump) header of a TrueColor ZPixmap. The header is big-endian; pixels use the byte order it names.
+function parse_xwd(xwd) {
+    if (xwd.length < 100) throw new Error('Truncated XWD dump')
+    const field = (index) => xwd.readUInt32BE(index * 4)
+    const header_size = field(0)
+    const [format, width, height] = [field(2), field(4), field(5)]
+    const [byte_order, bits_per_pixel, bytes_per_line] = [field(7), field(11), field(12)]
+    const masks = [field(14), field(15), field(16)]
+    const ncolors = field(19)
+    if (field(1) !== 7 || format !== 2 || ![16, 24, 32].includes(bits_per_pixel)) {
+        throw new Error(`Unsupported XWD dump (version ${field(1)}, format ${format}, ${bits_per_pixel} bpp)`)
+    }
+    const offset = header_size + ncolors * 12
+    if (xwd.length < offset + bytes_per_line * height) throw new Error('Truncated XWD dump')
+    return { width, height, offset, byte_order, bits_per_pixel, bytes_per_line, masks }
+}
+
+// The dump as an RGB sharp image. With 8-bit channels (what X servers use at 24/32 bpp) the pixels go to sharp
+// as they are and a recombination matrix puts the bytes in RGB order; other layouts are converted pixel by pixel.
+async function decode_xwd(xwd, { width, height, offset, byte_order, bits_per_pixel, bytes_per_line, masks }) {
+    const { default: sharp } = await import('sharp')
+    const bytes = bits_per_pixel / 8
+    const shifts = masks.map((mask) => [0, 8, 16, 24].find((shift) => (mask >>> 0) === (0xff << shift) >>> 0))
+
+    if (bytes >= 3 && shifts.every((shift) => shift != null && shift / 8 < bytes)) {
+        // Rows are padded to `bytes_per_line`; sharp wants them packed.
+        const row_bytes = width * bytes
+        let data = xwd.subarray(offset, offset + row_bytes * height)
+        if (bytes_per_line !== row_bytes) {
+            data = Buffer.allocUnsafe(row_bytes * height)
+            for (let y = 0; y < height; y++) xwd.copy(data, y * row_bytes, offset + y * bytes_per_line)
+        }
+        // Byte of each channel within a pixel; at 32 bpp the unused one becomes sharp's alpha and is dropped.
+        const positions = shifts.map((shift) => byte_order ? bytes - 1 - shift / 8 : shift / 8)
+        if (bytes === 4) positions.push([0, 1, 2, 3].find((i) => !positions.includes(i)))
+        const matrix = positions.map((position) => Array.from({ length: bytes }, (_, i) => i === position ? 1 : 0))
+        const image = sharp(data, { raw: { width, height, channels: bytes } }).recomb(matrix)
+        return bytes === 4 ? image.removeAlpha() : image
+    }
+
+    const read = byte_order ? (i) => xwd.readUIntBE(i, bytes) : (i) => xwd.readUIntLE(i, bytes)
+    // Each mask to (shift, max) so any channel width scales to 0..255.
+    const channels = masks.map((mask) => {
+        const shift = mask ? Math.log2((mask & -mask) >>> 0) : 0
+        return { mask, shift, max: mask ? mask / 2 ** shift : 1 }
+    })
+    const data = Buffer.alloc(width * height * 3)
+    for (let y = 0; y < height; y++) {
+        const row = offset + y * bytes_per_line
+        for (let x = 0; x < width; x++) {
+            const pixel = read(row + x * bytes)
+            const out = (y * width + x) * 3
+            for (let c = 0; c < 3; c++) {
+                const { mask, shift, max } = channels[c]
+                data[out + c] = Math.round((((pixel & mask) >>> 0) / 2 ** shift) * 255 / max)
+            }
+        }
+    }
+    return sharp(data, { raw: { width, height, channels: 3 } })
+}
+
+// Synthetic screen for headless runs: a moving bar, the frame counter and the last input seen, so an end to end
+// test can check frames flow and input arrives without any display server.
+function createTestPatternCapture() {
+    const [width, height] = test_pattern_size.split('x').map(Number)
+    if (!(width > 0) || !(height > 0)) throw new Error(`Invalid SAILAWAY_TEST_PATTERN_SIZE "${test_pattern_size}"`)
+    const display = { id: 'test', name: 'test pattern', x: 0, y: 0, width, height, primary: true }
+    let frame = 0
+    let last_input = 'no input yet'
+
+    const escape = (text) => String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`)
+
+    return {
+        name: 'test',
+        async list_displays() {
+            return [display]
+        },
+        async capture() {
+            const { default: sharp } = await import('sharp')
+            frame += 1
+            const bar = (frame * 8) % width
+            const svg = [
+                `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`,
+                `<rect width="${width}" height="${height}" fill="#203040"/>`,
+                `<rect x="${bar}" width="${Math.max(8, Math.round(width / 40))}" height="${height}" fill="#4080c0"/>`,
+                `<text x="24" y="64" font-family="monospace" font-size="40" fill="#ffffff">frame ${frame}</text>`,
+                `<text x="24" y="112" font-family="monospace" font-size="24" fill="#c0c0c0">${escape(new Date().toISOString())}</text>`,
+                `<text x="24" y="160" font-family="monospace" font-size="24" fill="#ffd080">${escape(last_input)}</text>`,
+                '</svg>',
+            ].join('')
+            return await sharp(Buffer.from(svg)).png({ compressionLevel: 0 }).toBuffer()
+        },
+        observe_control(control, area) {
+            const parts = []
+            const mouse = control.mouse
+            if (area && mouse && typeof mouse.x === 'number' && typeof mouse.y === 'number') {
+                const x = area.x + Math.round(mouse.x * (area.width - 1))
+                const y = area.y + Math.round(mouse.y * (area.height - 1))
+                parts.push(`mouse ${x},${y} buttons=${mouse.buttons ?? 0}`)
+            }
+            if (Array.isArray(control.keys) && control.keys.length) parts.push(`keys=${control.keys.join('+')}`)
+            if (typeof control.text === 'string' && control.text) parts.push(`text=${JSON.stringify(control.text.slice(0, 40))}`)
+            if (Array.isArray(control.sequence)) parts.push(`sequence of ${control.sequence.length}`)
+            if (parts.length) last_input = `#${control.seq ?? '?'} ${parts.join(' ')}`
+        },
+    }
+}
+
+//#region ----------------------------------------------------------------------- INPUT DRIVERS
+
+// An input driver is { name, send(event), get_geometry?(), query_cursor?(), close?() }. send() injects one event:
+//   { type: 'mousemove', x, y }          virtual desktop pixels
+//   { type: 'mousedown' | 'mouseup', button }   1 left, 2 middle, 3 right, 8/9 back/forward
+//   { type: 'wheel', delta }             Windows-style, 120 per step, positive scrolls up
+//   { type: 'keydown' | 'keyup', vk }    browser keyCode / Windows virtual key
+//   { type: 'text', text }               characters, independent of the keyboard layout
+//   { type: 'sas' }                      secure attention sequence (Windows only)
+// Events a driver can't inject are skipped. get_geometry() resolves to the primary screen's { width, height }
+// (null when the driver doesn't know it), query_cursor() as documented on the Windows driver.
+const input_drivers = {
+    powershell: createWindowsInputDriver,
+    xdotool: createLinuxInputDriver,
+    uinput: createUinputInputDriver,
+    mock: createMockInputDriver,
+}
+
+function create_input_driver(name) {
+    const create = Object.hasOwn(input_drivers, name) ? input_drivers[name] : null
+    if (!create) {
+        throw new Error(`Unknown input driver "${name}" (expected ${Object.keys(input_drivers).join(', ')} or none)`)
+    }
+    return create()
 }
 
 //#region ----------------------------------------------------------------------- WINDOWS INPUT DRIVER
@@ -213,11 +1782,23 @@ public static class WinInput {
         public InputUnion U;
     }
 
+    // The mouse member sets the union's size: SendInput rejects a smaller INPUT.
     [StructLayout(LayoutKind.Explicit)]
     public struct InputUnion {
+        [FieldOffset(0)] public MOUSEINPUT mi;
         [FieldOffset(0)] public KEYBDINPUT ki;
     }
 
+    [StructLayout(LayoutKind.Sequential)]
+    public struct MOUSEINPUT {
+        public int dx;
+        public int dy;
+        public uint mouseData;
+        public uint dwFlags;
+        public uint time;
+        public UIntPtr dwExtraInfo;
+    }
+
     [StructLayout(LayoutKind.Sequential)]
     public struct KEYBDINPUT {
         public ushort wVk;
@@ -229,6 +1810,61 @@ public static class WinInput {
 
     [DllImport("user32.dll", SetLastError=true)]
     public static extern uint SendInput(uint nInputs, INPUT[] pInputs, int cbSize);
+
+    [DllImport("sas.dll")] public static extern void SendSAS(bool AsUser);
+
+    [StructLayout(LayoutKind.Sequential)]
+    public struct POINT {
+        public int X;
+        public int Y;
+    }
+
+    [StructLayout(LayoutKind.Sequential)]
+    public struct CURSORINFO {
+        public int cbSize;
+        public int flags;
+        public IntPtr hCursor;
+        public POINT ptScreenPos;
+    }
+
+    [DllImport("user32.dll")] public static extern bool GetCursorInfo(ref CURSORINFO pci);
+    [DllImport("user32.dll")] public static extern IntPtr LoadCursor(IntPtr hInstance, int lpCursorName);
+
+    // Standard cursors (IDC_*) and their CSS names; custom application cursors report as 'default'.
+    static readonly int[] CursorIds = { 32512, 32513, 32514, 32515, 32642, 32643, 32644, 32645, 32646, 32648, 32649, 32650 };
+    static readonly string[] CursorShapes = {
+        "default", "text", "wait", "crosshair", "nwse-resize", "nesw-resize", "ew-resize", "ns-resize",
+        "move", "not-allowed", "pointer", "progress",
+    };
+
+    public static string CursorState() {
+        CURSORINFO info = new CURSORINFO();
+        info.cbSize = Marshal.SizeOf(typeof(CURSORINFO));
+        if (!GetCursorInfo(ref info)) return "null";
+        string shape = "default";
+        for (int i = 0; i < CursorIds.Length; i++) {
+            if (info.hCursor == LoadCursor(IntPtr.Zero, CursorIds[i])) { shape = CursorShapes[i]; break; }
+        }
+        // CURSOR_SHOWING = 0x1
+        return "{\"x\":" + info.ptScreenPos.X + ",\"y\":" + info.ptScreenPos.Y + ",\"shape\":\"" + shape
+            + "\",\"visible\":" + ((info.flags & 1) != 0 ? "true" : "false") + "}";
+    }
+
+    // KEYEVENTF_UNICODE = 0x0004, KEYEVENTF_KEYUP = 0x0002. One press per UTF-16 unit:
+    // Windows pairs up surrogates itself.
+    public static void TypeText(string text) {
+        int size = Marshal.SizeOf(typeof(INPUT));
+        foreach (char ch in text) {
+            INPUT[] inputs = new INPUT[2];
+            inputs[0].type = 1;
+            inputs[0].U.ki.wScan = ch;
+            inputs[0].U.ki.dwFlags = 0x0004;
+            inputs[1].type = 1;
+            inputs[1].U.ki.wScan = ch;
+            inputs[1].U.ki.dwFlags = 0x0004 | 0x0002;
+            SendInput(2, inputs, size);
+        }
+    }
 }
 '@
 Add-Type -TypeDefinition $signature -Language CSharp
@@ -264,22 +1900,8 @@ function Wheel([int]$delta) {
 
 function TypeText([string]$text) {
     if ([string]::IsNullOrEmpty($text)) { return }
-    # KEYEVENTF_UNICODE = 0x0004, KEYEVENTF_KEYUP = 0x0002
-    foreach ($ch in $text.ToCharArray()) {
-        $inputs = @(
-            New-Object WinInput+INPUT,
-            New-Object WinInput+INPUT
-        )
-        $inputs[0].type = 1
-        $inputs[0].U.ki.wVk = 0
-        $inputs[0].U.ki.wScan = [uint16][int][char]$ch
-        $inputs[0].U.ki.dwFlags = 0x0004
-        $inputs[1].type = 1
-        $inputs[1].U.ki.wVk = 0
-        $inputs[1].U.ki.wScan = [uint16][int][char]$ch
-        $inputs[1].U.ki.dwFlags = 0x0004 -bor 0x0002
-        [WinInput]::SendInput(2, $inputs, [System.Runtime.InteropServices.Marshal]::SizeOf([type]WinInput+INPUT)) | Out-Null
-    }
+    # Built in C#: PowerShell copies structs on access, so INPUT fields can't be filled in from here.
+    [WinInput]::TypeText($text)
 }
 
 while ($true) {
@@ -302,6 +1924,12 @@ while ($true) {
         KeyDown([int]$msg.vk)
     } elseif ($type -eq 'keyup') {
         KeyUp([int]$msg.vk)
+    } elseif ($type -eq 'cursor') {
+        [Console]::Out.WriteLine("CURSOR " + [int]$msg.id + " " + [WinInput]::CursorState())
+        [Console]::Out.Flush()
+    } elseif ($type -eq 'sas') {
+        # Only honoured for services, or when the SoftwareSASGeneration policy lets applications do it.
+        try { [WinInput]::SendSAS($false) } catch { }
     }
 }
 `
@@ -317,12 +1945,266 @@ while ($true) {
         }
     }
 
+    // Query replies come back on stdout as "CURSOR <id> <json>" lines.
+    const pending_queries = new Map() // id -> resolve
+    let next_query_id = 1
+    readline.createInterface({ input: ps.stdout }).on('line', (line) => {
+        const match = /^CURSOR (\d+) (.*)$/.exec(line)
+        if (!match) return
+        const resolve = pending_queries.get(Number(match[1]))
+        if (!resolve) return
+        try {
+            resolve(JSON.parse(match[2]))
+        } catch {
+            resolve(null)
+        }
+    })
+
+    // { x, y, shape, visible } in virtual desktop pixels, or null.
+    async function query_cursor() {
+        const id = next_query_id++
+        const reply = new Promise((resolve) => {
+            pending_queries.set(id, resolve)
+            setTimeout(() => resolve(null), 1_000)
+        })
+        try {
+            await send({ type: 'cursor', id })
+            return await reply
+        } finally {
+            pending_queries.delete(id)
+        }
+    }
+
     return {
+        name: 'powershell',
         send,
+        get_geometry: getDisplayGeometryWindows,
+        query_cursor,
+        close: () => ps.kill(),
         process: ps,
     }
 }
 
+//#region ----------------------------------------------------------------------- LINUX INPUT DRIVER
+
+// Browser `KeyboardEvent.keyCode` (Windows VK based) -> X keysym name understood by xdotool.
+const X_KEYSYMS = {
+    8: 'BackSpace', 9: 'Tab', 12: 'KP_Begin', 13: 'Return',
+    16: 'Shift_L', 17: 'Control_L', 18: 'Alt_L', 19: 'Pause', 20: 'Caps_Lock',
+    27: 'Escape', 32: 'space',
+    33: 'Prior', 34: 'Next', 35: 'End', 36: 'Home',
+    37: 'Left', 38: 'Up', 39: 'Right', 40: 'Down',
+    44: 'Print', 45: 'Insert', 46: 'Delete',
+    91: 'Super_L', 92: 'Super_R', 93: 'Menu',
+    96: 'KP_0', 97: 'KP_1', 98: 'KP_2', 99: 'KP_3', 100: 'KP_4',
+    101: 'KP_5', 102: 'KP_6', 103: 'KP_7', 104: 'KP_8', 105: 'KP_9',
+    106: 'KP_Multiply', 107: 'KP_Add', 109: 'KP_Subtract', 110: 'KP_Decimal', 111: 'KP_Divide',
+    144: 'Num_Lock', 145: 'Scroll_Lock',
+    173: 'minus', 186: 'semicolon', 187: 'equal', 188: 'comma', 189: 'minus',
+    190: 'period', 191: 'slash', 192: 'grave', 219: 'bracketleft', 220: 'backslash',
+    221: 'bracketright', 222: 'apostrophe', 225: 'ISO_Level3_Shift',
+}
+
+function toXKeysymFromBrowserKeyCode(keyIntCode) {
+    const code = Number(keyIntCode)
+    if (!Number.isFinite(code)) return null
+    if (code in X_KEYSYMS) return X_KEYSYMS[code]
+    // Digits and letters share their ASCII codes.
+    if (code >= 48 && code <= 57) return String.fromCharCode(code)
+    if (code >= 65 && code <= 90) return String.fromCharCode(code).toLowerCase()
+    // F1..F24
+    if (code >= 112 && code <= 135) return `F${code - 111}`
+    return null
+}
+
+function createLinuxInputDriver() {
+    // xdotool is stateless: each command runs in its own process, chained so events keep their order.
+    let queue = Promise.resolve()
+
+    function run(args) {
+        const job = queue.then(() => execFileAsync('xdotool', args))
+        queue = job.catch((err) => {
+            console.warn(`[client] xdotool ${args[0]} failed: ${err?.stderr?.trim() || err?.message || err}`)
+        })
+        return queue
+    }
+
+    async function send(msg) {
+        switch (msg?.type) {
+            case 'mousemove':
+                return run(['mousemove', '--', String(msg.x | 0), String(msg.y | 0)])
+            case 'mousedown':
+            case 'mouseup': {
+                // Same numbering as the Windows driver: 1 left, 2 middle, 3 right, 8/9 back/forward.
+                const button = Number(msg.button)
+                if (![1, 2, 3, 8, 9].includes(button)) return
+                return run([msg.type, String(button)])
+            }
+            case 'wheel': {
+                // Windows-style delta: positive scrolls up (X button 4), negative down (X button 5).
+                const delta = Number(msg.delta) || 0
+                const steps = Math.round(Math.abs(delta) / 120)
+                if (steps <= 0) return
+                return run(['click', '--repeat', String(steps), '--delay', '0', delta > 0 ? '4' : '5'])
+            }
+            case 'text': {
+                const text = String(msg.text ?? '')
+                if (!text) return
+                // Held modifiers (Shift for a Shift+arrow selection, say) would change what gets typed.
+                return run(['type', '--clearmodifiers', '--delay', '0', '--', text])
+            }
+            case 'keydown':
+            case 'keyup': {
+                const keysym = toXKeysymFromBrowserKeyCode(msg.vk)
+                if (!keysym) return
+                return run([msg.type, '--', keysym])
+            }
+        }
+    }
+
+    // xdotool can't tell the pointer's shape.
+    async function query_cursor() {
+        const { stdout } = await execFileAsync('xdotool', ['getmouselocation', '--shell'])
+        const x = Number(/^X=(-?\d+)$/m.exec(stdout)?.[1])
+        const y = Number(/^Y=(-?\d+)$/m.exec(stdout)?.[1])
+        if (!Number.isFinite(x) || !Number.isFinite(y)) return null
+        return { x, y, shape: 'default', visible: true }
+    }
+
+    return {
+        name: 'xdotool',
+        send,
+        get_geometry: getDisplayGeometry,
+        query_cursor,
+        process: null,
+    }
+}
+
+//#region ----------------------------------------------------------------------- UINPUT INPUT DRIVER
+
+// Browser `KeyboardEvent.keyCode` -> Linux input event code (linux/input-event-codes.h).
+const EVDEV_KEYS = {
+    8: 14, 9: 15, 13: 28, 16: 42, 17: 29, 18: 56, 19: 119, 20: 58, 27: 1, 32: 57,
+    33: 104, 34: 109, 35: 107, 36: 102, 37: 105, 38: 103, 39: 106, 40: 108,
+    44: 99, 45: 110, 46: 111, 91: 125, 92: 126, 93: 127,
+    96: 82, 97: 79, 98: 80, 99: 81, 100: 75, 101: 76, 102: 77, 103: 71, 104: 72, 105: 73,
+    106: 55, 107: 78, 109: 74, 110: 83, 111: 98, 144: 69, 145: 70,
+    173: 12, 186: 39, 187: 13, 188: 51, 189: 12, 190: 52, 191: 53, 192: 41,
+    219: 26, 220: 43, 221: 27, 222: 40, 225: 100,
+}
+// Letter rows with the code of their first key.
+const EVDEV_LETTER_ROWS = [[16, 'QWERTYUIOP'], [30, 'ASDFGHJKL'], [44, 'ZXCVBNM']]
+
+function toEvdevFromBrowserKeyCode(keyIntCode) {
+    const code = Number(keyIntCode)
+    if (!Number.isFinite(code)) return null
+    if (code in EVDEV_KEYS) return EVDEV_KEYS[code]
+    // 1..9 then 0
+    if (code >= 49 && code <= 57) return code - 47
+    if (code === 48) return 11
+    if (code >= 65 && code <= 90) {
+        for (const [first, letters] of EVDEV_LETTER_ROWS) {
+            const at = letters.indexOf(String.fromCharCode(code))
+            if (at >= 0) return first + at
+        }
+    }
+    // F1..F10, F11/F12, F13..F24
+    if (code >= 112 && code <= 121) return code - 53
+    if (code === 122 || code === 123) return code - 35
+    if (code >= 124 && code <= 135) return code + 59
+    return null
+}
+
+// Kernel-level input through /dev/uinput, via ydotool (its ydotoold daemon must be running). Works under Wayland
+// and without any display server, but can't read the pointer back.
+function createUinputInputDriver() {
+    let queue = Promise.resolve()
+
+    function run(args) {
+        const job = queue.then(() => execFileAsync('ydotool', args))
+        queue = job.catch((err) => {
+            console.warn(`[client] ydotool ${args[0]} failed: ${err?.stderr?.trim() || err?.message || err}`)
+        })
+        return queue
+    }
+
+    // ydotool click codes: button (0 left, 1 right, 2 middle, 3 side, 4 extra) | 0x40 down | 0x80 up.
+    const BUTTONS = { 1: 0, 2: 2, 3: 1, 8: 3, 9: 4 }
+
+    async function send(msg) {
+        switch (msg?.type) {
+            case 'mousemove':
+                return run(['mousemove', '--absolute', '-x', String(msg.x | 0), '-y', String(msg.y | 0)])
+            case 'mousedown':
+            case 'mouseup': {
+                const button = BUTTONS[Number(msg.button)]
+                if (button == null) return
+                const code = button | (msg.type === 'mousedown' ? 0x40 : 0x80)
+                return run(['click', `0x${code.toString(16)}`])
+            }
+            case 'wheel': {
+                // Positive delta scrolls up; ydotool's wheel y is positive downwards.
+                const steps = Math.round((Number(msg.delta) || 0) / 120)
+                if (!steps) return
+                return run(['mousemove', '--wheel', '-x', '0', '-y', String(-steps)])
+            }
+            case 'text': {
+                const text = String(msg.text ?? '')
+                if (!text) return
+                return run(['type', '--key-delay', '0', '--', text])
+            }
+            case 'keydown':
+            case 'keyup': {
+                const code = toEvdevFromBrowserKeyCode(msg.vk)
+                if (code == null) return
+                return run(['key', `${code}:${msg.type === 'keydown' ? 1 : 0}`])
+            }
+        }
+    }
+
+    return {
+        name: 'uinput',
+        send,
+        process: null,
+    }
+}
+
+//#region ----------------------------------------------------------------------- MOCK INPUT DRIVER
+
+// Injects nothing: every event is appended to SAILAWAY_INPUT_LOG as one JSON line ({ time, type, ... }), so a test
+// can assert exactly what a viewer interaction produced. The pointer reads back where the last move put it.
+function createMockInputDriver() {
+    const pointer = { x: 0, y: 0 }
+    let queue = fs.mkdir(path.dirname(input_log_file), { recursive: true }).catch(() => {
+        // ignore: the first append reports it
+    })
+
+    function send(msg) {
+        if (!msg?.type) return
+        if (msg.type === 'mousemove') {
+            pointer.x = msg.x
+            pointer.y = msg.y
+        }
+        const line = JSON.stringify({ time: Date.now(), ...msg }) + '\n'
+        queue = queue.then(() => fs.appendFile(input_log_file, line)).catch((err) => {
+            console.warn(`[client] could not write ${input_log_file}: ${err?.message ?? err}`)
+        })
+        return queue
+    }
+
+    async function query_cursor() {
+        return { x: pointer.x, y: pointer.y, shape: 'default', visible: true }
+    }
+
+    console.log(`[client] mock input driver, logging to ${input_log_file}`)
+    return {
+        name: 'mock',
+        send,
+        query_cursor,
+        process: null,
+    }
+}
+
 //#region ----------------------------------------------------------------------- ACTION FUNCS
 
 function toWindowsVkFromBrowserKeyCode(keyIntCode) {
@@ -334,61 +2216,89 @@ function toWindowsVkFromBrowserKeyCode(keyIntCode) {
     return int
 }
 
-async function keyUp(key, windowsDriver) {
+async function keyUp(key, inputDriver) {
     const vk = toWindowsVkFromBrowserKeyCode(key)
     if (vk != null) {
-        await windowsDriver.send({ type: 'keyup', vk })
+        await inputDriver.send({ type: 'keyup', vk })
     }
 }
-async function keyDown(key, windowsDriver) {
+async function keyDown(key, inputDriver) {
     const vk = toWindowsVkFromBrowserKeyCode(key)
     if (vk != null) {
-        await windowsDriver.send({ type: 'keydown', vk })
+        await inputDriver.send({ type: 'keydown', vk })
     }
 }
 
-async function mouse_move(x, y, windowsDriver) {
-    return await windowsDriver.send({ type: 'mousemove', x, y })
+async function mouse_move(x, y, inputDriver) {
+    return await inputDriver.send({ type: 'mousemove', x, y })
 }
 
-async function mouse_down(button, windowsDriver) {
-    return await windowsDriver.send({ type: 'mousedown', button })
+async function mouse_down(button, inputDriver) {
+    return await inputDriver.send({ type: 'mousedown', button })
+}
+async function mouse_up(button, inputDriver) {
+    return await inputDriver.send({ type: 'mouseup', button })
 }
-async function mouse_up(button, windowsDriver) {
-    return await windowsDriver.send({ type: 'mouseup', button })
+async function mouse_wheel(delta, inputDriver) {
+    return await inputDriver.send({ type: 'wheel', delta })
 }
-async function mouse_wheel(delta, windowsDriver) {
-    return await windowsDriver.send({ type: 'wheel', delta })
+async function type_text(text, inputDriver) {
+    return await inputDriver.send({ type: 'text', text })
 }
 
 //#region ----------------------------------------------------------------------- UPD DATA
 
 let inner_key_state = {}
 let last_mouse = { x: null, y: null }
-let old_mouse_btn = null
+let old_mouse_btn = 0 // browser `buttons` bitmask last applied
 
 //#region ----------------------------------------------------------------------- UPD
 
-async function apply_controls(control, geometry, windowsDriver) {
+// Viewers send the browser's `buttons` bitmask; drivers take one button number per event.
+const MOUSE_BUTTON_BITS = [
+    [1, 1], // left
+    [2, 3], // right
+    [4, 2], // middle
+    [8, 8], // back
+    [16, 9], // forward
+]
+
+// Presses and releases whatever changed between the last applied bitmask and `buttons`.
+async function set_mouse_buttons(buttons, inputDriver) {
+    const before = old_mouse_btn
+    old_mouse_btn = buttons
+    for (const [bit, button] of MOUSE_BUTTON_BITS) {
+        if ((before & bit) && !(buttons & bit)) await mouse_up(button, inputDriver)
+    }
+    for (const [bit, button] of MOUSE_BUTTON_BITS) {
+        if (!(before & bit) && (buttons & bit)) await mouse_down(button, inputDriver)
+    }
+}
+
+// `geometry` is the captured area: normalized viewer coordinates map into it, offset into the virtual desktop.
+// Pointer input outside of it is refused (only releasing buttons still goes through).
+async function apply_controls(control, geometry, inputDriver) {
 
     // mouse handle
     const mouse = control.mouse ?? null
-    if (mouse && typeof mouse.x === 'number' && typeof mouse.y === 'number') {
-        const x = Math.max(0, Math.min(geometry.width - 1, Math.round(mouse.x * (geometry.width - 1))))
-        const y = Math.max(0, Math.min(geometry.height - 1, Math.round(mouse.y * (geometry.height - 1))))
+    const inside = mouse && mouse.x >= 0 && mouse.x <= 1 && mouse.y >= 0 && mouse.y <= 1
+    const mouse_buttons = Number(mouse?.buttons) > 0 ? Number(mouse.buttons) & 0x1f : 0
+    if (mouse && !inside && old_mouse_btn && !mouse_buttons) {
+        await set_mouse_buttons(0, inputDriver)
+    }
+    if (inside && typeof mouse.x === 'number' && typeof mouse.y === 'number') {
+        const offsetX = geometry.x ?? 0
+        const offsetY = geometry.y ?? 0
+        const x = offsetX + Math.max(0, Math.min(geometry.width - 1, Math.round(mouse.x * (geometry.width - 1))))
+        const y = offsetY + Math.max(0, Math.min(geometry.height - 1, Math.round(mouse.y * (geometry.height - 1))))
 
         if (x !== last_mouse.x || y !== last_mouse.y) {
-            await mouse_move(x, y, windowsDriver)
+            await mouse_move(x, y, inputDriver)
             last_mouse.x = x
             last_mouse.y = y
         }
 
-        const mouse_button = mouse.buttons
-        if (old_mouse_btn != mouse_button) {
-            await mouse_up(old_mouse_btn, windowsDriver)
-            await mouse_down(mouse_button, windowsDriver)
-            old_mouse_btn = mouse_button
-        }
+        if (old_mouse_btn !== mouse_buttons) await set_mouse_buttons(mouse_buttons, inputDriver)
 
         // Wheel (one-shot, expressed in steps; positive = scroll down)
         const wheelY = Number(mouse.wheel?.y ?? 0)
@@ -397,7 +2307,7 @@ async function apply_controls(control, geometry, windowsDriver) {
             // Windows wheel delta: positive is typically scroll up; we use positive=down.
             const delta = -steps * 120
             if (delta !== 0) {
-                await mouse_wheel(delta, windowsDriver)
+                await mouse_wheel(delta, inputDriver)
             }
         }
     }
@@ -407,45 +2317,97 @@ async function apply_controls(control, geometry, windowsDriver) {
         for (let key of keysDown) {
             key = parseInt(key)
             if (!inner_key_state[key]) {
-                await keyDown(key, windowsDriver)
+                await keyDown(key, inputDriver)
                 inner_key_state[key] = true
             }
         }
         for (let key of Object.keys(inner_key_state)) {
             key = parseInt(key)
             if (!keysDown.includes(key)) {
-                await keyUp(key, windowsDriver)
+                await keyUp(key, inputDriver)
                 delete inner_key_state[key]
             }
         }
     }
+    // key sequence (one-shot macro from the viewer's key toolbar)
+    if (Array.isArray(control.sequence)) {
+        await apply_key_sequence(control.sequence.slice(0, key_sequence_max_steps), inputDriver)
+    }
+    // typed text (one-shot, layout independent: injected as characters, not keys)
+    if (typeof control.text === 'string' && control.text) {
+        await type_text(control.text.slice(0, text_max_chars), inputDriver)
+    }
+}
+
+function is_ctrl_alt_del(steps) {
+    const downs = new Set(steps.filter(step => step?.down).map(step => parseInt(step.key)))
+    return downs.size === 3 && downs.has(17) && downs.has(18) && downs.has(46)
+}
+
+// Steps are { key, down }, played in order. Keys the viewer holds stay held: the macro neither presses
+// nor releases them. Whatever the macro leaves pressed is released at the end.
+async function apply_key_sequence(steps, inputDriver) {
+    if (process.platform === 'win32' && is_ctrl_alt_del(steps)) {
+        // Injected keys can't produce the secure attention sequence.
+        return await inputDriver.send({ type: 'sas' })
+    }
+    const pressed = []
+    for (const step of steps) {
+        const key = parseInt(step?.key)
+        if (!Number.isFinite(key) || inner_key_state[key]) continue
+        if (step.down) {
+            if (pressed.includes(key)) continue
+            await keyDown(key, inputDriver)
+            pressed.push(key)
+        } else if (pressed.includes(key)) {
+            await keyUp(key, inputDriver)
+            pressed.splice(pressed.indexOf(key), 1)
+        }
+    }
+    for (const key of pressed.reverse()) {
+        await keyUp(key, inputDriver)
+    }
+}
+
+// Back to a neutral state: nothing pressed. Used when control events went missing, since the lost
+// ones may have been the releases.
+async function release_input(inputDriver) {
+    for (const key of Object.keys(inner_key_state)) {
+        await keyUp(parseInt(key), inputDriver)
+        delete inner_key_state[key]
+    }
+    await set_mouse_buttons(0, inputDriver)
 }
 
 //#region ----------------------------------------------------------------------- MAIN ENTRY
 
 async function main() {
     const session_id = await get_or_create_session_id()
+    host_auth.secret = await get_or_create_host_secret()
+    host_auth.pin = generate_pin()
     console.log(`session_id=${session_id}`)
+    console.log(`pin=${host_auth.pin}`)
     console.log(`server=${server}`)
     console.log(`interval_ms=${update_time_ms}`)
 
+    const captureBackend = create_capture_backend(capture_backend_name)
+    console.log(`capture_backend=${captureBackend.name}`)
+
     const platform = process.platform
     let geometry = null
     let canApplyControls = false
-    let windowsDriver = null
-    if (true) {
+    let inputDriver = null
+    if (input_driver_name === 'none') {
+        console.log('[client] controls disabled (SAILAWAY_INPUT=none)')
+    } else {
         try {
-            if (platform === 'win32') {
-                geometry = await getDisplayGeometryWindows()
-                windowsDriver = createWindowsInputDriver()
-                canApplyControls = true
-                console.log(`[client] windows display geometry: ${geometry.width}x${geometry.height}`)
-            } else {
-                geometry = await getDisplayGeometry()
-                canApplyControls = true
-                console.log(`[client] xdotool display geometry: ${geometry.width}x${geometry.height}`)
-            }
+            inputDriver = create_input_driver(input_driver_name)
+            geometry = (await inputDriver.get_geometry?.()) ?? null
+            canApplyControls = true
+            console.log(`[client] input driver ${inputDriver.name}${geometry ? `, display geometry: ${geometry.width}x${geometry.height}` : ''}`)
         } catch (err) {
+            inputDriver?.close?.()
+            inputDriver = null
             canApplyControls = false
             const message = err?.message ?? String(err)
             const code = err?.code
@@ -453,13 +2415,149 @@ async function main() {
             if (platform !== 'win32' && code === 'ENOENT' && (path === 'xdotool' || /\bxdotool\b/i.test(message))) {
                 console.warn('[client] controls disabled (input backend failed): xdotool not found')
                 console.warn('[client] install on Ubuntu/Debian: sudo apt update && sudo apt install -y xdotool')
-                console.warn('[client] or disable controls: SAILAWAY_APPLY_CONTROLS=0 node .')
+                console.warn('[client] or disable controls: SAILAWAY_INPUT=none node .')
             } else {
                 console.warn(`[client] controls disabled (input backend failed): ${message}`)
             }
         }
     }
 
+    // Displays: the capture follows the selected display (or all of them), and input is
+    // mapped into the same area of the virtual desktop.
+    let displays = []
+    try {
+        displays = await captureBackend.list_displays()
+    } catch (err) {
+        console.warn(`[client] could not list displays, using a single screen: ${err?.message ?? err}`)
+    }
+    if (!displays.length && geometry) {
+        displays = [{ id: '', name: 'screen', x: 0, y: 0, width: geometry.width, height: geometry.height, primary: true }]
+    }
+    let selectedDisplay = initial_display || (displays.find(d => d.primary) ?? displays[0])?.id || ''
+    for (const d of displays) {
+        console.log(`[client] display ${d.id || d.name}: ${d.width}x${d.height}+${d.x}+${d.y}${d.id === selectedDisplay ? ' (selected)' : ''}`)
+    }
+
+    // Capture: the selected display, or a rectangle / window within the desktop. `capturePlan` says what to grab
+    // ({ source, area, crop }); null while a window capture has no window to show.
+    let capture = parse_capture(initial_capture)
+    if (!capture) {
+        console.warn(`[client] invalid SAILAWAY_CAPTURE "${initial_capture}", capturing the screen`)
+        capture = parse_capture('screen')
+    }
+    let windowBounds = null
+    let capturePlan = null
+    let captureArea = null
+
+    const update_capture = () => {
+        let plan = null
+        if (capture.mode === 'screen') {
+            plan = { source: selectedDisplay, area: displays.length ? get_capture_area(displays, selectedDisplay) : geometry, crop: null }
+        } else {
+            const region = capture.mode === 'rect' ? capture.rect : windowBounds
+            if (region && displays.length) plan = plan_region_capture(displays, region)
+        }
+        if (JSON.stringify(plan) === JSON.stringify(capturePlan)) return
+        capturePlan = plan
+        captureArea = plan?.area ?? null
+        request_keyframe()
+        if (captureArea) {
+            console.log(`[client] capturing ${capture.spec}: ${captureArea.width}x${captureArea.height}+${captureArea.x}+${captureArea.y}`)
+        } else {
+            console.warn(`[client] nothing to capture for ${capture.spec}, frames paused`)
+        }
+    }
+
+    const publish_displays = async () => {
+        try {
+            await ensure_registered(session_id)
+            await post_displays(session_id, displays, selectedDisplay, capture.spec, capture_locked)
+        } catch {
+            // Republished on the next refresh.
+        }
+    }
+
+    // Follow the captured window as it moves, resizes or comes and goes.
+    let windowTicking = false
+    let lastWindowError = ''
+    const refreshWindow = async () => {
+        if ((capture.mode !== 'window' && capture.mode !== 'pid') || windowTicking) return
+        windowTicking = true
+        const following = capture
+        try {
+            const bounds = await find_window(following)
+            lastWindowError = ''
+            if (capture !== following) return
+            windowBounds = bounds
+            update_capture()
+        } catch (err) {
+            const message = err?.code === 'ENOENT' ? `${err.path} not found` : (err?.message ?? String(err))
+            if (message !== lastWindowError) console.warn(`[client] window lookup failed: ${message}`)
+            lastWindowError = message
+        } finally {
+            windowTicking = false
+        }
+    }
+
+    const select_display = (id) => {
+        if (id === selectedDisplay && capture.mode === 'screen') return
+        if (id !== 'all' && !displays.some(d => d.id === id)) return
+        selectedDisplay = id
+        // Picking a display means showing all of it.
+        capture = parse_capture('screen')
+        update_capture()
+        void publish_displays()
+    }
+
+    const select_capture = async (spec) => {
+        const next = parse_capture(spec)
+        if (!next || next.spec === capture.spec) return
+        capture = next
+        windowBounds = null
+        update_capture()
+        void publish_displays()
+        await refreshWindow()
+    }
+
+    // Pick up plugged/unplugged monitors; also republishes after a server restart.
+    const refreshDisplays = async () => {
+        try {
+            const next = await captureBackend.list_displays()
+            if (next.length && JSON.stringify(next) !== JSON.stringify(displays)) {
+                displays = next
+                if (selectedDisplay !== 'all' && !displays.some(d => d.id === selectedDisplay)) {
+                    selectedDisplay = (displays.find(d => d.primary) ?? displays[0]).id
+                }
+                update_capture()
+            }
+        } catch {
+            // Keep the last known layout.
+        }
+        await publish_displays()
+    }
+    update_capture()
+    void refreshWindow()
+    void publish_displays()
+    setInterval(() => {
+        void refreshDisplays()
+    }, 30_000)
+
+    // Presence: the session list shows us online with the current capture size.
+    const heartbeat = async () => {
+        host_info.width = captureArea?.width ?? 0
+        host_info.height = captureArea?.height ?? 0
+        try {
+            await ensure_registered(session_id)
+            await post_heartbeat(session_id)
+        } catch {
+            // Retried on the next beat.
+        }
+    }
+    void heartbeat()
+    setInterval(() => {
+        void heartbeat()
+    }, heartbeat_ms)
+
     /** @type {{ lastAppliedTime: number, lastKeysDown: Set<any>, lastButtonsMask: number, lastMouseX: number, lastMouseY: number }} */
     let controlState = {
         lastAppliedTime: 0,
@@ -470,52 +2568,469 @@ async function main() {
     }
 
     // Viewer-driven sending: at start timer is 0 -> no images.
-    let hasWakeSignal = false
+    let lastControlTime = 0
+    const hasWakeSignal = () => lastControlTime + 30_000 > Date.now()
+
+    // Viewer consent: a viewer's packets (wake included) are ignored until the host approves it.
+    /** @type {Map<string, 'pending' | 'approved' | 'rejected'>} */
+    const approvals = new Map()
+    const reportedApprovals = new Set()
+    const lastSeen = new Map() // viewer_id -> latest control time
+
+    const report_approval = (viewer_id, status) => {
+        reportedApprovals.add(viewer_id)
+        post_approval(session_id, viewer_id, status).catch(() => {
+            // Retried with the viewer's next packet.
+            reportedApprovals.delete(viewer_id)
+        })
+    }
+
+    const review_viewer = (viewer) => {
+        const viewer_id = viewer.viewer_id
+        approvals.set(viewer_id, 'pending')
+        report_approval(viewer_id, 'pending')
+        console.log(`[client] viewer ${describe_viewer(viewer)} is waiting for approval`)
+        request_approval(viewer).catch(() => 'rejected').then((status) => {
+            approvals.set(viewer_id, status)
+            console.log(`[client] viewer ${describe_viewer(viewer)} ${status}`)
+            // Its wake packet arrived while pending: count it now.
+            if (status === 'approved') lastControlTime = Math.max(lastControlTime, lastSeen.get(viewer_id) ?? 0)
+            report_approval(viewer_id, status)
+        })
+    }
+
+    const is_approved = (control) => {
+        const viewer = control.viewer
+        if (!viewer?.viewer_id) return true // sent with the host's own token
+        const viewer_id = viewer.viewer_id
+        lastSeen.set(viewer_id, Math.max(lastSeen.get(viewer_id) ?? 0, control.time))
+        const status = approvals.get(viewer_id)
+        if (status == null) {
+            review_viewer(viewer)
+            return false
+        }
+        if (!reportedApprovals.has(viewer_id)) report_approval(viewer_id, status)
+        return status === 'approved'
+    }
+
+    // Control events are applied strictly in `seq` order, each once. `controlSeq` is our cursor into the
+    // server's queue; acking it lets the server drop what we already handled.
+    let controlSeq = 0
+    let ackedSeq = 0
+    let lastSelectTime = 0
+    const handle_controls = async (controls, gap) => {
+        if (!Array.isArray(controls)) return
+        if (gap) {
+            // Events went missing (or the server restarted and numbers start over).
+            controlSeq = 0
+            console.warn('[client] control events lost, releasing held keys and buttons')
+            if (canApplyControls) await release_input(inputDriver).catch(() => { })
+        }
+        controls = controls.filter(c => c.seq > controlSeq)
+        if (controls.length === 0) return
+        controlSeq = controls[controls.length - 1].seq
+
+        controls = controls.filter(is_approved)
+        if (controls.length === 0) return
+        lastControlTime = Math.max(lastControlTime, controls[controls.length - 1].time)
+
+        // Display and capture selection work even when input can't be applied.
+        for (const control of controls) {
+            if ((control.select_display == null && control.capture == null) || !(control.time > lastSelectTime)) continue
+            lastSelectTime = control.time
+            if (capture_locked) continue
+            if (control.select_display != null) select_display(String(control.select_display))
+            else await select_capture(String(control.capture))
+        }
+        for (const control of controls) {
+            captureBackend.observe_control?.(control, captureArea)
+        }
+
+        if (!canApplyControls || !captureArea) return
+
+        // Don't replay input that sat in the queue while we were away; skipping some counts as a gap.
+        const now = Date.now()
+        const used_controls = controls.filter(c => c.time > now - control_max_age_ms)
+        if (used_controls.length < controls.length) await release_input(inputDriver)
+        for (const control of used_controls) {
+            await apply_controls(control, captureArea, inputDriver)
+        }
+    }
+
+    // Acks are cumulative, one per batch is enough.
+    const ack_handled = async () => {
+        if (controlSeq <= ackedSeq) return
+        const seq = controlSeq
+        if (!hostSocket?.send_json({ type: 'ack', seq })) {
+            await ack_controls(session_id, seq)
+        }
+        ackedSeq = seq
+    }
+
+    // Socket pushes and HTTP polls go through one chain: batches are handled one at a time, in arrival order.
+    let controlQueue = Promise.resolve()
+    const queue_controls = (controls, gap) => {
+        controlQueue = controlQueue
+            .then(() => handle_controls(controls, gap))
+            .then(ack_handled)
+            .catch(() => { })
+        return controlQueue
+    }
+
+    // Clipboard: viewers paste into ours. Ours is only read when an approved viewer asks for it
+    // ("copy from host"), never in the background.
+    let lastClipboardTime = 0
+    let lastClipboardRequest = 0
+    let clipboardWorks = clipboard_enabled
+
+    const apply_clipboard = async (clipboard) => {
+        if (clipboard?.request) return answer_clipboard(clipboard)
+        if (!clipboardWorks || !clipboard || !(clipboard.time > lastClipboardTime)) return
+        lastClipboardTime = clipboard.time
+        // Like input, an old paste (e.g. the last one before we restarted) is skipped, not replayed.
+        if (clipboard.time < Date.now() - control_max_age_ms) return
+        const viewer_id = clipboard.viewer?.viewer_id
+        if (viewer_id && approvals.get(viewer_id) !== 'approved') return
+        const text = String(clipboard.text ?? '')
+        if (Buffer.byteLength(text, 'utf8') > clipboard_max_bytes) return
+        try {
+            await write_clipboard(text)
+        } catch (err) {
+            console.warn(`[client] could not set clipboard: ${err?.message ?? err}`)
+        }
+    }
+
+    const answer_clipboard = async (request) => {
+        if (!clipboardWorks || !(request.time > lastClipboardRequest)) return
+        lastClipboardRequest = request.time
+        // Nobody is waiting for an answer to an old request (e.g. one from before we started).
+        if (request.time < Date.now() - control_max_age_ms) return
+        const viewer_id = request.viewer?.viewer_id
+        if (viewer_id && approvals.get(viewer_id) !== 'approved') return
+        let text
+        try {
+            text = await read_clipboard()
+        } catch (err) {
+            clipboardWorks = false
+            console.warn(`[client] clipboard sync disabled: ${err?.message ?? err}`)
+            if (process.platform !== 'win32') console.warn('[client] install on Ubuntu/Debian: sudo apt install -y xclip')
+            return
+        }
+        if (Buffer.byteLength(text, 'utf8') > clipboard_max_bytes) return
+        try {
+            await ensure_registered(session_id)
+            await post_clipboard(session_id, text)
+        } catch {
+            // The viewer asks again.
+        }
+    }
+
+    // Files: approved viewers drop files into our inbox and fetch what we put in the outbox.
+    // Polling picks up whatever a socket push missed and resumes interrupted transfers.
+    const activeTransfers = new Set()
+    let lastOutbox = ''
+    let lastOutboxTime = 0
+
+    const handle_transfer = async (transfer) => {
+        if (!files_enabled || !transfer || activeTransfers.has(transfer.id)) return
+        if (approvals.get(transfer.viewer?.viewer_id) !== 'approved') return
+        const incoming = transfer.direction === 'to_host' && transfer.status === 'complete'
+        const outgoing = transfer.direction === 'from_host' && ['requested', 'uploading'].includes(transfer.status)
+        if (!incoming && !outgoing) return
+
+        activeTransfers.add(transfer.id)
+        const who = describe_viewer(transfer.viewer)
+        try {
+            if (incoming) {
+                const target = await receive_file(session_id, transfer)
+                console.log(`[client] received ${target} (${transfer.size} bytes) from ${who}`)
+            } else {
+                await send_file(session_id, transfer)
+                console.log(`[client] sent ${transfer.name} to ${who}`)
+            }
+        } catch (err) {
+            console.warn(`[client] transfer of ${transfer.name} with ${who} failed: ${err?.message ?? err}`)
+        } finally {
+            activeTransfers.delete(transfer.id)
+        }
+    }
 
+    const filesTick = async () => {
+        if (!files_enabled || !hasWakeSignal()) return
+        try {
+            await ensure_registered(session_id)
+            const outbox = JSON.stringify(await list_outbox())
+            // Republished now and then in case the server restarted.
+            if (outbox !== lastOutbox || lastOutboxTime + 30_000 < Date.now()) {
+                await post_outbox(session_id, JSON.parse(outbox))
+                lastOutbox = outbox
+                lastOutboxTime = Date.now()
+            }
+            for (const transfer of await get_transfers(session_id)) void handle_transfer(transfer)
+        } catch {
+            // Retried on the next tick.
+        }
+    }
+
+    if (files_enabled) {
+        console.log(`[client] inbox=${inbox_dir}`)
+        if (outbox_dir) {
+            console.log(`[client] outbox=${outbox_dir}`)
+            await fs.mkdir(outbox_dir, { recursive: true }).catch(() => {
+                // ignore: list_outbox() treats it as empty
+            })
+        }
+    }
+
+    // Video mode (SAILAWAY_VIDEO): only offered over the socket, and only encoded while a viewer plays it.
+    let videoEnabled = !!video_codec && use_socket
+    if (video_codec && !Object.hasOwn(VIDEO_CODECS, video_codec)) {
+        console.warn(`[client] unknown SAILAWAY_VIDEO=${video_codec} (expected ${Object.keys(VIDEO_CODECS).join(', ')})`)
+        videoEnabled = false
+    } else if (video_codec && !use_socket) {
+        console.warn('[client] video mode needs the socket (SAILAWAY_SOCKET=0)')
+    }
+    if (videoEnabled) host_info.video = VIDEO_CODECS[video_codec].mime
+
+    // What viewers watch; the server tells us on connect and on change (and with polled controls).
+    let wanted = { images: true, video: false }
+    let videoEncoder = null
+    let videoRetryAt = 0
+
+    const stop_video = () => {
+        videoEncoder?.close()
+        videoEncoder = null
+    }
+
+    const set_wanted = (next) => {
+        wanted = { images: next?.images !== false, video: !!next?.video }
+        if (!wanted.video) stop_video()
+    }
+
+    const send_video_frame = async (raw_buffer, crop) => {
+        const frame = await to_video_frame(raw_buffer, crop)
+        if (videoEncoder?.closed) {
+            if (videoEncoder.error?.code === 'ENOENT') {
+                console.warn('[client] ffmpeg not found, video mode disabled')
+                host_info.video = ''
+                videoEnabled = false
+                videoEncoder = null
+                return
+            }
+            if (videoEncoder.error) console.warn(`[client] video encoder failed: ${videoEncoder.error.message}`)
+            videoEncoder = null
+            videoRetryAt = Date.now() + socket_retry_ms
+        }
+        // A new size needs a new stream (viewers reload from its init segment).
+        if (videoEncoder && (videoEncoder.width !== frame.width || videoEncoder.height !== frame.height)) stop_video()
+        if (!videoEncoder) {
+            if (Date.now() < videoRetryAt) return
+            videoEncoder = createVideoEncoder(session_id, frame.width, frame.height)
+        }
+        videoEncoder.write(frame.data)
+    }
+
+    // Peer-to-peer mode: frames straight to viewers that manage to connect.
+    let peerHost = null
+    if (webrtc_enabled) {
+        const wrtc = await load_wrtc()
+        if (!wrtc) {
+            console.log('[client] peer-to-peer mode off (npm install @roamhq/wrtc to enable, SAILAWAY_WEBRTC=0 to hide this)')
+        } else {
+            console.log('[client] peer-to-peer mode on')
+            host_info.ice_servers = ice_servers
+            peerHost = createPeerHost(wrtc, {
+                send_signal: (to, signal) => {
+                    if (hostSocket?.send_json({ type: 'signal', to, signal })) return
+                    post_signal(session_id, to, signal).catch(() => {
+                        // The viewer gives up waiting and stays on the relayed path.
+                    })
+                },
+                accepts: (viewer) => viewer.view_only
+                    ? validShares.has(viewer.share_id)
+                    : approvals.get(viewer.viewer_id) === 'approved',
+            })
+        }
+    }
+
+    // View-only peers watch through a share link: the server can't see their traffic, so we cut them off
+    // ourselves once it is revoked or expires. Checked before answering them, then every few seconds.
+    let validShares = new Set()
+    const refresh_shares = async () => {
+        validShares = new Set((await list_shares(session_id)).map(share => share.share_id))
+    }
+
+    // Signals are handled one at a time, in order: candidates must not overtake their offer.
+    let signalQueue = Promise.resolve()
+    const handle_signals = (signals) => {
+        for (const signal of signals ?? []) {
+            signalQueue = signalQueue.then(async () => {
+                if (signal?.type === 'offer' && signal.viewer?.view_only) {
+                    await refresh_shares().catch(() => {
+                        // Unknown for now: the link counts as invalid.
+                    })
+                }
+                peerHost?.handle_signal(signal)
+            })
+        }
+    }
+
+    const sharesTick = async () => {
+        if (!peerHost?.has_view_only()) return
+        try {
+            await refresh_shares()
+        } catch {
+            // Retried on the next tick; peers keep their last known state meanwhile.
+            return
+        }
+        peerHost.prune()
+    }
+
+    const signalTick = async () => {
+        // Signals arrive through the socket while it is up.
+        if (!peerHost || hostSocket?.current()) return
+        try {
+            await ensure_registered(session_id)
+            handle_signals(await get_signals(session_id))
+        } catch {
+            // Retried on the next tick.
+        }
+    }
+
+    const hostSocket = use_socket
+        ? open_host_socket(session_id, {
+            wanted: ({ wanted: next }) => set_wanted(next),
+            signals: ({ signals }) => handle_signals(signals),
+            controls: ({ controls, gap }) => void queue_controls(controls, gap),
+            stats: ({ stats }) => record_viewer_stats(stats),
+            clipboard: ({ clipboard }) => void apply_clipboard(clipboard),
+            files: ({ transfer }) => void handle_transfer(transfer),
+        }, () => controlSeq)
+        : null
+
+    // Tile deltas depend on the previous frame: never encode two frames at once.
+    let ticking = false
+    let relaying = true
     const tick = async () => {
-        if (!hasWakeSignal) return
+        if (!hasWakeSignal() || ticking || !capturePlan) return
+        ticking = true
 
         try {
             // screenshot-desktop returns a PNG buffer by default.
             // Compress before upload to reduce bandwidth.
-            const raw_buffer = await screenshot()
-            const image_buffer = await compress_image_buffer(raw_buffer)
-            await post_image(session_id, image_buffer)
+            const { source, crop } = capturePlan
+            const raw_buffer = await captureBackend.capture(displays, source)
+            const sendVideo = videoEnabled && wanted.video && !!hostSocket?.current()
+            if (sendVideo) await send_video_frame(raw_buffer, crop)
+            else stop_video()
+            // Images go to the server unless every viewer plays the video or is connected peer to peer
+            // (and nothing records). It missed tile deltas meanwhile: catch it up with a keyframe.
+            const peers = peerHost?.receivers() ?? 0
+            const relay = wanted.images || !(sendVideo || peers)
+            if (relay && !relaying) request_keyframe()
+            relaying = relay
+            if (!relay && !peers) return
+            const image_buffer = use_tiles && compress_images
+                ? await encode_tile_frame(raw_buffer, crop)
+                : await compress_image_buffer(raw_buffer, crop)
+            // Nothing changed on screen.
+            if (!image_buffer) return
+            if (peers) peerHost.send_frame(image_buffer)
+            if (!relay) return
+            await ensure_registered(session_id)
+            const started = Date.now()
+            if (hostSocket?.current()) {
+                await hostSocket.send_image(image_buffer)
+            } else {
+                await post_image(session_id, image_buffer)
+            }
+            record_upload(image_buffer.length, Date.now() - started)
+            adapt_settings()
             // console.log('posted')
         } catch (err) {
+            request_keyframe()
             console.error(`[client] frame upload error: ${err?.message ?? err}`)
+        } finally {
+            ticking = false
         }
     }
 
-    let lasttime = 0
+    let polling = false
     const controlTick = async () => {
-        if (!canApplyControls || !geometry) return
+        // Controls arrive through the socket while it is up.
+        if (hostSocket?.current() || polling) return
 
+        polling = true
         try {
-            const controls = await get_controls(session_id)
-            if (!Array.isArray(controls) || controls.length === 0) {
-                hasWakeSignal = false
-                return
-            }
-            const now = Date.now()
-            const used_controls = controls.filter(c => {
-                return c.time > lasttime &&
-                    c.time > now - 3_000
-            })
-            hasWakeSignal = controls[controls.length - 1].time + 30_000 > Date.now()
-            if (!used_controls.length) return
-            for (const control of used_controls) {
-                await apply_controls(control, geometry, windowsDriver)
-            }
-            lasttime = used_controls[used_controls.length - 1].time
+            await ensure_registered(session_id)
+            const json = await get_controls(session_id, controlSeq)
+            for (const stats of json?.stats ?? []) record_viewer_stats(stats)
+            if (json?.clipboard) void apply_clipboard(json.clipboard)
+            if (json?.clipboard_request) void apply_clipboard(json.clipboard_request)
+            if (json?.wanted) set_wanted(json.wanted)
+            await queue_controls(json?.controls, json?.gap)
         } catch {
             // No-op: controls are optional and may not be available yet.
+        } finally {
+            polling = false
+        }
+    }
+
+    // Pointer: reported apart from frames, so viewers see it move at input speed rather than frame rate.
+    // Unchanged positions are only repeated now and then (the server may have restarted).
+    let lastCursor = ''
+    let lastCursorSent = 0
+    let cursorTicking = false
+    const cursorTick = async () => {
+        if (!cursor_enabled || !inputDriver?.query_cursor || !captureArea || !hasWakeSignal() || cursorTicking) return
+        cursorTicking = true
+        try {
+            const state = await inputDriver.query_cursor()
+            if (!state) return
+            const cursor = to_area_cursor(state, captureArea)
+            const key = JSON.stringify(cursor)
+            if (key === lastCursor && Date.now() - lastCursorSent < 5_000) return
+            if (!hostSocket?.send_json({ type: 'cursor', cursor })) {
+                await ensure_registered(session_id)
+                await post_cursor(session_id, cursor)
+            }
+            lastCursor = key
+            lastCursorSent = Date.now()
+        } catch {
+            // Viewers keep their local pointer until the next read works.
+        } finally {
+            cursorTicking = false
         }
     }
 
     setInterval(() => {
-        void tick()
-    }, update_time_ms)
+        void cursorTick()
+    }, cursor_interval_ms)
+
+    setInterval(() => {
+        void filesTick()
+    }, 2_000)
+
+    setInterval(() => {
+        void signalTick()
+    }, 1_000)
+
+    setInterval(() => {
+        void sharesTick()
+        peerHost?.prune()
+    }, 5_000)
+
+    setInterval(() => {
+        if (hasWakeSignal()) void refreshWindow()
+    }, window_refresh_ms)
+
+    // Self-scheduled so the adaptive controller can change the interval on the fly.
+    const frameLoop = async () => {
+        const started = Date.now()
+        await tick()
+        setTimeout(frameLoop, Math.max(0, encode_settings.interval_ms - (Date.now() - started)))
+    }
+    void frameLoop()
     setInterval(() => {
         void controlTick()
     }, 10)
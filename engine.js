@@ -1,41 +1,1194 @@
+import crypto from 'node:crypto'
+import { EventEmitter } from 'node:events'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+
+import { is_tile_packet, decode_tile_packet, encode_tile_packet } from './tiles.js'
+import { record_frame, record_controls, is_recording_enabled } from './recorder.js'
+import { create_video_splitter, video_container } from './video.js'
+
 const session_data = {}
 
+const token_ttl_ms = Number(process.env.SAILAWAY_TOKEN_TTL_MS ?? 15 * 60_000) // viewer token lifetime
+const pin_max_failures = 5 // wrong PINs allowed per client and session...
+const pin_max_session_failures = Number(process.env.SAILAWAY_PIN_MAX_SESSION_FAILURES ?? 50) // ...and from all clients together...
+const pin_failure_window_ms = 60_000 // ...within this window
+const participant_timeout_ms = 15_000 // viewers not heard from for this long are offline
+const share_wake_ms = 20_000 // how often view-only viewers keep the host capturing
+const share_max_ttl_ms = Number(process.env.SAILAWAY_SHARE_MAX_TTL_MS ?? 7 * 24 * 60 * 60_000) // longest share link lifetime
+const host_online_ms = Number(process.env.SAILAWAY_HOST_ONLINE_MS ?? 30_000) // no heartbeat for this long = offline
+const session_ttl_ms = Number(process.env.SAILAWAY_SESSION_TTL_MS ?? 24 * 60 * 60_000) // offline sessions are forgotten after this
+const unclaimed_ttl_ms = 10 * 60_000 // sessions no host ever claimed
+const frame_ttl_ms = 5 * 60_000 // offline hosts' last frames are dropped after this
+const controls_max = Number(process.env.SAILAWAY_CONTROLS_MAX ?? 1000) // control events kept until the host acks them
+export const clipboard_max_bytes = Number(process.env.SAILAWAY_CLIPBOARD_MAX_BYTES ?? 1024 * 1024)
+const files_dir = process.env.SAILAWAY_FILES_DIR ?? path.join(os.tmpdir(), 'sailaway-files') // relayed transfers
+export const file_max_bytes = Number(process.env.SAILAWAY_FILE_MAX_BYTES ?? 512 * 1024 * 1024)
+export const file_chunk_max_bytes = 4 * 1024 * 1024
+const file_ttl_ms = 60 * 60_000 // unfinished or undelivered transfers are dropped after this
+const video_gop_max_bytes = 16 * 1024 * 1024 // media segments kept since the last keyframe, for viewers joining
+const signal_max_bytes = 16 * 1024 // one offer/answer/candidate
+const signals_max = 100 // waiting per recipient
+const signal_ttl_ms = 60_000 // signals nobody took by then are stale
+const claims_file = process.env.SAILAWAY_CLAIMS_FILE ?? path.join(os.homedir(), '.sailaway', 'host_claims.json') // '' = in memory only
+const claim_ttl_ms = Number(process.env.SAILAWAY_CLAIM_TTL_MS ?? 90 * 24 * 60 * 60_000) // claims unused this long are released
+
+// Per-session notifications: `image:<session_id>` (the uploaded frame), `frame:<session_id>` (its number, see
+// get_frame_count()), `controls:<session_id>`, `stats:<session_id>`,
+// `clipboard:<session_id>` (viewer -> host clipboard, or a viewer asking for the host's), `files:<session_id>` (transfer changes),
+// `baton:<session_id>` (control handoffs), `cursor:<session_id>` (host pointer position and shape),
+// `video:<session_id>` (live video segments, see VIDEO), `wanted:<session_id>` (which streams viewers watch)
+// `signal:<session_id>` (WebRTC signals waiting for a recipient, see SIGNALING), `approval:<session_id>`
+// (the host decided on a viewer) and `forget:<session_id>` (the session expired, connections to it close).
+export const session_events = new EventEmitter()
+session_events.setMaxListeners(0)
+
 function ensure_session(session_id) {
     if (!(session_id in session_data)) {
         session_data[session_id] = {
-            image_blob: null,
-            controls: []
+            created_at: Date.now(),
+            host: {
+                info: null, // { name, os, width, height, video, ice_servers } as reported by the host
+                registered_at: 0,
+                last_seen: 0, // any authenticated host request, socket message or heartbeat
+            },
+            image_blob: null, // latest full image (plain uploads, or composed from tiles on demand)
+            frame: null, // { width, height, base, cells } while the host sends tile packets
+            frame_count: 0, // frames received so far
+            controls: [], // not yet acked by the host, oldest first, each stamped with `seq`
+            control_seq: 0, // last seq handed out
+            controls_lost_through: 0, // highest seq dropped unacked because the queue overflowed
+            auth: {
+                host_hash: null,
+                pin_hash: null,
+                tokens: new Map(), // token -> { expires_at, viewer_id, name, view_only?, share_id? }
+                pin_failures: new Map(), // client -> times of its wrong PINs within the window
+                shares: new Map(), // share_id -> { token_hash, expires_at, single_use, used, created_at, created_by }
+                last_share_wake: 0,
+            },
+            approvals: {}, // viewer_id -> 'pending' | 'approved' | 'rejected', decided by the host
+            viewer_stats: {}, // viewer_id -> latest { render_ms, backlog, time }
+            participants: {}, // viewer_id -> { viewer_id, name, last_seen }
+            baton: {
+                holder: null, // viewer_id whose input reaches the host
+                locked: false, // host took control back: nobody gets it without a grant
+                requests: [], // viewer_ids waiting for control, oldest first
+                since: 0,
+                last_mouse: null, // holder's last pointer position, for the reset packet
+            },
+            displays: { displays: [], selected: '', capture: 'screen', locked: false }, // published by the host
+            cursor: null, // { x, y, shape, visible, time } reported by the host, x/y normalized to the captured area
+            clipboard: {
+                to_host: null, // { text, time, viewer } pasted by a viewer
+                request: null, // { request: true, time, viewer } a viewer asking for the host's clipboard
+                from_host: null, // { text, time } the host's answer to the latest request
+            },
+            files: {
+                transfers: new Map(), // transfer_id -> transfer, see create_transfer()
+                outbox: [], // [{ name, size, mtime }] the host offers for download
+            },
+            video: null, // { mime, splitter, init, gop, gop_bytes, generation } while the host streams video
+            video_generation: 0, // bumped on every new video stream (new init segment)
+            watchers: {
+                images: new Set(), // viewer connections receiving frames
+                video: new Set(), // viewer connections playing the video stream
+            },
+            signals: {
+                host: [], // from viewers, oldest first
+                viewers: {}, // viewer_id -> [...] from the host
+            },
         }
     }
 }
 
 export function post_image(session_id, blob) {
     ensure_session(session_id)
-    session_data[session_id].image_blob = blob
+    const session = session_data[session_id]
+    if (is_tile_packet(blob)) {
+        try {
+            apply_tile_packet(session, decode_tile_packet(blob))
+        } catch {
+            return
+        }
+        session.image_blob = null
+    } else {
+        session.frame = null
+        session.image_blob = blob
+    }
+    record_frame(session_id, blob, () => get_keyframe(session_id))
+    session.frame_count++
+    session_events.emit(`image:${session_id}`, blob)
+    session_events.emit(`frame:${session_id}`, session.frame_count)
+}
+
+// Number of the latest frame: viewers compare it with the last one they sent to skip unchanged screens.
+export function get_frame_count(session_id) {
+    ensure_session(session_id)
+    return session_data[session_id].frame_count
 }
 
+function apply_tile_packet(session, packet) {
+    let frame = session.frame
+    if (packet.keyframe || !frame || frame.width !== packet.width || frame.height !== packet.height) {
+        frame = session.frame = { width: packet.width, height: packet.height, base: null, cells: new Map(), version: 0 }
+    }
+    frame.version++
+    for (const tile of packet.tiles) {
+        // A full-frame tile replaces everything; grid tiles never overlap, so keep the latest per cell.
+        if (tile.x === 0 && tile.y === 0 && tile.width === frame.width && tile.height === frame.height) {
+            frame.base = tile
+            frame.cells.clear()
+        } else {
+            frame.cells.set(`${tile.x},${tile.y}`, tile)
+        }
+    }
+}
+
+// Everything a viewer needs to start painting: the plain image, or the composed tiles as one keyframe packet.
+export function get_keyframe(session_id) {
+    ensure_session(session_id)
+    const { image_blob, frame } = session_data[session_id]
+    if (!frame) return image_blob
+    const tiles = frame.base ? [frame.base, ...frame.cells.values()] : [...frame.cells.values()]
+    if (!tiles.length) return null
+    return encode_tile_packet({ width: frame.width, height: frame.height, keyframe: true, tiles })
+}
+
+// Latest frame as a single image (for multipart streams); tiles are composed once per update.
+export async function get_image_blob(session_id) {
+    ensure_session(session_id)
+    const session = session_data[session_id]
+    if (session.image_blob || !session.frame) return session.image_blob
+
+    const frame = session.frame
+    const version = frame.version
+    let sharp
+    try {
+        ; ({ default: sharp } = await import('sharp'))
+    } catch {
+        return frame.base?.data ?? null
+    }
+
+    try {
+        const blob = await sharp({
+            create: { width: frame.width, height: frame.height, channels: 3, background: { r: 0, g: 0, b: 0 } },
+        })
+            .composite([frame.base, ...frame.cells.values()].filter(Boolean).map(t => ({ input: t.data, left: t.x, top: t.y })))
+            .jpeg({ quality: 80 })
+            .toBuffer()
+        // Only cache if no packet arrived while composing.
+        if (session.frame === frame && frame.version === version) session.image_blob = blob
+        return blob
+    } catch {
+        return null
+    }
+}
+
+// Input only comes from the host itself or the viewer holding the baton; a free baton goes to the first
+// approved viewer that sends input. Other viewers' packets are cut down to their wake marker, so
+// view-only participants still keep the host capturing. Returns whether the input was accepted.
 export function post_controls(session_id, control) {
     ensure_session(session_id)
-    session_data[session_id].controls.push(control)
-    while (session_data[session_id].controls.length > 50) {
-        session_data[session_id].controls.shift()
-    }
-    // const to_remove = []
-    // const now = Date.now()
-    // for (const control of session_data[session_id].controls) {
-    //     if (control.time + 2000 < now) {
-    //         to_remove.push(control)
-    //     }
-    // }
-    // for (const control of to_remove) {
-    //     const index = session_data[session_id].controls.indexOf(control)
-    //     if (index > -1) {
-    //         session_data[session_id].controls.splice(index, 1)
-    //     }
-    // }
+    const viewer_id = control.viewer?.viewer_id
+    if (control.viewer?.view_only) return false
+    if (viewer_id) {
+        const baton = session_data[session_id].baton
+        expire_baton(session_id)
+        if (baton.holder == null && !baton.locked && !control.wake && can_interact(session_id, control.viewer)) {
+            set_holder(session_id, viewer_id)
+        }
+        if (baton.holder !== viewer_id) {
+            if (control.wake) {
+                queue_controls(session_id, { wake: control.wake, wake_tick: control.wake_tick, time: control.time, viewer: control.viewer })
+            }
+            return false
+        }
+        if (typeof control.mouse?.x === 'number' && typeof control.mouse?.y === 'number') {
+            baton.last_mouse = { x: control.mouse.x, y: control.mouse.y }
+        }
+    }
+    queue_controls(session_id, control)
+    return true
+}
+
+function queue_controls(session_id, control) {
+    const session = session_data[session_id]
+    control.seq = ++session.control_seq
+    session.controls.push(control)
+    while (session.controls.length > controls_max) {
+        session.controls_lost_through = session.controls.shift().seq
+    }
+    record_controls(session_id, control, () => get_keyframe(session_id))
+    session_events.emit(`controls:${session_id}`, control)
+}
+
+// Queued events after the host's cursor. `gap` means events after `after` are missing (the queue
+// overflowed, or the server restarted and the sequence started over): the host should release whatever
+// keys and buttons it holds before applying the rest.
+export function get_controls_after(session_id, after) {
+    ensure_session(session_id)
+    const session = session_data[session_id]
+    after = Math.max(0, Math.trunc(Number(after)) || 0)
+    const restarted = after > session.control_seq
+    return {
+        controls: restarted ? session.controls : session.controls.filter(c => c.seq > after),
+        last_seq: session.control_seq,
+        gap: restarted || after < session.controls_lost_through,
+    }
+}
+
+// The host applied everything up to `seq`: drop it from the queue. An ack past the last seq handed out is
+// from before a server restart and says nothing about the events queued since.
+export function ack_controls(session_id, seq) {
+    ensure_session(session_id)
+    const session = session_data[session_id]
+    const controls = session.controls
+    seq = Number(seq)
+    if (!Number.isFinite(seq) || seq > session.control_seq) return
+    const keep = controls.findIndex(c => c.seq > seq)
+    controls.splice(0, keep === -1 ? controls.length : keep)
+}
+
+// Viewer-side rendering health, fed to the host's adaptive encoder.
+export function post_viewer_stats(session_id, viewer, stats) {
+    ensure_session(session_id)
+    const clean = {
+        render_ms: Math.max(0, Number(stats?.render_ms) || 0),
+        backlog: Math.max(0, Number(stats?.backlog) || 0),
+        time: Date.now(),
+    }
+    session_data[session_id].viewer_stats[viewer?.viewer_id ?? 'host'] = clean
+    session_events.emit(`stats:${session_id}`, clean)
+}
+
+// `capture` is the host's capture spec ('screen', 'window:<title>', ...), `locked` whether viewers may change it.
+export function set_displays(session_id, displays, selected, capture, locked) {
+    if (!Array.isArray(displays)) return false
+    ensure_session(session_id)
+    session_data[session_id].displays = {
+        displays: displays.slice(0, 16).map(d => ({
+            id: String(d?.id ?? ''),
+            name: String(d?.name ?? ''),
+            x: Number(d?.x) || 0,
+            y: Number(d?.y) || 0,
+            width: Number(d?.width) || 0,
+            height: Number(d?.height) || 0,
+            primary: !!d?.primary,
+        })),
+        selected: String(selected ?? ''),
+        capture: String(capture ?? 'screen').slice(0, 256),
+        locked: !!locked,
+    }
+    return true
+}
+
+export function get_displays(session_id) {
+    ensure_session(session_id)
+    return session_data[session_id].displays
+}
+
+// Shapes are CSS cursor names; anything the host can't tell apart is 'default'.
+const cursor_shapes = new Set([
+    'default', 'text', 'pointer', 'wait', 'progress', 'crosshair', 'move', 'not-allowed',
+    'ew-resize', 'ns-resize', 'nwse-resize', 'nesw-resize',
+])
+
+export function set_cursor(session_id, cursor) {
+    if (!cursor || typeof cursor !== 'object') return false
+    const x = Number(cursor.x)
+    const y = Number(cursor.y)
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return false
+    ensure_session(session_id)
+    const clean = {
+        x: Math.max(0, Math.min(1, x)),
+        y: Math.max(0, Math.min(1, y)),
+        shape: cursor_shapes.has(cursor.shape) ? cursor.shape : 'default',
+        visible: cursor.visible !== false,
+        time: Date.now(),
+    }
+    session_data[session_id].cursor = clean
+    session_events.emit(`cursor:${session_id}`, clean)
+    return true
+}
+
+export function get_cursor(session_id) {
+    ensure_session(session_id)
+    return session_data[session_id].cursor
+}
+
+// Host posts land in `from_host`, viewer posts (viewer != null) in `to_host`.
+export function post_clipboard(session_id, viewer, text) {
+    if (typeof text !== 'string' || Buffer.byteLength(text, 'utf8') > clipboard_max_bytes) return false
+    ensure_session(session_id)
+    const clipboard = session_data[session_id].clipboard
+    const time = Date.now()
+    if (viewer == null) {
+        clipboard.from_host = { text, time }
+    } else {
+        clipboard.to_host = { text, time, viewer }
+        session_events.emit(`clipboard:${session_id}`, clipboard.to_host)
+    }
+    return true
+}
+
+// The host only reads its clipboard when asked: returns the request time, its answer will be newer.
+export function request_clipboard(session_id, viewer) {
+    ensure_session(session_id)
+    const clipboard = session_data[session_id].clipboard
+    clipboard.request = { request: true, time: Date.now(), viewer }
+    session_events.emit(`clipboard:${session_id}`, clipboard.request)
+    return clipboard.request.time
+}
+
+export function get_clipboard(session_id) {
+    ensure_session(session_id)
+    return session_data[session_id].clipboard
+}
+
+//#region ----------------------------------------------------------------------- VIDEO
+
+// Video mode: the host streams one encoded video per run (see video.js). Segments go out as
+// `video:<session_id>` events { generation, data, keyframe }; a new run emits { generation, start: true } first.
+export function start_video(session_id, mime) {
+    if (!video_container(mime)) return null
+    ensure_session(session_id)
+    const session = session_data[session_id]
+    const generation = ++session.video_generation
+    session.video = {
+        mime: String(mime).slice(0, 128),
+        splitter: create_video_splitter(mime),
+        init: null,
+        gop: [], // media segments from the last keyframe on
+        gop_bytes: 0,
+        generation,
+    }
+    session_events.emit(`video:${session_id}`, { generation, start: true })
+    return generation
+}
+
+// Returns false once the stream is unusable (the host should start over).
+export function post_video(session_id, generation, chunk) {
+    const video = session_data[session_id]?.video
+    if (!video || video.generation !== generation) return false
+    let segments
+    try {
+        segments = video.splitter.push(chunk)
+    } catch {
+        end_video(session_id, generation)
+        return false
+    }
+    for (const segment of segments) {
+        if (segment.init) {
+            video.init = segment.data
+            continue
+        }
+        if (segment.keyframe) {
+            video.gop = []
+            video.gop_bytes = 0
+        }
+        // Without a keyframe in sight, joiners wait for the next one rather than us buffering forever.
+        if (video.gop.length || segment.keyframe) {
+            video.gop.push(segment.data)
+            video.gop_bytes += segment.data.length
+            if (video.gop_bytes > video_gop_max_bytes) {
+                video.gop = []
+                video.gop_bytes = 0
+            }
+        }
+        session_events.emit(`video:${session_id}`, { generation, data: segment.data, keyframe: segment.keyframe })
+    }
+    return true
+}
+
+export function end_video(session_id, generation) {
+    const session = session_data[session_id]
+    if (!session?.video || session.video.generation !== generation) return
+    session.video = null
+    session_events.emit(`video:${session_id}`, { generation, end: true })
+}
+
+// What a joining viewer needs: { mime, generation, init, gop }, or null while the host isn't streaming.
+export function get_video(session_id) {
+    const video = session_data[session_id]?.video
+    if (!video) return null
+    return { mime: video.mime, generation: video.generation, init: video.init, gop: [...video.gop] }
+}
+
+// `kind` is 'images' or 'video'; `watcher` any object standing for one viewer connection.
+export function set_watching(session_id, kind, watcher, watching) {
+    if (!watching && !(session_id in session_data)) return
+    ensure_session(session_id)
+    const watchers = session_data[session_id].watchers[kind]
+    if (!watchers || watchers.has(watcher) === !!watching) return
+    const before = JSON.stringify(get_wanted(session_id))
+    if (watching) watchers.add(watcher)
+    else watchers.delete(watcher)
+    const wanted = get_wanted(session_id)
+    if (JSON.stringify(wanted) !== before) session_events.emit(`wanted:${session_id}`, wanted)
+}
+
+// Which streams the host should produce. Recordings are made of frames, so they want images too.
+export function get_wanted(session_id) {
+    ensure_session(session_id)
+    const { watchers } = session_data[session_id]
+    return {
+        images: watchers.images.size > 0 || is_recording_enabled(),
+        video: watchers.video.size > 0,
+    }
+}
+
+//#region ----------------------------------------------------------------------- SIGNALING
+
+// Peer-to-peer mode: a viewer and the host swap WebRTC offers/answers and ICE candidates through here, then
+// frames go straight from one to the other. A signal is { type: 'offer' | 'answer' | 'candidate' | 'bye', peer,
+// sdp?, candidate? }, `peer` naming the connection it belongs to; the host's copies also say which viewer sent
+// them. Signals wait in a mailbox per recipient until taken; `signal:<session_id>` says whose has mail
+// (the viewer_id, null for the host).
+const signal_types = new Set(['offer', 'answer', 'candidate', 'bye'])
+
+function clean_signal(signal) {
+    if (!signal || typeof signal !== 'object' || !signal_types.has(signal.type)) return null
+    const peer = typeof signal.peer === 'string' && /^[\w-]{1,64}$/.test(signal.peer) ? signal.peer : null
+    if (!peer) return null
+    const clean = { type: signal.type, peer }
+    if (typeof signal.sdp === 'string') clean.sdp = signal.sdp
+    if (signal.candidate && typeof signal.candidate === 'object') {
+        clean.candidate = {
+            candidate: String(signal.candidate.candidate ?? ''),
+            sdpMid: signal.candidate.sdpMid == null ? null : String(signal.candidate.sdpMid),
+            sdpMLineIndex: Number.isInteger(signal.candidate.sdpMLineIndex) ? signal.candidate.sdpMLineIndex : null,
+        }
+    }
+    if (Buffer.byteLength(JSON.stringify(clean), 'utf8') > signal_max_bytes) return null
+    return clean
+}
+
+// A viewer signals the host; the host (`viewer` null) signals the viewer `to`. Returns whether it was queued.
+export function post_signal(session_id, viewer, to, signal) {
+    ensure_session(session_id)
+    const clean = clean_signal(signal)
+    if (!clean) return false
+    const signals = session_data[session_id].signals
+    let mailbox
+    if (viewer) {
+        clean.viewer = { viewer_id: viewer.viewer_id, name: viewer.name ?? '', view_only: !!viewer.view_only }
+        if (viewer.view_only) clean.viewer.share_id = viewer.share_id
+        mailbox = signals.host
+    } else {
+        if (typeof to !== 'string' || !to) return false
+        mailbox = signals.viewers[to] ??= []
+    }
+    const now = Date.now()
+    mailbox.push({ ...clean, time: now })
+    while (mailbox.length > signals_max || mailbox[0].time + signal_ttl_ms < now) mailbox.shift()
+    session_events.emit(`signal:${session_id}`, viewer ? null : to)
+    return true
+}
+
+// Empties the mailbox of `viewer_id` (null for the host), returning what was still fresh, oldest first.
+export function take_signals(session_id, viewer_id) {
+    ensure_session(session_id)
+    const signals = session_data[session_id].signals
+    const mailbox = viewer_id == null ? signals.host : signals.viewers[viewer_id] ?? []
+    if (viewer_id == null) signals.host = []
+    else delete signals.viewers[viewer_id]
+    const now = Date.now()
+    return mailbox.filter(signal => signal.time + signal_ttl_ms >= now)
 }
 
 export function get_session_data(session_id) {
     ensure_session(session_id)
     return session_data[session_id]
-}
\ No newline at end of file
+}
+
+//#region ----------------------------------------------------------------------- AUTH
+
+function hash_secret(value) {
+    return crypto.createHash('sha256').update(String(value)).digest()
+}
+
+function same_hash(a, b) {
+    return !!a && !!b && a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+// Which secret claimed each session: { [session_id]: { host_hash (hex), claimed_at } }. Kept on disk, so a
+// server restart (or a forgotten session) doesn't hand the session id to whoever registers first.
+const host_claims = await load_claims()
+let claims_saving = Promise.resolve()
+
+async function load_claims() {
+    if (!claims_file) return {}
+    try {
+        const parsed = JSON.parse(await fs.readFile(claims_file, 'utf8'))
+        return parsed && typeof parsed === 'object' ? parsed : {}
+    } catch {
+        return {}
+    }
+}
+
+function save_claims() {
+    if (!claims_file) return
+    const now = Date.now()
+    for (const [session_id, claim] of Object.entries(host_claims)) {
+        if (!(claim.claimed_at + claim_ttl_ms > now)) delete host_claims[session_id]
+    }
+    const data = JSON.stringify(host_claims)
+    claims_saving = claims_saving.then(async () => {
+        await fs.mkdir(path.dirname(claims_file), { recursive: true })
+        await fs.writeFile(`${claims_file}.tmp`, data, { mode: 0o600 })
+        await fs.rename(`${claims_file}.tmp`, claims_file)
+    }).catch((err) => {
+        console.error(`[engine] could not save host claims: ${err?.message ?? err}`)
+    })
+}
+
+// Host claims the session with its long-lived secret and publishes the current pairing PIN.
+// Once claimed, only the same secret can re-register (e.g. to rotate the PIN after a restart).
+export function register_host(session_id, secret, pin, info) {
+    if (typeof secret !== 'string' || secret.length < 16) return false
+    if (typeof pin !== 'string' || !pin) return false
+    ensure_session(session_id)
+    const auth = session_data[session_id].auth
+    const secret_hash = hash_secret(secret)
+    const claim = host_claims[session_id]
+    const claimed_hash = auth.host_hash ?? (claim?.claimed_at + claim_ttl_ms > Date.now() ? Buffer.from(claim.host_hash, 'hex') : null)
+    if (claimed_hash && !same_hash(claimed_hash, secret_hash)) return false
+    if (!claim || claim.host_hash !== secret_hash.toString('hex') || claim.claimed_at + claim_ttl_ms / 2 < Date.now()) {
+        // Refreshed now and then, so a claim in use never runs out.
+        host_claims[session_id] = { host_hash: secret_hash.toString('hex'), claimed_at: Date.now() }
+        save_claims()
+    }
+    auth.host_hash = secret_hash
+    auth.pin_hash = hash_secret(pin)
+    session_data[session_id].host.registered_at = Date.now()
+    touch_host(session_id, info)
+    return true
+}
+
+export function is_host(session_id, token) {
+    if (!token || !(session_id in session_data)) return false
+    return same_hash(session_data[session_id].auth.host_hash, hash_secret(token))
+}
+
+// Viewer behind a token ({ viewer_id, name }), or null if the token is unknown or expired.
+export function get_viewer(session_id, token) {
+    if (!token || !(session_id in session_data)) return null
+    const tokens = session_data[session_id].auth.tokens
+    const entry = tokens.get(token)
+    if (!entry) return null
+    if (entry.expires_at <= Date.now() || (entry.share_id && !get_share(session_id, entry.share_id))) {
+        tokens.delete(token)
+        return null
+    }
+    if (entry.view_only) return { viewer_id: entry.viewer_id, name: entry.name, view_only: true, share_id: entry.share_id }
+    return { viewer_id: entry.viewer_id, name: entry.name }
+}
+
+export function is_viewer(session_id, token) {
+    return get_viewer(session_id, token) != null
+}
+
+// The viewer_id is derived from a secret key the server issues at the first pairing, so a viewer
+// cannot claim another's id (and with it, the host's approval or allow-list entry) without its key.
+function clean_viewer(viewer) {
+    const viewer_key = typeof viewer?.viewer_key === 'string' && /^[\w-]{32,128}$/.test(viewer.viewer_key)
+        ? viewer.viewer_key
+        : crypto.randomBytes(24).toString('base64url')
+    const viewer_id = hash_secret(`viewer:${viewer_key}`).toString('hex').slice(0, 32)
+    const name = typeof viewer?.name === 'string' ? viewer.name.trim().slice(0, 64) : ''
+    return { viewer_key, viewer: { viewer_id, name } }
+}
+
+function issue_token(session_id, viewer) {
+    const auth = session_data[session_id].auth
+    const now = Date.now()
+    for (const [token, entry] of auth.tokens) {
+        if (entry.expires_at <= now) auth.tokens.delete(token)
+    }
+    const token = crypto.randomBytes(24).toString('base64url')
+    // Tokens from a share link never outlive the link.
+    const share_expires_at = viewer.share_id ? auth.shares.get(viewer.share_id)?.expires_at : null
+    const expires_at = Math.min(now + token_ttl_ms, share_expires_at ?? Infinity)
+    auth.tokens.set(token, { expires_at, ...viewer })
+    return { token, expires_at, viewer_id: viewer.viewer_id, view_only: !!viewer.view_only }
+}
+
+// Returns a viewer token and the viewer_key to send on later pairings, or an error code:
+// 'unknown_session' | 'locked' | 'bad_pin'. `viewer` is { viewer_key?, name }; `client` tells callers apart
+// (their address), so one guessing client locks out itself rather than everyone. The session-wide cap only
+// bounds guessing from many addresses at once.
+export function pair_viewer(session_id, pin, viewer, client = '') {
+    if (!(session_id in session_data) || !session_data[session_id].auth.pin_hash) {
+        return { error: 'unknown_session' }
+    }
+    const auth = session_data[session_id].auth
+    const now = Date.now()
+    let session_failures = 0
+    for (const [key, times] of auth.pin_failures) {
+        const recent = times.filter(t => t > now - pin_failure_window_ms)
+        if (recent.length) auth.pin_failures.set(key, recent)
+        else auth.pin_failures.delete(key)
+        session_failures += recent.length
+    }
+    const client_failures = auth.pin_failures.get(client) ?? []
+    if (client_failures.length >= pin_max_failures || session_failures >= pin_max_session_failures) {
+        return { error: 'locked' }
+    }
+
+    if (typeof pin !== 'string' || !same_hash(auth.pin_hash, hash_secret(pin))) {
+        auth.pin_failures.set(client, [...client_failures, now])
+        return { error: 'bad_pin' }
+    }
+    const { viewer_key, viewer: clean } = clean_viewer(viewer)
+    return { ...issue_token(session_id, clean), viewer_key }
+}
+
+// Swap a still-valid viewer token for a fresh one.
+export function refresh_viewer(session_id, token) {
+    const viewer = get_viewer(session_id, token)
+    if (!viewer) return null
+    session_data[session_id].auth.tokens.delete(token)
+    return issue_token(session_id, viewer)
+}
+
+//#region ----------------------------------------------------------------------- SHARE LINKS
+
+// Read-only links: whoever holds one can watch the stream without pairing or approval, but never
+// sends input. `ttl_ms` is capped (0 = as long as allowed); a single-use link can be redeemed only once.
+export function create_share(session_id, creator, { ttl_ms, single_use } = {}) {
+    ensure_session(session_id)
+    const shares = session_data[session_id].auth.shares
+    const now = Date.now()
+    for (const [id, share] of shares) {
+        if (share.expires_at != null && share.expires_at <= now) shares.delete(id)
+    }
+    ttl_ms = Math.min(Number(ttl_ms) > 0 ? Number(ttl_ms) : Infinity, share_max_ttl_ms)
+    const share_id = crypto.randomBytes(6).toString('hex')
+    const share_token = `${share_id}.${crypto.randomBytes(24).toString('base64url')}`
+    const share = {
+        token_hash: hash_secret(share_token),
+        expires_at: now + ttl_ms,
+        single_use: !!single_use,
+        used: false,
+        created_at: now,
+        created_by: creator?.viewer_id ?? null,
+    }
+    shares.set(share_id, share)
+    return { share_id, share_token, expires_at: share.expires_at, single_use: share.single_use }
+}
+
+function get_share(session_id, share_id) {
+    const shares = session_data[session_id].auth.shares
+    const share = shares.get(share_id)
+    if (!share) return null
+    if (share.expires_at != null && share.expires_at <= Date.now()) {
+        shares.delete(share_id)
+        return null
+    }
+    return share
+}
+
+// Long-lived streams re-check this: a revoked or expired link ends them.
+export function is_share_valid(session_id, share_id) {
+    return session_id in session_data && get_share(session_id, share_id) != null
+}
+
+// Trades a share token for a view-only viewer token, or null if it is unknown, expired or used up.
+export function redeem_share(session_id, share_token, name) {
+    if (typeof share_token !== 'string' || !(session_id in session_data)) return null
+    const share_id = share_token.split('.')[0]
+    const share = get_share(session_id, share_id)
+    if (!share || !same_hash(share.token_hash, hash_secret(share_token))) return null
+    if (share.single_use && share.used) return null
+    share.used = true
+    return issue_token(session_id, {
+        viewer_id: `share-${crypto.randomBytes(8).toString('hex')}`,
+        name: typeof name === 'string' && name.trim() ? name.trim().slice(0, 64) : 'view-only',
+        view_only: true,
+        share_id,
+    })
+}
+
+// The host sees every link, viewers the ones they created.
+export function list_shares(session_id, viewer) {
+    ensure_session(session_id)
+    const shares = []
+    for (const share_id of [...session_data[session_id].auth.shares.keys()]) {
+        const share = get_share(session_id, share_id)
+        if (!share || (viewer && share.created_by !== viewer.viewer_id)) continue
+        const { expires_at, single_use, used, created_at, created_by } = share
+        shares.push({ share_id, expires_at, single_use, used, created_at, created_by })
+    }
+    return shares
+}
+
+// Revoking a link also cuts off everyone watching through it.
+export function revoke_share(session_id, viewer, share_id) {
+    if (!(session_id in session_data)) return false
+    const share = get_share(session_id, share_id)
+    if (!share || (viewer && share.created_by !== viewer.viewer_id)) return false
+    session_data[session_id].auth.shares.delete(share_id)
+    return true
+}
+
+// View-only viewers can't post wake packets; while one is watching, wake the host on its behalf.
+export function share_wake(session_id) {
+    ensure_session(session_id)
+    const auth = session_data[session_id].auth
+    const now = Date.now()
+    if (auth.last_share_wake + share_wake_ms > now) return
+    auth.last_share_wake = now
+    queue_controls(session_id, { wake: 'view-only', wake_tick: now, time: now, viewer: null })
+}
+
+//#region ----------------------------------------------------------------------- APPROVAL
+
+export function set_approval(session_id, viewer_id, status) {
+    if (!['pending', 'approved', 'rejected'].includes(status)) return false
+    if (typeof viewer_id !== 'string' || !viewer_id) return false
+    ensure_session(session_id)
+    const approvals = session_data[session_id].approvals
+    if (approvals[viewer_id] === status) return true
+    approvals[viewer_id] = status
+    session_events.emit(`approval:${session_id}`, { viewer_id, status })
+    return true
+}
+
+// Viewers the host hasn't seen yet are implicitly pending.
+export function get_approval(session_id, viewer_id) {
+    ensure_session(session_id)
+    return session_data[session_id].approvals[viewer_id] ?? 'pending'
+}
+
+// Frames only flow to the host itself (viewer null), to viewers it approved and to share-link viewers whose
+// link is still valid.
+export function can_watch(session_id, viewer) {
+    if (viewer == null) return true
+    if (viewer.view_only) return is_share_valid(session_id, viewer.share_id)
+    return get_approval(session_id, viewer.viewer_id) === 'approved'
+}
+
+// Everything beyond watching (files, clipboard, recordings, sharing) needs a full, approved viewer.
+export function can_interact(session_id, viewer) {
+    return !viewer?.view_only && can_watch(session_id, viewer)
+}
+
+//#region ----------------------------------------------------------------------- FILES
+
+// Files are relayed through a temp file on the server, so neither side needs to be online
+// at the same time as the other. A transfer goes one way:
+//   to_host:   viewer creates it with { name, size, sha256? }, uploads chunks, host downloads it
+//   from_host: viewer asks for an outbox file by name, host fills in size/sha256 and uploads it, the data
+//              is dropped once the viewer downloaded all of it
+// Chunks must land exactly at `received` (so a client resumes by asking for it), each chunk can
+// carry its own sha256 and the whole file is checked against `sha256` once complete. Without one
+// (browsers can't hash a large file without reading it into memory), `sha256` becomes the hash of
+// what was received, so the downloader can still check its copy.
+
+function clean_file_name(name) {
+    if (typeof name !== 'string') return null
+    const base = name.split(/[\\/]/).pop().replace(/[\x00-\x1f\x7f]/g, '').trim().slice(0, 255)
+    if (!base || base === '.' || base === '..') return null
+    return base
+}
+
+function is_sha256(value) {
+    return typeof value === 'string' && /^[0-9a-f]{64}$/.test(value)
+}
+
+function public_transfer(transfer) {
+    const { id, direction, name, size, sha256, received, status, error, viewer, created_at } = transfer
+    return { id, direction, name, size, sha256, received, status, error, viewer, created_at }
+}
+
+function prune_transfers(session_id) {
+    const transfers = session_data[session_id].files.transfers
+    const now = Date.now()
+    for (const transfer of transfers.values()) {
+        if (transfer.updated_at + file_ttl_ms <= now) drop_transfer(session_id, transfer)
+    }
+}
+
+function drop_transfer(session_id, transfer) {
+    session_data[session_id].files.transfers.delete(transfer.id)
+    fs.rm(transfer.path, { force: true }).catch(() => {
+        // ignore
+    })
+}
+
+function touch_transfer(session_id, transfer) {
+    transfer.updated_at = Date.now()
+    session_events.emit(`files:${session_id}`, public_transfer(transfer))
+}
+
+// Who may push chunks into a transfer and who may read it back. `viewer` is null for the host.
+function is_uploader(transfer, viewer) {
+    return transfer.direction === 'to_host' ? viewer?.viewer_id === transfer.viewer?.viewer_id : viewer == null
+}
+
+function is_downloader(transfer, viewer) {
+    return transfer.direction === 'to_host' ? viewer == null : viewer?.viewer_id === transfer.viewer?.viewer_id
+}
+
+// Returns { transfer } or { error }: 'bad_request' | 'too_large'.
+export async function create_transfer(session_id, viewer, { direction, name, size, sha256 } = {}) {
+    ensure_session(session_id)
+    prune_transfers(session_id)
+    name = clean_file_name(name)
+    if (!viewer || !name) return { error: 'bad_request' }
+
+    const transfer = {
+        id: crypto.randomUUID(),
+        direction,
+        name,
+        size: null,
+        sha256: null,
+        received: 0,
+        status: 'requested', // 'requested' -> 'uploading' -> 'complete' -> 'delivered' | 'failed'
+        error: null,
+        viewer,
+        created_at: Date.now(),
+        updated_at: Date.now(),
+        path: '',
+        hash: null, // running sha256 of what was received so far
+        writing: false,
+    }
+    if (direction === 'to_host') {
+        const result = start_transfer(transfer, size, sha256)
+        if (result.error) return result
+    } else if (direction !== 'from_host') {
+        return { error: 'bad_request' }
+    }
+    transfer.path = path.join(files_dir, `${transfer.id}.part`)
+    if (transfer.size === 0) await finish_upload(transfer)
+    session_data[session_id].files.transfers.set(transfer.id, transfer)
+    touch_transfer(session_id, transfer)
+    return { transfer: public_transfer(transfer) }
+}
+
+function start_transfer(transfer, size, sha256) {
+    size = Number(size)
+    if (!Number.isSafeInteger(size) || size < 0) return { error: 'bad_request' }
+    if (sha256 != null && !is_sha256(sha256)) return { error: 'bad_request' }
+    if (size > file_max_bytes) return { error: 'too_large' }
+    transfer.size = size
+    transfer.sha256 = sha256 ?? null
+    transfer.status = 'uploading'
+    transfer.hash = crypto.createHash('sha256')
+    return {}
+}
+
+// Host answers a from_host request: the file's { size, sha256 }, or { error } if it can't serve it.
+export async function answer_transfer(session_id, transfer_id, { size, sha256, error } = {}) {
+    const transfer = find_transfer(session_id, transfer_id)
+    if (!transfer) return { error: 'not_found' }
+    if (transfer.direction !== 'from_host' || transfer.status !== 'requested') return { error: 'conflict' }
+    if (error) {
+        transfer.status = 'failed'
+        transfer.error = String(error).slice(0, 200)
+        touch_transfer(session_id, transfer)
+        return { transfer: public_transfer(transfer) }
+    }
+    const result = start_transfer(transfer, size, sha256)
+    if (result.error) return result
+    if (transfer.size === 0) await finish_upload(transfer)
+    touch_transfer(session_id, transfer)
+    return { transfer: public_transfer(transfer) }
+}
+
+// Appends one chunk. Returns { transfer } or { error, received? }:
+// 'not_found' | 'forbidden' | 'conflict' (wrong offset or concurrent write) | 'bad_checksum' | 'too_large'.
+export async function write_transfer_chunk(session_id, transfer_id, viewer, offset, data, chunk_sha256) {
+    const transfer = find_transfer(session_id, transfer_id)
+    if (!transfer) return { error: 'not_found' }
+    if (!is_uploader(transfer, viewer)) return { error: 'forbidden' }
+    if (transfer.status !== 'uploading' || transfer.writing || offset !== transfer.received) {
+        return { error: 'conflict', received: transfer.received }
+    }
+    if (!Buffer.isBuffer(data) || data.length > file_chunk_max_bytes) return { error: 'too_large' }
+    if (transfer.received + data.length > transfer.size) return { error: 'too_large' }
+    if (chunk_sha256 && crypto.createHash('sha256').update(data).digest('hex') !== chunk_sha256) {
+        return { error: 'bad_checksum', received: transfer.received }
+    }
+
+    transfer.writing = true
+    try {
+        await fs.mkdir(files_dir, { recursive: true })
+        await fs.appendFile(transfer.path, data)
+    } finally {
+        transfer.writing = false
+    }
+    transfer.hash.update(data)
+    transfer.received += data.length
+    if (transfer.received === transfer.size) await finish_upload(transfer)
+    touch_transfer(session_id, transfer)
+    return { transfer: public_transfer(transfer) }
+}
+
+async function finish_upload(transfer) {
+    if (transfer.size === 0) {
+        await fs.mkdir(files_dir, { recursive: true })
+        await fs.writeFile(transfer.path, '')
+    }
+    const digest = transfer.hash.digest('hex')
+    transfer.sha256 ??= digest
+    if (digest === transfer.sha256) {
+        transfer.status = 'complete'
+    } else {
+        transfer.status = 'failed'
+        transfer.error = 'Checksum mismatch'
+        fs.rm(transfer.path, { force: true }).catch(() => {
+            // ignore
+        })
+    }
+    transfer.hash = null
+}
+
+function find_transfer(session_id, transfer_id) {
+    if (!(session_id in session_data)) return null
+    return session_data[session_id].files.transfers.get(transfer_id) ?? null
+}
+
+// Transfer as seen by `viewer` (null = host); viewers only see their own.
+export function get_transfer(session_id, transfer_id, viewer) {
+    const transfer = find_transfer(session_id, transfer_id)
+    if (!transfer || (viewer && transfer.viewer?.viewer_id !== viewer.viewer_id)) return null
+    return public_transfer(transfer)
+}
+
+export function list_transfers(session_id, viewer) {
+    ensure_session(session_id)
+    prune_transfers(session_id)
+    return [...session_data[session_id].files.transfers.values()]
+        .filter(t => !viewer || t.viewer?.viewer_id === viewer.viewer_id)
+        .map(public_transfer)
+}
+
+// Path of a complete transfer's data for its downloader, or null.
+export function get_transfer_file(session_id, transfer_id, viewer) {
+    const transfer = find_transfer(session_id, transfer_id)
+    if (!transfer || transfer.status !== 'complete' || !is_downloader(transfer, viewer)) return null
+    transfer.updated_at = Date.now()
+    return { path: transfer.path, name: transfer.name, size: transfer.size, sha256: transfer.sha256, direction: transfer.direction }
+}
+
+// Downloader confirms it has the file (or either side cancels): the data is dropped.
+export function close_transfer(session_id, transfer_id, viewer) {
+    const transfer = find_transfer(session_id, transfer_id)
+    if (!transfer || !(is_downloader(transfer, viewer) || is_uploader(transfer, viewer))) return false
+    // Only the downloader can say it has the file; the uploader closing it is a cancel, whatever its status.
+    transfer.status = transfer.status === 'complete' && is_downloader(transfer, viewer) ? 'delivered' : 'failed'
+    transfer.error ??= transfer.status === 'failed' ? 'Cancelled' : null
+    touch_transfer(session_id, transfer)
+    drop_transfer(session_id, transfer)
+    return true
+}
+
+export function set_outbox(session_id, files) {
+    if (!Array.isArray(files)) return false
+    ensure_session(session_id)
+    session_data[session_id].files.outbox = files.slice(0, 500).flatMap(f => {
+        const name = clean_file_name(f?.name)
+        return name ? [{ name, size: Number(f?.size) || 0, mtime: Number(f?.mtime) || 0 }] : []
+    })
+    return true
+}
+
+export function get_outbox(session_id) {
+    ensure_session(session_id)
+    return session_data[session_id].files.outbox
+}
+
+//#region ----------------------------------------------------------------------- CONTROL
+
+// Any authenticated viewer request or socket message counts as presence.
+export function touch_participant(session_id, viewer) {
+    if (!viewer) return
+    ensure_session(session_id)
+    session_data[session_id].participants[viewer.viewer_id] = { ...viewer, last_seen: Date.now() }
+}
+
+function is_online(session_id, viewer_id) {
+    const participant = session_data[session_id].participants[viewer_id]
+    return !!participant && participant.last_seen + participant_timeout_ms > Date.now()
+}
+
+// A holder (or requester) that went away doesn't block everyone else.
+function expire_baton(session_id) {
+    const baton = session_data[session_id].baton
+    baton.requests = baton.requests.filter(id => is_online(session_id, id))
+    if (baton.holder && !is_online(session_id, baton.holder)) set_holder(session_id, next_requester(session_id))
+}
+
+function next_requester(session_id) {
+    return session_data[session_id].baton.requests.find(id => can_watch(session_id, { viewer_id: id })) ?? null
+}
+
+function set_holder(session_id, viewer_id) {
+    const baton = session_data[session_id].baton
+    if (baton.holder === viewer_id) return
+    const previous = baton.holder
+    baton.holder = viewer_id
+    baton.since = Date.now()
+    baton.requests = baton.requests.filter(id => id !== viewer_id)
+    if (viewer_id) baton.locked = false
+
+    // Release whatever the previous holder was pressing before anyone else drives the host.
+    if (previous) {
+        const mouse = baton.last_mouse
+        queue_controls(session_id, {
+            mouse: mouse ? { ...mouse, dx: 0, dy: 0, buttons: 0, wheel: { y: 0 } } : undefined,
+            keys: [],
+            time: Date.now(),
+            viewer: null,
+            baton_reset: true,
+        })
+    }
+    baton.last_mouse = null
+    session_events.emit(`baton:${session_id}`, { holder: viewer_id, previous })
+}
+
+// { holder, locked, requests, participants: [{ viewer_id, name, online, last_seen, approval, in_control, requested }] }
+export function get_participants(session_id) {
+    ensure_session(session_id)
+    expire_baton(session_id)
+    const { participants, baton, approvals } = session_data[session_id]
+    return {
+        holder: baton.holder,
+        locked: baton.locked,
+        requests: baton.requests,
+        participants: Object.values(participants)
+            .filter(p => approvals[p.viewer_id] !== 'rejected')
+            .map(p => ({
+                viewer_id: p.viewer_id,
+                name: p.name,
+                online: is_online(session_id, p.viewer_id),
+                last_seen: p.last_seen,
+                approval: approvals[p.viewer_id] ?? 'pending',
+                view_only: !!p.view_only,
+                in_control: baton.holder === p.viewer_id,
+                requested: baton.requests.includes(p.viewer_id),
+            })),
+    }
+}
+
+// Baton handoff. `viewer` is null for the host. Returns {} or { error: 'bad_request' | 'forbidden' | 'not_found' }.
+//   request: take a free baton, or queue for it        cancel: leave the queue
+//   release: holder hands over to the oldest request   grant: holder or host gives it to `target_id`
+//   revoke:  host takes it back (locked until a grant or the host's own release)
+export function control_action(session_id, viewer, action, target_id) {
+    ensure_session(session_id)
+    expire_baton(session_id)
+    const baton = session_data[session_id].baton
+    const viewer_id = viewer?.viewer_id ?? null
+    const is_holder = viewer_id != null && baton.holder === viewer_id
+
+    switch (action) {
+        case 'request':
+            if (!viewer_id) return { error: 'bad_request' }
+            if (!can_interact(session_id, viewer)) return { error: 'forbidden' }
+            if (baton.holder == null && !baton.locked) set_holder(session_id, viewer_id)
+            else if (!is_holder && !baton.requests.includes(viewer_id)) baton.requests.push(viewer_id)
+            break
+        case 'cancel':
+            baton.requests = baton.requests.filter(id => id !== viewer_id)
+            break
+        case 'release':
+            if (viewer_id == null) {
+                baton.locked = false
+            } else if (is_holder) {
+                set_holder(session_id, next_requester(session_id))
+            } else {
+                return { error: 'forbidden' }
+            }
+            break
+        case 'grant':
+            if (viewer_id != null && !is_holder) return { error: 'forbidden' }
+            if (!(target_id in session_data[session_id].participants)) return { error: 'not_found' }
+            if (!can_interact(session_id, session_data[session_id].participants[target_id])) return { error: 'forbidden' }
+            set_holder(session_id, target_id)
+            break
+        case 'revoke':
+            if (viewer_id != null) return { error: 'forbidden' }
+            set_holder(session_id, null)
+            baton.locked = true
+            break
+        default:
+            return { error: 'bad_request' }
+    }
+    return {}
+}
+
+//#region ----------------------------------------------------------------------- REGISTRY
+
+function clean_host_info(info) {
+    return {
+        name: String(info?.name ?? '').trim().slice(0, 64),
+        os: String(info?.os ?? '').trim().slice(0, 64),
+        width: Math.max(0, Math.round(Number(info?.width) || 0)),
+        height: Math.max(0, Math.round(Number(info?.height) || 0)),
+        video: video_container(info?.video) ? String(info.video).slice(0, 128) : '', // mime type of its video mode
+        ice_servers: clean_ice_servers(info?.ice_servers), // null: no peer-to-peer mode
+    }
+}
+
+// STUN/TURN server URLs for peer-to-peer mode. Credentials don't belong here: anyone listing sessions sees them.
+function clean_ice_servers(urls) {
+    if (!Array.isArray(urls)) return null
+    return urls
+        .filter(url => typeof url === 'string' && /^(stun|turns?):[^\s@]{1,200}$/.test(url))
+        .slice(0, 8)
+}
+
+// Heartbeat: the host is alive (and optionally reports new info, e.g. after a resolution change).
+export function touch_host(session_id, info) {
+    if (!(session_id in session_data)) return
+    const host = session_data[session_id].host
+    host.last_seen = Date.now()
+    if (info && typeof info === 'object') host.info = clean_host_info(info)
+}
+
+function describe_session(session_id) {
+    const { host, participants } = session_data[session_id]
+    const now = Date.now()
+    return {
+        session_id,
+        ...(host.info ?? clean_host_info(null)),
+        online: host.last_seen + host_online_ms > now,
+        last_seen: host.last_seen || null,
+        viewers: Object.values(participants).filter(p => p.last_seen + participant_timeout_ms > now).length,
+    }
+}
+
+// Claimed sessions, optionally only those in `ids`; unknown ids are left out.
+export function list_sessions(ids) {
+    const wanted = Array.isArray(ids) ? ids.filter(id => id in session_data) : Object.keys(session_data)
+    return wanted
+        .filter(id => session_data[id].auth.host_hash)
+        .map(describe_session)
+}
+
+// Open sockets and streams close on `forget:<session_id>`; their clean-up must not bring the session back.
+function forget_session(session_id) {
+    const session = session_data[session_id]
+    for (const transfer of [...session.files.transfers.values()]) drop_transfer(session_id, transfer)
+    delete session_data[session_id]
+    session_events.emit(`forget:${session_id}`)
+}
+
+// Sessions live in memory: drop frames of hosts that went away, then forget the sessions themselves.
+function sweep_sessions() {
+    const now = Date.now()
+    for (const [session_id, session] of Object.entries(session_data)) {
+        const idle = now - (session.host.last_seen || session.created_at)
+        if (idle > (session.auth.host_hash ? session_ttl_ms : unclaimed_ttl_ms)) {
+            forget_session(session_id)
+        } else if (idle > frame_ttl_ms && (session.image_blob || session.frame)) {
+            session.image_blob = null
+            session.frame = null
+        }
+    }
+}
+
+setInterval(sweep_sessions, 60_000).unref()
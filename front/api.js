@@ -1,20 +1,379 @@
 let server = localStorage.getItem('sailaway_server') ?? 'http://localhost:3232'
 
-export function set_server(url) {
+// Viewer tokens per session, obtained with the host PIN: { token, expires_at }
+const tokens = {}
+
+// `remember: false` switches for this page only: a shared link's server must not become the default.
+export function set_server(url, { remember = true } = {}) {
     server = url
-    localStorage.setItem('sailaway_server', url)
+    if (remember) localStorage.setItem('sailaway_server', url)
+}
+
+export function get_server() {
+    return server
+}
+
+function auth_headers(session_id) {
+    const token = tokens[session_id]?.token
+    return token ? { 'Authorization': `Bearer ${token}` } : {}
+}
+
+async function store_token(session_id, res) {
+    const json = await res.json().catch(() => null)
+    if (!res.ok || !json?.token) {
+        throw new Error(json?.error ?? `${res.status} ${res.statusText}`)
+    }
+    tokens[session_id] = { token: json.token, expires_at: json.expires_at, view_only: !!json.view_only }
+    if (json.viewer_key) save_viewer_key(json.viewer_key)
+    return tokens[session_id]
+}
+
+// Stable per-browser identity, so hosts can remember approved viewers. The server issues the key at
+// the first pairing and derives the viewer_id from it; the key is only ever sent back when pairing again,
+// and only to the server that issued it (one key per server, so no server learns another's).
+function load_viewer_keys() {
+    try {
+        const keys = JSON.parse(localStorage.getItem('sailaway_viewer_keys') ?? '{}')
+        return keys && typeof keys === 'object' ? keys : {}
+    } catch {
+        return {}
+    }
+}
+
+function get_viewer_key() {
+    return load_viewer_keys()[server] ?? undefined
+}
+
+function save_viewer_key(viewer_key) {
+    const keys = load_viewer_keys()
+    keys[server] = viewer_key
+    localStorage.setItem('sailaway_viewer_keys', JSON.stringify(keys))
+}
+
+export function get_viewer_name() {
+    return localStorage.getItem('sailaway_viewer_name') ?? ''
+}
+
+export function set_viewer_name(name) {
+    localStorage.setItem('sailaway_viewer_name', name)
+}
+
+// Presence for the given session ids: [{ session_id, name, os, width, height, online, last_seen, viewers }]
+export async function list_sessions(ids) {
+    const query = encodeURIComponent(ids.join(','))
+    const res = await fetch(`${server}/api/sessions?ids=${query}`)
+    const json = await res.json().catch(() => null)
+    if (!res.ok) {
+        throw new Error(json?.error ?? `${res.status} ${res.statusText}`)
+    }
+    return json?.sessions ?? []
+}
+
+export async function pair(session_id, pin) {
+    const res = await fetch(`${server}/api/session/${session_id}/pair`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ pin, viewer_key: get_viewer_key(), name: get_viewer_name() })
+    })
+    return store_token(session_id, res)
+}
+
+// 'pending' | 'approved' | 'rejected'
+export async function get_approval(session_id) {
+    const res = await fetch(`${server}/api/session/${session_id}/approval`, {
+        headers: auth_headers(session_id)
+    })
+    const json = await res.json().catch(() => null)
+    if (!res.ok || !json?.status) {
+        throw new Error(json?.error ?? `${res.status} ${res.statusText}`)
+    }
+    return json.status
+}
+
+export async function refresh_token(session_id) {
+    const res = await fetch(`${server}/api/session/${session_id}/token`, {
+        method: 'POST',
+        headers: auth_headers(session_id)
+    })
+    return store_token(session_id, res)
+}
+
+export function get_token_expiry(session_id) {
+    return tokens[session_id]?.expires_at ?? null
 }
 
 export function set_controls(session_id, controls) {
     return fetch(`${server}/api/session/${session_id}/controls`, {
         method: 'POST',
         headers: {
+            ...auth_headers(session_id),
             'Content-Type': 'application/json'
         },
         body: JSON.stringify(controls)
     })
 }
 
+// { displays: [{ id, name, x, y, width, height, primary }], selected, capture, locked }
+export async function get_displays(session_id) {
+    const res = await fetch(`${server}/api/session/${session_id}/displays`, {
+        headers: auth_headers(session_id)
+    })
+    const json = await res.json().catch(() => null)
+    if (!res.ok || !json) {
+        throw new Error(json?.error ?? `${res.status} ${res.statusText}`)
+    }
+    return json
+}
+
+// { x, y, shape, visible, time } or null; only needed without a socket, which pushes it.
+export async function get_cursor(session_id) {
+    const res = await fetch(`${server}/api/session/${session_id}/cursor`, {
+        headers: auth_headers(session_id)
+    })
+    const json = await res.json().catch(() => null)
+    if (!res.ok || !json) {
+        throw new Error(json?.error ?? `${res.status} ${res.statusText}`)
+    }
+    return json.cursor
+}
+
+export async function send_clipboard(session_id, text) {
+    const res = await fetch(`${server}/api/session/${session_id}/clipboard`, {
+        method: 'POST',
+        headers: {
+            ...auth_headers(session_id),
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ text })
+    })
+    if (!res.ok) {
+        const json = await res.json().catch(() => null)
+        throw new Error(json?.error ?? `${res.status} ${res.statusText}`)
+    }
+}
+
+// Asks the host for its clipboard and waits for the answer: its text, or null if the host didn't answer
+// within `timeout_ms` (no clipboard tool, or offline).
+export async function get_host_clipboard(session_id, timeout_ms = 5000) {
+    const res = await fetch(`${server}/api/session/${session_id}/clipboard/request`, {
+        method: 'POST',
+        headers: auth_headers(session_id)
+    })
+    const { requested_at } = await read_json(res)
+    const deadline = Date.now() + timeout_ms
+    while (Date.now() < deadline) {
+        await new Promise((resolve) => setTimeout(resolve, 250))
+        const res = await fetch(`${server}/api/session/${session_id}/clipboard`, {
+            headers: auth_headers(session_id)
+        })
+        const json = await read_json(res)
+        if (json?.clipboard?.time >= requested_at) return json.clipboard.text
+    }
+    return null
+}
+
+async function read_json(res) {
+    const json = await res.json().catch(() => null)
+    if (!res.ok) {
+        throw new Error(json?.error ?? `${res.status} ${res.statusText}`)
+    }
+    return json
+}
+
+// { transfers: [...this viewer's transfers], outbox: [{ name, size, mtime }] }
+export async function list_files(session_id) {
+    const res = await fetch(`${server}/api/session/${session_id}/files`, {
+        headers: auth_headers(session_id)
+    })
+    return read_json(res)
+}
+
+// { direction: 'to_host', name, size, sha256? } or { direction: 'from_host', name }
+export async function create_transfer(session_id, transfer) {
+    const res = await fetch(`${server}/api/session/${session_id}/files`, {
+        method: 'POST',
+        headers: {
+            ...auth_headers(session_id),
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(transfer)
+    })
+    return (await read_json(res)).transfer
+}
+
+export async function get_transfer(session_id, transfer_id) {
+    const res = await fetch(`${server}/api/session/${session_id}/files/${transfer_id}`, {
+        headers: auth_headers(session_id)
+    })
+    return (await read_json(res)).transfer
+}
+
+// Returns the server's `received` offset after the chunk; on an offset or checksum
+// mismatch that is where the upload has to continue from.
+export async function upload_chunk(session_id, transfer_id, offset, chunk, sha256) {
+    const res = await fetch(`${server}/api/session/${session_id}/files/${transfer_id}?offset=${offset}`, {
+        method: 'PUT',
+        headers: {
+            ...auth_headers(session_id),
+            'Content-Type': 'application/octet-stream',
+            'X-Chunk-Sha256': sha256
+        },
+        body: chunk
+    })
+    const json = await res.json().catch(() => null)
+    if (res.status === 409 || res.status === 422) return Number(json?.received) || 0
+    if (!res.ok) {
+        throw new Error(json?.error ?? `${res.status} ${res.statusText}`)
+    }
+    return json.transfer.received
+}
+
+// Plain link so the browser's own download manager (and its resume) handles the file.
+export function get_transfer_data_url(session_id, transfer_id) {
+    const token = encodeURIComponent(tokens[session_id]?.token ?? '')
+    return `${server}/api/session/${session_id}/files/${transfer_id}/data?token=${token}`
+}
+
+// Newest first: [{ name, size, started_at, updated_at, active }]
+export async function list_recordings(session_id) {
+    const res = await fetch(`${server}/api/session/${session_id}/recordings`, {
+        headers: auth_headers(session_id)
+    })
+    return (await read_json(res)).recordings ?? []
+}
+
+export async function fetch_recording(session_id, name) {
+    const res = await fetch(get_recording_url(session_id, name))
+    if (!res.ok) {
+        const json = await res.json().catch(() => null)
+        throw new Error(json?.error ?? `${res.status} ${res.statusText}`)
+    }
+    return res.arrayBuffer()
+}
+
+// Live video of the host's video mode, as a streaming response (read res.body); null when the host has none.
+export async function fetch_video(session_id, signal) {
+    const res = await fetch(`${server}/api/session/${session_id}/video`, {
+        headers: auth_headers(session_id),
+        signal
+    })
+    if (res.status === 404) return null
+    if (!res.ok) {
+        const json = await res.json().catch(() => null)
+        throw new Error(json?.error ?? `${res.status} ${res.statusText}`)
+    }
+    return res
+}
+
+// Peer-to-peer mode: { ice_servers, signals } (emptying our mailbox), or null when the host has no such mode.
+export async function get_signals(session_id) {
+    const res = await fetch(`${server}/api/session/${session_id}/signal`, {
+        headers: auth_headers(session_id)
+    })
+    if (res.status === 404) return null
+    return read_json(res)
+}
+
+export async function post_signal(session_id, signal) {
+    const res = await fetch(`${server}/api/session/${session_id}/signal`, {
+        method: 'POST',
+        headers: {
+            ...auth_headers(session_id),
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ signal })
+    })
+    return read_json(res)
+}
+
+export function get_recording_url(session_id, name) {
+    const token = encodeURIComponent(tokens[session_id]?.token ?? '')
+    return `${server}/api/session/${session_id}/recordings/${encodeURIComponent(name)}?token=${token}`
+}
+
+// { holder, locked, requests, participants: [...], you }
+export async function get_participants(session_id) {
+    const res = await fetch(`${server}/api/session/${session_id}/participants`, {
+        headers: auth_headers(session_id)
+    })
+    return read_json(res)
+}
+
+// 'request' | 'cancel' | 'release' | 'grant' (with viewer_id); returns the new participants state.
+export async function send_control_action(session_id, action, viewer_id) {
+    const res = await fetch(`${server}/api/session/${session_id}/control`, {
+        method: 'POST',
+        headers: {
+            ...auth_headers(session_id),
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ action, viewer_id })
+    })
+    return read_json(res)
+}
+
+// { share_id, share_token, expires_at, single_use }; `ttl_ms` 0 = until revoked.
+export async function create_share_link(session_id, { ttl_ms, single_use }) {
+    const res = await fetch(`${server}/api/session/${session_id}/share`, {
+        method: 'POST',
+        headers: {
+            ...auth_headers(session_id),
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ ttl_ms, single_use })
+    })
+    return read_json(res)
+}
+
+// Trades a share token for a view-only viewer token (refreshed like any other).
+export async function redeem_share(session_id, share_token) {
+    const res = await fetch(`${server}/api/session/${session_id}/share/redeem`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ share_token, name: get_viewer_name() })
+    })
+    return store_token(session_id, res)
+}
+
+// This page with the session, share token and server filled in.
+export function get_share_page_url(session_id, share_token) {
+    const url = new URL(window.location.pathname, window.location.origin)
+    url.searchParams.set('session', session_id)
+    url.searchParams.set('share', share_token)
+    url.searchParams.set('server', server)
+    return url.toString()
+}
+
+export function post_stats(session_id, stats) {
+    return fetch(`${server}/api/session/${session_id}/stats`, {
+        method: 'POST',
+        headers: {
+            ...auth_headers(session_id),
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(stats)
+    })
+}
+
 export function get_stream_url(session_id) {
-    return `${server}/api/session/${session_id}/stream`
-}
\ No newline at end of file
+    const token = encodeURIComponent(tokens[session_id]?.token ?? '')
+    return `${server}/api/session/${session_id}/stream?token=${token}`
+}
+
+export function get_socket_url(session_id, role) {
+    const url = new URL(`/api/session/${encodeURIComponent(session_id)}/ws`, server)
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:'
+    url.searchParams.set('role', role)
+    url.searchParams.set('token', tokens[session_id]?.token ?? '')
+    return url.toString()
+}
+
+export function open_session_socket(session_id, role) {
+    const ws = new WebSocket(get_socket_url(session_id, role))
+    ws.binaryType = 'blob'
+    return ws
+}
@@ -1,7 +1,16 @@
-import { get_stream_url, set_controls, set_server } from "./api.js"
+import {
+    create_transfer, fetch_recording, fetch_video, get_approval, get_cursor, get_displays, get_host_clipboard, get_recording_url,
+    get_signals, get_stream_url, create_share_link, get_participants, get_share_page_url, get_token_expiry, get_transfer, get_transfer_data_url,
+    get_server, get_viewer_name, list_files, list_recordings, list_sessions, open_session_socket, pair, post_signal, post_stats, redeem_share, refresh_token,
+    send_clipboard, send_control_action, set_controls, set_server, set_viewer_name, upload_chunk,
+} from "./api.js"
+import { load_macros, parse_macro, save_macros } from "./key_system.js"
 
 const downKeys = []
 
+// Upload chunk size; the server accepts up to 4 MiB per chunk.
+const FILE_CHUNK_BYTES = 1024 * 1024
+
 function defer() {
     /** @type {(value: any) => void} */
     let resolve
@@ -21,7 +30,207 @@ function clamp01(value) {
     return value
 }
 
-export function create_vizu_canvas(session_id) {
+async function sha256Hex(data) {
+    const digest = await crypto.subtle.digest("SHA-256", data)
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("")
+}
+
+function formatBytes(size) {
+    if (size < 1024) return `${size} B`
+    if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KB`
+    return `${(size / 1024 / 1024).toFixed(1)} MB`
+}
+
+// See tiles.js on the server for the layout. Returns null for plain image frames.
+function parseTilePacket(buffer) {
+    if (buffer.byteLength < 11) return null
+    const view = new DataView(buffer)
+    const magic = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3))
+    if (magic !== "SAT1") return null
+
+    const count = view.getUint16(9)
+    const tiles = []
+    let offset = 11
+    for (let i = 0; i < count && offset + 12 <= buffer.byteLength; i++) {
+        const length = view.getUint32(offset + 8)
+        const start = offset + 12
+        tiles.push({
+            x: view.getUint16(offset),
+            y: view.getUint16(offset + 2),
+            width: view.getUint16(offset + 4),
+            height: view.getUint16(offset + 6),
+            blob: new Blob([new Uint8Array(buffer, start, Math.min(length, buffer.byteLength - start))]),
+        })
+        offset = start + length
+    }
+    return {
+        width: view.getUint16(4),
+        height: view.getUint16(6),
+        keyframe: (view.getUint8(8) & 1) !== 0,
+        tiles,
+    }
+}
+
+// See recorder.js on the server for the layout. A truncated last record (recording still running) is dropped.
+function parseRecording(buffer) {
+    const view = new DataView(buffer)
+    const bytes = new Uint8Array(buffer)
+    if (buffer.byteLength < 8 || String.fromCharCode(...bytes.subarray(0, 4)) !== "SAR1") {
+        throw new Error("Not a recording")
+    }
+    const decoder = new TextDecoder()
+    const metaLength = view.getUint32(4)
+    const meta = JSON.parse(decoder.decode(bytes.subarray(8, 8 + metaLength)))
+
+    const frames = []
+    const controls = []
+    let offset = 8 + metaLength
+    while (offset + 13 <= buffer.byteLength) {
+        const kind = view.getUint8(offset)
+        const time = view.getFloat64(offset + 1)
+        const length = view.getUint32(offset + 9)
+        const start = offset + 13
+        if (start + length > buffer.byteLength) break
+        if (kind === 1) {
+            const data = buffer.slice(start, start + length)
+            // Plain images stand alone; tile packets only with the keyframe flag.
+            const tiled = length >= 11 && String.fromCharCode(...bytes.subarray(start, start + 4)) === "SAT1"
+            frames.push({ time, data, keyframe: !tiled || (bytes[start + 8] & 1) !== 0 })
+        } else if (kind === 2) {
+            try {
+                controls.push({ time, control: JSON.parse(decoder.decode(bytes.subarray(start, start + length))) })
+            } catch {
+                // Skip unreadable events.
+            }
+        }
+        offset = start + length
+    }
+    return { meta, frames, controls }
+}
+
+const KEY_LABELS = {
+    8: "Backspace", 9: "Tab", 13: "Enter", 16: "Shift", 17: "Ctrl", 18: "Alt", 20: "CapsLock", 27: "Esc",
+    32: "Space", 33: "PageUp", 34: "PageDown", 35: "End", 36: "Home", 37: "Left", 38: "Up", 39: "Right",
+    40: "Down", 45: "Insert", 46: "Delete", 91: "Meta", 92: "Meta",
+}
+
+// Recorded keys are KeyboardEvent.keyCode values.
+function keyLabel(keyCode) {
+    if (KEY_LABELS[keyCode]) return KEY_LABELS[keyCode]
+    if ((keyCode >= 48 && keyCode <= 57) || (keyCode >= 65 && keyCode <= 90)) return String.fromCharCode(keyCode)
+    if (keyCode >= 112 && keyCode <= 123) return `F${keyCode - 111}`
+    return `#${keyCode}`
+}
+
+function formatDuration(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000))
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`
+}
+
+// Index of the last entry with `time` at or before `time`, -1 if none (entries are in time order).
+function lastIndexAt(entries, time) {
+    let low = 0
+    let high = entries.length - 1
+    let found = -1
+    while (low <= high) {
+        const mid = (low + high) >> 1
+        if (entries[mid].time <= time) {
+            found = mid
+            low = mid + 1
+        } else {
+            high = mid - 1
+        }
+    }
+    return found
+}
+
+function resizeCanvas(target, width, height) {
+    // Resizing also clears the canvas.
+    target.width = width
+    target.height = height
+}
+
+// Pointer drawn over the remote image at (x, y) canvas pixels, shaped after a CSS cursor name.
+// `scale` is canvas pixels per CSS pixel, so the pointer keeps its size whatever the view scale.
+function drawCursor(ctx, x, y, shape, scale = 1) {
+    ctx.save()
+    ctx.translate(Math.round(x) + 0.5, Math.round(y) + 0.5)
+    ctx.scale(scale, scale)
+    ctx.lineWidth = 1
+    ctx.strokeStyle = "#000"
+    ctx.fillStyle = "#fff"
+    ctx.beginPath()
+    if (shape === "text") {
+        // I-beam, centered on the hot spot.
+        ctx.moveTo(-3, -8)
+        ctx.lineTo(3, -8)
+        ctx.moveTo(0, -8)
+        ctx.lineTo(0, 8)
+        ctx.moveTo(-3, 8)
+        ctx.lineTo(3, 8)
+        ctx.lineWidth = 3
+        ctx.strokeStyle = "#fff"
+        ctx.stroke()
+        ctx.lineWidth = 1
+        ctx.strokeStyle = "#000"
+        ctx.stroke()
+    } else if (shape === "crosshair" || shape === "move" || shape.endsWith("-resize")) {
+        ctx.arc(0, 0, 5, 0, Math.PI * 2)
+        ctx.moveTo(-9, 0)
+        ctx.lineTo(9, 0)
+        ctx.moveTo(0, -9)
+        ctx.lineTo(0, 9)
+        ctx.lineWidth = 3
+        ctx.strokeStyle = "#fff"
+        ctx.stroke()
+        ctx.lineWidth = 1
+        ctx.strokeStyle = "#000"
+        ctx.stroke()
+    } else {
+        // Arrow, tip on the hot spot; a busy pointer gets a ring next to it.
+        ctx.moveTo(0, 0)
+        ctx.lineTo(0, 16)
+        ctx.lineTo(4, 12)
+        ctx.lineTo(7, 18)
+        ctx.lineTo(9, 17)
+        ctx.lineTo(6, 11)
+        ctx.lineTo(11, 11)
+        ctx.closePath()
+        ctx.fill()
+        ctx.stroke()
+        if (shape === "wait" || shape === "progress") {
+            ctx.beginPath()
+            ctx.arc(14, 18, 4, 0, Math.PI * 2)
+            ctx.stroke()
+        }
+    }
+    ctx.restore()
+}
+
+// Paints a plain image or a tile packet onto `target`, which follows the frame size.
+async function paintFrame(target, buffer) {
+    const targetCtx = target.getContext("2d")
+    const packet = parseTilePacket(buffer)
+    if (!packet) {
+        const bitmap = await createImageBitmap(new Blob([buffer]))
+        if (target.width !== bitmap.width || target.height !== bitmap.height) resizeCanvas(target, bitmap.width, bitmap.height)
+        targetCtx.drawImage(bitmap, 0, 0)
+        bitmap.close()
+        return
+    }
+
+    if (packet.keyframe || target.width !== packet.width || target.height !== packet.height) {
+        resizeCanvas(target, packet.width, packet.height)
+    }
+    const bitmaps = await Promise.all(packet.tiles.map((tile) => createImageBitmap(tile.blob)))
+    packet.tiles.forEach((tile, i) => {
+        targetCtx.drawImage(bitmaps[i], tile.x, tile.y, tile.width, tile.height)
+        bitmaps[i].close()
+    })
+}
+
+// `viewOnly`: share-link viewers only watch; no input listeners, no wake or control packets.
+export function create_vizu_canvas(session_id, { viewOnly = false } = {}) {
     const container = document.createElement("div")
     container.style.display = "flex"
     container.style.flexDirection = "column"
@@ -33,55 +242,513 @@ export function create_vizu_canvas(session_id) {
     canvas.width = 1280
     canvas.height = 720
     canvas.tabIndex = 0
-    canvas.style.alignSelf = "flex-start"
     canvas.style.display = "block"
-    // Use natural image size by default; only shrink if needed.
-    canvas.style.maxWidth = "min(100%, 1280px)"
-    canvas.style.height = "auto"
-    canvas.style.border = "1px solid #ddd"
+
+    // Scroll box around the canvas: whatever the scale mode makes larger than the available area scrolls here.
+    const viewport = document.createElement("div")
+    viewport.style.alignSelf = "flex-start"
+    viewport.style.overflow = "hidden"
+    viewport.style.lineHeight = "0"
+    viewport.style.outline = "1px solid #ddd"
 
     const ctx = canvas.getContext("2d")
     if (!ctx) {
         throw new Error("Could not get 2d canvas context")
     }
 
-    // Stream source.
+    // Stream source: frames come over the session socket, the multipart <img> is the fallback.
     const img = new Image()
     img.decoding = "async"
     img.loading = "eager"
-    img.src = get_stream_url(session_id)
+    let httpStreaming = false
+
+    function startHttpStream() {
+        if (httpStreaming) return
+        httpStreaming = true
+        img.src = get_stream_url(session_id)
+    }
+
+    function stopHttpStream() {
+        if (!httpStreaming) return
+        httpStreaming = false
+        img.src = ""
+    }
+
+    /** @type {WebSocket | null} */
+    let socket = null
+    /** @type {WebSocket | null} */
+    let socketAttempt = null
+    let socketRetryTimer = 0
+
+    // Remote frame as received over the socket, at the host's resolution. Tile packets paint onto it.
+    const remote = document.createElement("canvas")
+    let hasRemoteFrame = false
+    /** @type {Blob[]} */
+    const pendingBlobs = []
+    let decoding = false
+    // Smoothed decode+paint time, reported to the host so it can adapt quality and frame rate.
+    let renderMs = 0
+
+    async function paintSocketFrame(blob) {
+        await paintFrame(remote, await blob.arrayBuffer())
+        hasRemoteFrame = true
+    }
+
+    async function showSocketFrame(blob) {
+        // Tile deltas build on each other, so frames are painted strictly in arrival order.
+        pendingBlobs.push(blob)
+        if (decoding) return
+        decoding = true
+        try {
+            while (pendingBlobs.length && !closed && socket) {
+                try {
+                    const started = performance.now()
+                    await paintSocketFrame(pendingBlobs.shift())
+                    renderMs = renderMs * 0.7 + (performance.now() - started) * 0.3
+                } catch {
+                    // Skip undecodable frames.
+                }
+            }
+        } finally {
+            pendingBlobs.length = 0
+            decoding = false
+        }
+    }
+
+    function openSocket() {
+        if (closed) return
+        let ws
+        try {
+            ws = open_session_socket(session_id, "viewer")
+        } catch {
+            startHttpStream()
+            return
+        }
+        socketAttempt = ws
+
+        ws.addEventListener("open", () => {
+            socket = ws
+            stopHttpStream()
+            if (!imagesWanted()) ws.send(JSON.stringify({ type: "images", wanted: false }))
+            void postWakeSignal()
+        })
+        ws.addEventListener("message", (event) => {
+            if (typeof event.data === "string") {
+                let message
+                try {
+                    message = JSON.parse(event.data)
+                } catch {
+                    return
+                }
+                if (message?.type === "cursor") remoteCursor = message.cursor ?? null
+                return
+            }
+            void showSocketFrame(event.data)
+        })
+        ws.addEventListener("close", () => {
+            if (socket === ws) {
+                socket = null
+                hasRemoteFrame = false
+            }
+            if (closed) return
+            if (imagesWanted()) startHttpStream()
+            socketRetryTimer = window.setTimeout(openSocket, 5_000)
+        })
+    }
+
+    // Video mode: when the host offers it and the browser plays its format, a MediaSource-fed <video> takes over
+    // from image frames. Images come back whenever the video stops, and the video is tried again later.
+    const video = document.createElement("video")
+    video.muted = true
+    video.playsInline = true
+    /** @type {AbortController | null} */
+    let videoAbort = null
+    let videoPlaying = false
+    let videoRetryTimer = 0
+
+    function setVideoPlaying(playing) {
+        videoPlaying = playing
+        updateImagesWanted()
+    }
+
+    // Relayed images pause while the video or a peer-to-peer connection brings the frames.
+    function imagesWanted() {
+        return !videoPlaying && !hasPeerFrame
+    }
+
+    function updateImagesWanted() {
+        if (closed) return
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify({ type: "images", wanted: imagesWanted() }))
+        } else if (imagesWanted()) {
+            startHttpStream()
+        } else {
+            stopHttpStream()
+        }
+    }
+
+    function whenUpdated(buffer) {
+        return new Promise((resolve, reject) => {
+            buffer.addEventListener("updateend", resolve, { once: true })
+            buffer.addEventListener("error", reject, { once: true })
+        })
+    }
+
+    async function startVideo() {
+        if (closed || videoAbort || typeof MediaSource === "undefined") return
+        const abort = new AbortController()
+        videoAbort = abort
+        let retryMs = 10_000
+        let objectUrl = ""
+        try {
+            const res = await fetch_video(session_id, abort.signal)
+            if (!res) {
+                retryMs = 30_000
+                return
+            }
+            const type = res.headers.get("Content-Type") ?? ""
+            if (!MediaSource.isTypeSupported(type)) {
+                // This browser can't play it: images it is.
+                retryMs = 0
+                return
+            }
+            const mediaSource = new MediaSource()
+            objectUrl = URL.createObjectURL(mediaSource)
+            video.src = objectUrl
+            await new Promise((resolve) => mediaSource.addEventListener("sourceopen", resolve, { once: true }))
+            const buffer = mediaSource.addSourceBuffer(type)
+            // Segments play in arrival order, whatever their timestamps (they restart with each host run).
+            buffer.mode = "sequence"
+
+            const reader = res.body.getReader()
+            for (;;) {
+                const { done, value } = await reader.read()
+                if (done || closed) break
+                buffer.appendBuffer(value)
+                await whenUpdated(buffer)
+                if (!buffer.buffered.length) continue
+
+                // Stay at the live edge, and keep only a little history.
+                const start = buffer.buffered.start(0)
+                const end = buffer.buffered.end(buffer.buffered.length - 1)
+                if (end - video.currentTime > 0.5) video.currentTime = end - 0.05
+                if (video.currentTime - start > 30) {
+                    buffer.remove(start, video.currentTime - 10)
+                    await whenUpdated(buffer)
+                }
+                if (video.paused) {
+                    video.play().catch(() => {
+                        // Muted video may autoplay; drawn from whatever frame it holds otherwise.
+                    })
+                }
+                if (!videoPlaying && video.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA) setVideoPlaying(true)
+            }
+            // The host restarted its video (e.g. new size): pick the new one up right away.
+            retryMs = 1_000
+        } catch {
+            // Back to images until the next try.
+        } finally {
+            if (videoAbort === abort) videoAbort = null
+            if (videoPlaying) setVideoPlaying(false)
+            if (objectUrl) {
+                video.removeAttribute("src")
+                video.load()
+                URL.revokeObjectURL(objectUrl)
+            }
+            if (!closed && retryMs) videoRetryTimer = window.setTimeout(startVideo, retryMs)
+        }
+    }
+
+    // Peer-to-peer mode: frames over a WebRTC connection to the host, input still through the server; the server
+    // only relays the offer/answer and ICE candidates. Whenever that fails the relayed path takes over
+    // again, and the connection is tried later.
+    const PEER_CONNECT_MS = 15_000
+    const peerRemote = document.createElement("canvas")
+    let peer = null
+    let hasPeerFrame = false
+    let peerRetryTimer = 0
+
+    function stopPeer(current, retryMs) {
+        if (peer !== current) return
+        peer = null
+        current.pc.close()
+        if (hasPeerFrame) {
+            hasPeerFrame = false
+            updateImagesWanted()
+        }
+        if (!closed && retryMs) peerRetryTimer = window.setTimeout(startPeer, retryMs)
+    }
+
+    async function showPeerFrame(current, blob) {
+        // Tile deltas build on each other: painted strictly in arrival order, like socket frames.
+        current.blobs.push(blob)
+        if (current.decoding) return
+        current.decoding = true
+        try {
+            while (current.blobs.length && peer === current) {
+                try {
+                    await paintFrame(peerRemote, await current.blobs.shift().arrayBuffer())
+                    if (!hasPeerFrame) {
+                        hasPeerFrame = true
+                        updateImagesWanted()
+                    }
+                } catch {
+                    // Skip undecodable frames.
+                }
+            }
+        } finally {
+            current.decoding = false
+        }
+    }
+
+    async function answerSignals(current) {
+        const { signals } = (await get_signals(session_id)) ?? { signals: [] }
+        for (const signal of signals ?? []) {
+            if (signal.peer !== current.id) continue
+            if (signal.type === "answer") {
+                await current.pc.setRemoteDescription({ type: "answer", sdp: signal.sdp })
+            } else if (signal.type === "candidate" && signal.candidate) {
+                await current.pc.addIceCandidate(signal.candidate).catch(() => {
+                    // Other candidates may still connect.
+                })
+            } else if (signal.type === "bye") {
+                throw new Error("Host refused the connection")
+            }
+        }
+    }
+
+    async function startPeer() {
+        peerRetryTimer = 0
+        if (closed || peer || typeof RTCPeerConnection === "undefined") return
+        let info
+        try {
+            info = await get_signals(session_id)
+        } catch {
+            // Not approved yet, or the server is away.
+            if (!closed) peerRetryTimer = window.setTimeout(startPeer, 10_000)
+            return
+        }
+        if (closed || peer) return
+        if (!info) {
+            // The host may enable it later.
+            peerRetryTimer = window.setTimeout(startPeer, 60_000)
+            return
+        }
+
+        const pc = new RTCPeerConnection({ iceServers: (info.ice_servers ?? []).map((urls) => ({ urls })) })
+        const current = {
+            id: crypto.randomUUID(), pc, parts: [], blobs: [], decoding: false,
+        }
+        peer = current
+
+        // Each frame arrives as binary chunks, then "end".
+        const frames = pc.createDataChannel("frames")
+        frames.binaryType = "arraybuffer"
+        frames.addEventListener("message", (event) => {
+            if (typeof event.data !== "string") {
+                current.parts.push(event.data)
+                return
+            }
+            const blob = new Blob(current.parts)
+            current.parts = []
+            void showPeerFrame(current, blob)
+        })
+        frames.addEventListener("close", () => stopPeer(current, 10_000))
+
+        pc.addEventListener("icecandidate", (event) => {
+            if (!event.candidate) return
+            post_signal(session_id, { type: "candidate", peer: current.id, candidate: event.candidate.toJSON() }).catch(() => {
+                // The host may still reach us through another candidate.
+            })
+        })
+        pc.addEventListener("connectionstatechange", () => {
+            if (pc.connectionState === "failed" || pc.connectionState === "closed") stopPeer(current, 30_000)
+        })
+
+        try {
+            await pc.setLocalDescription(await pc.createOffer())
+            await post_signal(session_id, { type: "offer", peer: current.id, sdp: pc.localDescription.sdp })
+            // The answer and the host's candidates land in our mailbox: poll it until frames flow.
+            const deadline = Date.now() + PEER_CONNECT_MS
+            while (peer === current && !hasPeerFrame) {
+                if (Date.now() > deadline) throw new Error("Peer-to-peer connection timed out")
+                await answerSignals(current)
+                await new Promise((resolve) => window.setTimeout(resolve, 500))
+            }
+        } catch {
+            // Firewalls, no STUN, a host that said no: the relayed path it is.
+            stopPeer(current, 60_000)
+        }
+    }
+
+    function currentFrame() {
+        if (hasPeerFrame) {
+            return { source: peerRemote, width: peerRemote.width, height: peerRemote.height }
+        }
+        if (videoPlaying && video.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA && video.videoWidth > 0) {
+            return { source: video, width: video.videoWidth, height: video.videoHeight }
+        }
+        if (hasRemoteFrame) {
+            return { source: remote, width: remote.width, height: remote.height }
+        }
+        if (img.complete && img.naturalWidth > 0 && img.naturalHeight > 0) {
+            return { source: img, width: img.naturalWidth, height: img.naturalHeight }
+        }
+        return null
+    }
+
+    function sendStats() {
+        if (closed) return
+        const stats = { render_ms: Math.round(renderMs), backlog: pendingBlobs.length }
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify({ type: "stats", stats }))
+            return
+        }
+        post_stats(session_id, stats).catch(() => {
+            // Stats are best effort.
+        })
+    }
+
+    // False while another participant holds the control: input stays local, only wake packets go out.
+    let canControl = true
 
-    const MAX_VIEW_WIDTH_PX = 1280
-    let lastTarget = { w: canvas.width, h: canvas.height }
+    // Pointer: the host reports where it is (and its shape). While we drive it, our own position is drawn
+    // right away instead, and the host's report takes over again once we stop moving.
+    const CURSOR_PREDICT_MS = 1_000
+    let remoteCursor = null
+    let lastPointerMove = 0
+    let cursorTimer = 0
+
+    function drivesPointer() {
+        return !viewOnly && canControl
+    }
+
+    function pointerMoved() {
+        lastPointerMove = performance.now()
+    }
+
+    function cursorToDraw() {
+        const shape = remoteCursor?.shape ?? "default"
+        // Hosts that don't report the pointer: ours is all there is.
+        if (drivesPointer() && (!remoteCursor || performance.now() - lastPointerMove < CURSOR_PREDICT_MS)) {
+            return { x: mouse.x, y: mouse.y, shape }
+        }
+        return remoteCursor?.visible ? remoteCursor : null
+    }
+
+    function updateCanvasCursor() {
+        // Our drawn pointer replaces the browser's while we drive.
+        canvas.style.cursor = drivesPointer() ? "none" : ""
+    }
+    updateCanvasCursor()
+
+    async function pollCursor() {
+        cursorTimer = 0
+        if (closed) return
+        // The socket pushes it; polling is only the fallback.
+        if (httpStreaming) {
+            try {
+                remoteCursor = await get_cursor(session_id)
+            } catch {
+                // Keep the last one.
+            }
+        }
+        if (!closed) cursorTimer = window.setTimeout(pollCursor, 250)
+    }
+
+    function send_controls(controls) {
+        if (viewOnly || (!canControl && !controls.wake)) return Promise.resolve()
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify({ type: "controls", controls }))
+            return Promise.resolve()
+        }
+        return set_controls(session_id, controls)
+    }
+
+    // Scaling. "fit": the whole remote screen in the available area, up or down. "fill": covers the area,
+    // the rest scrolls. "native": one remote pixel per device pixel. "zoom": `zoom` times native.
+    // The canvas buffer stays at the remote resolution; CSS does the scaling, so the mouse mapping
+    // (see getNormalizedMouseFromEvent) only depends on where the canvas ends up on screen.
+    const SCALE_MODES = ["fit", "fill", "native", "zoom"]
+    const MIN_ZOOM = 0.1
+    const MAX_ZOOM = 8
+    const MIN_VIEW_HEIGHT_PX = 240
+    let scaleMode = "fit"
+    let zoom = 1
+    let cssScale = 1 // CSS px per remote pixel, as last applied
+    let lastLayout = ""
+
+    function availableBox() {
+        if (document.fullscreenElement === container) {
+            return { w: window.innerWidth, h: window.innerHeight }
+        }
+        const width = container.getBoundingClientRect().width || document.documentElement.clientWidth || window.innerWidth
+        // Down to the bottom of the window, from where the viewer starts on the page.
+        const top = viewport.getBoundingClientRect().top + window.scrollY
+        return {
+            w: Math.max(1, Math.floor(width)),
+            h: Math.max(MIN_VIEW_HEIGHT_PX, Math.floor(window.innerHeight - top - 8)),
+        }
+    }
+
+    function scaleFor(naturalW, naturalH, box) {
+        const dpr = window.devicePixelRatio || 1
+        switch (scaleMode) {
+            case "fill": return Math.max(box.w / naturalW, box.h / naturalH)
+            case "native": return 1 / dpr
+            case "zoom": return zoom / dpr
+            default: return Math.min(box.w / naturalW, box.h / naturalH)
+        }
+    }
 
     function updateCanvasTargetSize() {
-        const naturalW = img.naturalWidth
-        const naturalH = img.naturalHeight
+        const frame = currentFrame()
+        const naturalW = frame?.width ?? canvas.width
+        const naturalH = frame?.height ?? canvas.height
         if (!Number.isFinite(naturalW) || !Number.isFinite(naturalH) || naturalW <= 0 || naturalH <= 0) return
 
-        const available = Math.max(
-            1,
-            Math.floor(
-                container.getBoundingClientRect().width ||
-                document.documentElement.clientWidth ||
-                window.innerWidth ||
-                MAX_VIEW_WIDTH_PX
-            )
-        )
-
-        const targetW = Math.max(1, Math.floor(Math.min(naturalW, MAX_VIEW_WIDTH_PX, available)))
-        const targetH = Math.max(1, Math.floor((naturalH * targetW) / naturalW))
-        if (targetW === lastTarget.w && targetH === lastTarget.h) return
+        const box = availableBox()
+        const scale = scaleFor(naturalW, naturalH, box)
+        const cssW = Math.max(1, Math.round(naturalW * scale))
+        const cssH = Math.max(1, Math.round(naturalH * scale))
+        const layout = `${naturalW}x${naturalH} ${cssW}x${cssH} ${box.w}x${box.h}`
+        if (layout === lastLayout) return
+        lastLayout = layout
+        cssScale = scale
+
+        if (canvas.width !== naturalW || canvas.height !== naturalH) {
+            canvas.width = naturalW
+            canvas.height = naturalH
+        }
+        canvas.style.width = `${cssW}px`
+        canvas.style.height = `${cssH}px`
+        viewport.style.width = `${Math.min(cssW, box.w)}px`
+        viewport.style.height = `${Math.min(cssH, box.h)}px`
+        viewport.style.overflow = cssW > box.w || cssH > box.h ? "auto" : "hidden"
+    }
 
-        lastTarget = { w: targetW, h: targetH }
+    // Zoom relative to native pixels, whatever the mode.
+    function currentZoom() {
+        return cssScale * (window.devicePixelRatio || 1)
+    }
 
-        // Canvas buffer size: match the intended display size (no upscaling).
-        canvas.width = targetW
-        canvas.height = targetH
+    function setScale(mode, value) {
+        if (!SCALE_MODES.includes(mode)) return
+        if (mode === "zoom" && Number.isFinite(value)) zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, value))
+        scaleMode = mode
+        lastLayout = ""
+        updateCanvasTargetSize()
+        container.dispatchEvent(new CustomEvent("scalechange", { detail: { mode: scaleMode, zoom: currentZoom() } }))
+    }
 
-        // CSS size: natural (or max) width, responsive downscaling via max-width.
-        canvas.style.width = `${targetW}px`
-        canvas.style.aspectRatio = `${targetW} / ${targetH}`
+    function onFullscreenLayout() {
+        const fullscreen = document.fullscreenElement === container
+        container.style.background = fullscreen ? "#000" : ""
+        container.style.alignItems = fullscreen ? "center" : "flex-start"
+        container.style.justifyContent = fullscreen ? "center" : ""
+        viewport.style.alignSelf = fullscreen ? "center" : "flex-start"
+        lastLayout = ""
+        updateCanvasTargetSize()
     }
 
     img.addEventListener("load", () => {
@@ -91,13 +758,10 @@ export function create_vizu_canvas(session_id) {
     window.addEventListener("resize", updateCanvasTargetSize)
 
     // Input state.
-    // Track held keys by KeyboardEvent.code (stable), but send KeyboardEvent.key (layout-dependent).
-    // This avoids "stuck keys" when keyup reports a different .key (common with Shift+punctuation).
-    /** @type {Map<string, string>} */
-    const keysHeld = new Map()
-
-    // One-shot typed text (layout-correct). This is the "alien keyboard" channel.
-    // We accumulate characters between posts and clear after a successful send.
+    // Keyboard mode: "text" sends printable characters as the text they produce here (layout, dead keys
+    // and IME included) and everything else as keys; "keys" sends every key as a raw key code.
+    let keyboardMode = "text"
+    // One-shot typed text (layout-correct), sent with the next packet only.
     let typedText = ""
     let lastMouse = { x: 0, y: 0 }
     let mouse = { x: 0, y: 0, buttons: 0 }
@@ -109,8 +773,12 @@ export function create_vizu_canvas(session_id) {
     let rafId = 0
     let postTimer = 0
     let wakeTimer = 0
+    let tokenTimer = 0
+    let statsTimer = 0
     let lastSent = ""
 
+    // The canvas' on-screen box already reflects the scale mode, pinch zoom and scroll position
+    // (it has no border or padding), so this holds in every view state.
     function getNormalizedMouseFromEvent(event) {
         const rect = canvas.getBoundingClientRect()
         const x = clamp01((event.clientX - rect.left) / Math.max(1, rect.width))
@@ -158,7 +826,7 @@ export function create_vizu_canvas(session_id) {
         try {
             // Keep a stable wake marker so the client can detect it.
             // Also add a tick so this packet is unique over time.
-            await set_controls(session_id, {
+            await send_controls({
                 ...snapshotControls(),
                 wake: "please be awake",
                 wake_tick: Date.now(),
@@ -172,7 +840,39 @@ export function create_vizu_canvas(session_id) {
     async function markDirty() {
         // post snapshot
         const controls = snapshotControls()
-        await set_controls(session_id, controls)
+        // Wheel steps and typed text are one-shot: they go out with this packet only.
+        wheelStepsPendingY = 0
+        if (typedText) {
+            controls.text = typedText
+            typedText = ""
+        }
+        await send_controls(controls)
+    }
+
+    function sendKeySequence(sequence) {
+        return send_controls({ ...snapshotControls(), sequence })
+    }
+
+    function tapKey(key_id) {
+        void sendKeySequence([{ key: key_id, down: true }, { key: key_id, down: false }])
+    }
+
+    function typeText(text) {
+        if (!text) return
+        typedText += text
+        void markDirty()
+    }
+
+    function releaseKey(key_id) {
+        const index = downKeys.indexOf(key_id)
+        if (index === -1) return false
+        downKeys.splice(index, 1)
+        return true
+    }
+
+    // Characters a key press produces: one code point ("a", "é", "@", " "), not a key name like "Enter".
+    function isPrintableKey(key) {
+        return typeof key === "string" && key.length > 0 && [...key].length === 1
     }
 
     async function maybePostControls() {
@@ -208,7 +908,7 @@ export function create_vizu_canvas(session_id) {
 
         try {
             // Fire-and-forget: server stores latest.
-            await set_controls(session_id, controls)
+            await send_controls(controls)
         } catch {
             // Keep UI responsive even if server is down.
         }
@@ -217,11 +917,12 @@ export function create_vizu_canvas(session_id) {
     function onMouseMove(event) {
         const pos = getNormalizedMouseFromEvent(event)
         mouse = { ...mouse, ...pos }
+        pointerMoved()
         markDirty()
     }
 
     function onMouseDown(event) {
-        canvas.focus()
+        focusKeyboard()
         const pos = getNormalizedMouseFromEvent(event)
         mouse.buttons = event.buttons ?? mouse.buttons
         markDirty()
@@ -230,14 +931,15 @@ export function create_vizu_canvas(session_id) {
 
     function onMouseUp(event) {
         const pos = getNormalizedMouseFromEvent(event)
-        mouse.buttons = -1
+        // Buttons still held after this one went up.
+        mouse.buttons = event.buttons ?? 0
         markDirty()
         event.preventDefault()
     }
 
     function onWheel(event) {
         // Prevent page scrolling while controlling.
-        canvas.focus()
+        focusKeyboard()
         // Normalize wheel into integer "steps".
         // - deltaMode 0: pixels (typical), treat ~100px as one step
         // - deltaMode 1: lines, treat ~3 lines as one step
@@ -258,69 +960,382 @@ export function create_vizu_canvas(session_id) {
 
     function onKeyDown(event) {
         // Only capture keys when the viewer is focused.
-        if (document.activeElement !== canvas) return
+        if (!hasKeyboardFocus()) return
+        // IME composition in progress: the result arrives with compositionend.
+        if (event.isComposing || event.keyCode === 229) return
+
+        if (keyboardMode === "text") {
+            const key = event.key
+            // Dead keys combine with the next key press, whose `key` is the composed character.
+            // CapsLock already shaped the characters we send.
+            if (key === "Dead" || key === "CapsLock") {
+                if (event.cancelable) event.preventDefault()
+                return
+            }
+            // AltGr only picks a character. Windows reports it as Ctrl+Alt, and the host must not hold those.
+            if (key === "AltGraph") {
+                const ctrl = releaseKey(17)
+                const alt = releaseKey(18)
+                if (ctrl || alt) void markDirty()
+                if (event.cancelable) event.preventDefault()
+                return
+            }
+            const altGraph = event.getModifierState?.("AltGraph") ?? false
+            const shortcut = event.ctrlKey || event.altKey || event.metaKey
+            if (isPrintableKey(key) && (!shortcut || altGraph)) {
+                typeText(key)
+                // Also keeps the character out of the hidden text field.
+                if (event.cancelable) event.preventDefault()
+                return
+            }
+        }
 
         const key_id = event.keyCode
         if (!downKeys.includes(key_id)) {
             downKeys.push(key_id)
             markDirty()
         }
+        // The key went to the host: the hidden text field must not see it too (Backspace would be sent twice).
+        if (event.target === textInput && event.cancelable) event.preventDefault()
+    }
 
+    function onKeyUp(event) {
+        if (!hasKeyboardFocus()) return
 
-        // const rawKey = typeof event.key === "string" ? event.key : ""
-        // if (!rawKey || rawKey === "Dead") return
+        if (releaseKey(event.keyCode)) markDirty()
+    }
 
-        // // "Alien keyboard": if this key produces a character, send the produced character verbatim.
-        // // Do NOT try to emulate Shift+<physical> for punctuation, because that easily double-applies modifiers.
-        // if (!event.ctrlKey && !event.altKey && !event.metaKey && rawKey.length === 1) {
-        //     typedText = (typedText + rawKey).slice(-128)
-        //     markDirty()
+    // Hidden text field that takes the keyboard focus: the canvas can't host an IME composition, and
+    // on-screen keyboards only open for editable elements.
+    const textInput = document.createElement("textarea")
+    textInput.autocapitalize = "off"
+    textInput.autocomplete = "off"
+    textInput.spellcheck = false
+    textInput.setAttribute("aria-label", "Keyboard input for the remote screen")
+    textInput.style.position = "absolute"
+    textInput.style.left = "0"
+    textInput.style.top = "0"
+    textInput.style.width = "1px"
+    textInput.style.height = "1px"
+    textInput.style.opacity = "0"
+    textInput.style.border = "0"
+    textInput.style.padding = "0"
+    textInput.style.resize = "none"
+    textInput.style.pointerEvents = "none"
+    // 16px keeps mobile browsers from zooming in when it gets focus.
+    textInput.style.fontSize = "16px"
+    container.style.position = "relative"
+
+    function focusKeyboard() {
+        textInput.focus({ preventScroll: true })
+    }
 
-        //     if (event.cancelable) event.preventDefault()
-        //     event.stopPropagation()
-        //     return
-        // }
+    function hasKeyboardFocus() {
+        return document.activeElement === textInput || document.activeElement === canvas
+    }
 
-        // // Otherwise, treat as a held key (for shortcuts like Ctrl+A, arrows, etc.).
-        // const code = typeof event.code === "string" ? event.code : ""
-        // if (code) {
-        //     // Normalize letters so Shift is represented by Shift key (for Ctrl+letter combos).
-        //     let key = rawKey
-        //     if (key.length === 1 && /[a-zA-Z]/.test(key)) key = key.toLowerCase()
-        //     keysHeld.set(code, key)
-        // }
-        // markDirty()
+    // The field keeps one placeholder character, so an on-screen keyboard's backspace has something to delete.
+    function resetTextInput() {
+        textInput.value = "\u200b"
+        textInput.setSelectionRange(1, 1)
+    }
+    resetTextInput()
 
-        // // Avoid the controller (browser) interpreting key combos.
-        // // Note: some browser/OS reserved shortcuts may still win.
-        // if (event.cancelable) event.preventDefault()
-        // event.stopPropagation()
+    function onCompositionEnd(event) {
+        typeText(event.data ?? "")
+        resetTextInput()
     }
 
-    function onKeyUp(event) {
-        if (document.activeElement !== canvas) return
+    // Edits that didn't come through keydown: on-screen keyboards report most keys as 229.
+    function onTextInput(event) {
+        if (event.isComposing) return
+        // In raw key mode the keydown already went out as a key.
+        if (keyboardMode === "text") {
+            if (event.inputType === "insertText" && event.data) typeText(event.data)
+            else if (event.inputType === "deleteContentBackward") tapKey(8)
+            else if (event.inputType === "insertLineBreak") tapKey(13)
+        }
+        resetTextInput()
+    }
 
-        const key_id = event.keyCode
-        const index = downKeys.indexOf(key_id)
-        if (index !== -1) {
-            downKeys.splice(index, 1)
-            markDirty()
+    // Touch. "direct": taps click and drags drag where the finger is. "trackpad": the finger moves the
+    // cursor relatively and taps click where it is. Both: long press = right click, two-finger drag = wheel,
+    // pinch = local zoom and pan of the remote image (nothing is sent for those).
+    const TAP_SLOP_PX = 10
+    const LONG_PRESS_MS = 550
+    const TRACKPAD_SPEED = 1.5
+    const TOUCH_WHEEL_PX = 40 // finger travel per wheel step
+    const PINCH_THRESHOLD = 0.15 // relative change of the finger distance that makes a two-finger gesture a pinch
+    // `buttons` bitmask values, as in mouse events.
+    const BUTTON_LEFT = 1
+    const BUTTON_RIGHT = 2
+
+    let touchMode = "direct"
+    /** @type {Map<number, { x: number, y: number }>} */
+    const touches = new Map()
+    // One finger: { id, startX, startY, lastX, lastY, start, moved, dragging, longPressed, longPressTimer }
+    let touchGesture = null
+    // Two fingers: { mode: null | "scroll" | "pinch", startDist, startMid, lastMid, startZoom, pointX, pointY }
+    let pinchGesture = null
+    let touchWheelAccY = 0
+
+    function clickAt(button) {
+        mouse.buttons = button
+        void markDirty()
+        mouse.buttons = 0
+        void markDirty()
+    }
+
+    function touchPair() {
+        const [a, b] = touches.values()
+        return { dist: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)), mid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 } }
+    }
+
+    function cancelTouchGesture() {
+        const gesture = touchGesture
+        touchGesture = null
+        if (!gesture) return
+        window.clearTimeout(gesture.longPressTimer)
+        if (gesture.dragging) {
+            mouse.buttons = 0
+            void markDirty()
+        }
+    }
+
+    function onLongPress() {
+        const gesture = touchGesture
+        if (!gesture || gesture.moved) return
+        gesture.longPressed = true
+        clickAt(BUTTON_RIGHT)
+    }
+
+    function onTouchStart(event) {
+        if (event.pointerType !== "touch") return
+        // No emulated mouse events after this.
+        event.preventDefault()
+        canvas.setPointerCapture(event.pointerId)
+        touches.set(event.pointerId, { x: event.clientX, y: event.clientY })
+
+        if (touches.size === 1) {
+            touchGesture = {
+                id: event.pointerId,
+                startX: event.clientX,
+                startY: event.clientY,
+                lastX: event.clientX,
+                lastY: event.clientY,
+                start: getNormalizedMouseFromEvent(event),
+                moved: false,
+                dragging: false,
+                longPressed: false,
+                longPressTimer: window.setTimeout(onLongPress, LONG_PRESS_MS),
+            }
+            if (touchMode === "direct") {
+                mouse = { ...mouse, ...touchGesture.start }
+                pointerMoved()
+            }
+        } else if (touches.size === 2) {
+            cancelTouchGesture()
+            const { dist, mid } = touchPair()
+            // Remote pixel under the fingers, kept under them while zooming.
+            const rect = canvas.getBoundingClientRect()
+            pinchGesture = {
+                mode: null,
+                startDist: dist,
+                startMid: mid,
+                lastMid: mid,
+                startZoom: currentZoom(),
+                pointX: (mid.x - rect.left) / cssScale,
+                pointY: (mid.y - rect.top) / cssScale,
+            }
+        }
+    }
+
+    function onTouchMove(event) {
+        if (event.pointerType !== "touch" || !touches.has(event.pointerId)) return
+        touches.set(event.pointerId, { x: event.clientX, y: event.clientY })
+
+        if (pinchGesture) {
+            if (touches.size === 2) updatePinchGesture()
+            return
+        }
+
+        const gesture = touchGesture
+        if (!gesture || gesture.id !== event.pointerId || gesture.longPressed) return
+        const dx = event.clientX - gesture.lastX
+        const dy = event.clientY - gesture.lastY
+        gesture.lastX = event.clientX
+        gesture.lastY = event.clientY
+        if (!gesture.moved) {
+            if (Math.hypot(event.clientX - gesture.startX, event.clientY - gesture.startY) < TAP_SLOP_PX) return
+            gesture.moved = true
+            window.clearTimeout(gesture.longPressTimer)
+        }
+
+        if (touchMode === "trackpad") {
+            const rect = canvas.getBoundingClientRect()
+            mouse = {
+                ...mouse,
+                x: clamp01(mouse.x + (dx / Math.max(1, rect.width)) * TRACKPAD_SPEED),
+                y: clamp01(mouse.y + (dy / Math.max(1, rect.height)) * TRACKPAD_SPEED),
+            }
+        } else {
+            if (!gesture.dragging) {
+                // Press where the finger went down, then drag from there.
+                gesture.dragging = true
+                mouse = { ...mouse, ...gesture.start, buttons: BUTTON_LEFT }
+                void markDirty()
+            }
+            mouse = { ...mouse, ...getNormalizedMouseFromEvent(event) }
+        }
+        pointerMoved()
+        void markDirty()
+    }
+
+    function updatePinchGesture() {
+        const gesture = pinchGesture
+        const { dist, mid } = touchPair()
+        if (!gesture.mode) {
+            if (Math.abs(dist / gesture.startDist - 1) > PINCH_THRESHOLD) {
+                gesture.mode = "pinch"
+            } else if (Math.hypot(mid.x - gesture.startMid.x, mid.y - gesture.startMid.y) > TAP_SLOP_PX) {
+                gesture.mode = "scroll"
+            } else {
+                return
+            }
+        }
+
+        if (gesture.mode === "pinch") {
+            // Zoom, then scroll so the pixel that was under the fingers is under them again (panning too).
+            setScale("zoom", (gesture.startZoom * dist) / gesture.startDist)
+            const rect = viewport.getBoundingClientRect()
+            viewport.scrollLeft = gesture.pointX * cssScale - (mid.x - rect.left)
+            viewport.scrollTop = gesture.pointY * cssScale - (mid.y - rect.top)
+        } else {
+            // Fingers moving up scroll the content down, like a touch screen.
+            touchWheelAccY += gesture.lastMid.y - mid.y
+            const steps = Math.trunc(touchWheelAccY / TOUCH_WHEEL_PX)
+            if (steps !== 0) {
+                touchWheelAccY -= steps * TOUCH_WHEEL_PX
+                wheelStepsPendingY = Math.max(-20, Math.min(20, wheelStepsPendingY + steps))
+                void markDirty()
+            }
+        }
+        gesture.lastMid = mid
+    }
+
+    function onTouchEnd(event) {
+        if (event.pointerType !== "touch" || !touches.has(event.pointerId)) return
+        touches.delete(event.pointerId)
+
+        if (pinchGesture) {
+            // The finger left over doesn't start a new gesture.
+            if (touches.size === 0) {
+                pinchGesture = null
+                touchWheelAccY = 0
+            }
+            return
+        }
+
+        const gesture = touchGesture
+        if (!gesture || gesture.id !== event.pointerId) return
+        if (event.type === "pointerup" && !gesture.moved && !gesture.longPressed) {
+            window.clearTimeout(gesture.longPressTimer)
+            touchGesture = null
+            clickAt(BUTTON_LEFT)
+            return
         }
+        cancelTouchGesture()
+    }
 
-        // const code = typeof event.code === "string" ? event.code : ""
-        // if (code) keysHeld.delete(code)
-        // markDirty()
-        // if (event.cancelable) event.preventDefault()
-        // event.stopPropagation()
+    if (!viewOnly) {
+        canvas.addEventListener("mousemove", onMouseMove)
+        canvas.addEventListener("mousedown", onMouseDown)
+        canvas.addEventListener("mouseup", onMouseUp)
+        canvas.addEventListener("wheel", onWheel, { passive: false })
+        canvas.addEventListener("contextmenu", (e) => e.preventDefault())
+        window.addEventListener("keydown", onKeyDown)
+        window.addEventListener("keyup", onKeyUp)
+        canvas.addEventListener("focus", focusKeyboard)
+        textInput.addEventListener("compositionend", onCompositionEnd)
+        textInput.addEventListener("input", onTextInput)
+        canvas.style.touchAction = "none"
+        canvas.addEventListener("pointerdown", onTouchStart)
+        canvas.addEventListener("pointermove", onTouchMove)
+        canvas.addEventListener("pointerup", onTouchEnd)
+        canvas.addEventListener("pointercancel", onTouchEnd)
     }
 
-    canvas.addEventListener("mousemove", onMouseMove)
-    canvas.addEventListener("mousedown", onMouseDown)
-    canvas.addEventListener("mouseup", onMouseUp)
-    canvas.addEventListener("wheel", onWheel, { passive: false })
-    canvas.addEventListener("contextmenu", (e) => e.preventDefault())
-    window.addEventListener("keydown", onKeyDown)
-    window.addEventListener("keyup", onKeyUp)
+    // File drop: files dropped on the canvas land in the host's inbox.
+    const transferStatus = document.createElement("div")
+    transferStatus.style.opacity = "0.8"
+    transferStatus.style.fontSize = "13px"
+
+    /** @type {File[]} */
+    const uploadQueue = []
+    let uploading = false
+
+    async function uploadFile(file) {
+        // Chunks are checked one by one; the server hashes the whole file as it arrives.
+        const transfer = await create_transfer(session_id, { direction: "to_host", name: file.name, size: file.size })
+
+        let offset = 0
+        let failures = 0
+        while (offset < file.size) {
+            if (closed) return
+            transferStatus.textContent = `Sending ${file.name}: ${Math.floor((offset / file.size) * 100)}%`
+            try {
+                const chunk = await file.slice(offset, offset + FILE_CHUNK_BYTES).arrayBuffer()
+                offset = await upload_chunk(session_id, transfer.id, offset, chunk, await sha256Hex(chunk))
+                failures = 0
+            } catch (err) {
+                // Network hiccup: wait, then resume from wherever the server got to.
+                if (++failures > 5) throw err
+                await new Promise((resolve) => window.setTimeout(resolve, 1_000 * failures))
+                offset = (await get_transfer(session_id, transfer.id).catch(() => null))?.received ?? offset
+            }
+        }
+        transferStatus.textContent = `Sent ${file.name} (${formatBytes(file.size)}) to the host inbox`
+    }
+
+    async function drainUploads() {
+        if (uploading) return
+        uploading = true
+        while (uploadQueue.length && !closed) {
+            const file = uploadQueue.shift()
+            try {
+                await uploadFile(file)
+            } catch (err) {
+                transferStatus.textContent = `Could not send ${file.name}: ${err?.message ?? err}`
+            }
+        }
+        uploading = false
+    }
+
+    function onDragOver(event) {
+        if (!event.dataTransfer?.types?.includes("Files")) return
+        event.preventDefault()
+        event.dataTransfer.dropEffect = "copy"
+        canvas.style.outline = "3px dashed #4a90d9"
+    }
+
+    function onDragLeave() {
+        canvas.style.outline = ""
+    }
+
+    function onDrop(event) {
+        canvas.style.outline = ""
+        const files = Array.from(event.dataTransfer?.files ?? [])
+        if (!files.length) return
+        event.preventDefault()
+        uploadQueue.push(...files)
+        void drainUploads()
+    }
+
+    if (!viewOnly) {
+        canvas.addEventListener("dragover", onDragOver)
+        canvas.addEventListener("dragleave", onDragLeave)
+        canvas.addEventListener("drop", onDrop)
+    }
 
     function drawLoop() {
         if (closed) return
@@ -328,8 +1343,13 @@ export function create_vizu_canvas(session_id) {
         updateCanvasTargetSize()
 
         // If the browser updates the image from multipart, drawImage will pick it up.
-        if (img.complete && img.naturalWidth > 0 && img.naturalHeight > 0) {
-            ctx.drawImage(img, 0, 0, canvas.width, canvas.height)
+        const frame = currentFrame()
+        if (frame) {
+            ctx.drawImage(frame.source, 0, 0, canvas.width, canvas.height)
+            const cursor = cursorToDraw()
+            if (cursor) {
+                drawCursor(ctx, cursor.x * (canvas.width - 1), cursor.y * (canvas.height - 1), cursor.shape, 1 / cssScale)
+            }
         } else {
             ctx.fillStyle = "#f7f7f7"
             ctx.fillRect(0, 0, canvas.width, canvas.height)
@@ -342,32 +1362,123 @@ export function create_vizu_canvas(session_id) {
     }
 
     rafId = window.requestAnimationFrame(drawLoop)
+    openSocket()
+    void startVideo()
+    void startPeer()
+    void pollCursor()
+    statsTimer = window.setInterval(sendStats, 2_000)
     // postTimer = window.setInterval(() => {
     //     void maybePostControls()
     // }, 50)
 
+    // Viewer tokens are short-lived: swap for a fresh one halfway through each lifetime.
+    function scheduleTokenRefresh() {
+        const expiresAt = get_token_expiry(session_id)
+        if (!expiresAt || closed) return
+        const delay = Math.max(5_000, (expiresAt - Date.now()) / 2)
+        tokenTimer = window.setTimeout(async () => {
+            try {
+                await refresh_token(session_id)
+            } catch {
+                // Retried on the next schedule; the stream keeps running meanwhile.
+            }
+            scheduleTokenRefresh()
+        }, delay)
+    }
+    scheduleTokenRefresh()
+
     // Periodic wake ping so the client knows a viewer is connected.
-    // Fire immediately once, then every 30s.
-    void postWakeSignal()
-    wakeTimer = window.setInterval(() => {
+    // Fire immediately once, then every 30s. (The server wakes the host for view-only viewers.)
+    if (!viewOnly) {
         void postWakeSignal()
-    }, 30_000)
+        wakeTimer = window.setInterval(() => {
+            void postWakeSignal()
+        }, 30_000)
+    }
+
+    container.send_controls = send_controls
+
+    container.focus_keyboard = focusKeyboard
+
+    // Macros from the key toolbar: one packet, the host plays the steps in order.
+    container.send_key_sequence = sendKeySequence
+
+    container.has_touch = !viewOnly && navigator.maxTouchPoints > 0
+
+    container.set_touch_mode = (mode) => {
+        if (mode !== "direct" && mode !== "trackpad") return
+        cancelTouchGesture()
+        touchMode = mode
+    }
+
+    container.set_scale = setScale
+    container.get_scale = () => ({ mode: scaleMode, zoom: currentZoom() })
+
+    container.toggle_fullscreen = async () => {
+        if (document.fullscreenElement === container) await document.exitFullscreen()
+        else await container.requestFullscreen()
+    }
+
+    // Keyboard Lock (fullscreen only): Alt+Tab, the Windows key, Ctrl+W... reach us instead of the browser.
+    container.can_capture_system_keys = !viewOnly && typeof navigator.keyboard?.lock === "function"
+    container.capture_system_keys = async () => {
+        if (document.fullscreenElement !== container) await container.requestFullscreen()
+        await navigator.keyboard.lock()
+        focusKeyboard()
+    }
+
+    function onFullscreenChange() {
+        if (document.fullscreenElement !== container) navigator.keyboard?.unlock?.()
+        onFullscreenLayout()
+    }
+    document.addEventListener("fullscreenchange", onFullscreenChange)
+
+    container.set_keyboard_mode = (mode) => {
+        if (mode !== "text" && mode !== "keys") return
+        keyboardMode = mode
+        // Keys held under the old mode would never be released under the new one.
+        downKeys.length = 0
+        void markDirty()
+    }
+
+    container.set_can_control = (value) => {
+        if (viewOnly || value === canControl) return
+        canControl = value
+        updateCanvasCursor()
+        canvas.title = value ? "" : "View only: another participant has control"
+        // Catch the host up with our current state once we get the control.
+        if (value) {
+            lastSent = ""
+            void markDirty()
+        }
+    }
 
     container.close = () => {
+        if (closed) return
         closed = true
         if (rafId) window.cancelAnimationFrame(rafId)
         if (postTimer) window.clearInterval(postTimer)
         if (wakeTimer) window.clearInterval(wakeTimer)
+        if (socketRetryTimer) window.clearTimeout(socketRetryTimer)
+        if (tokenTimer) window.clearTimeout(tokenTimer)
+        if (statsTimer) window.clearInterval(statsTimer)
+        if (cursorTimer) window.clearTimeout(cursorTimer)
 
         // Remove wake signal + clear any pressed inputs on the remote side.
         try {
-            void set_controls(session_id, snapshotNeutralControls())
+            void send_controls(snapshotNeutralControls())
         } catch {
             // ignore
         }
 
-        // Close the image stream (multipart fetch tied to Image.src).
+        // Close the frame sources (socket, and multipart fetch tied to Image.src).
+        if (socketAttempt) socketAttempt.close()
+        hasRemoteFrame = false
         img.src = ""
+        window.clearTimeout(videoRetryTimer)
+        if (videoAbort) videoAbort.abort()
+        window.clearTimeout(peerRetryTimer)
+        if (peer) stopPeer(peer, 0)
 
         canvas.removeEventListener("mousemove", onMouseMove)
         canvas.removeEventListener("mousedown", onMouseDown)
@@ -376,14 +1487,249 @@ export function create_vizu_canvas(session_id) {
         canvas.removeEventListener("wheel", onWheel)
         window.removeEventListener("keydown", onKeyDown)
         window.removeEventListener("keyup", onKeyUp)
+        canvas.removeEventListener("focus", focusKeyboard)
+        textInput.removeEventListener("compositionend", onCompositionEnd)
+        textInput.removeEventListener("input", onTextInput)
+        cancelTouchGesture()
+        canvas.removeEventListener("pointerdown", onTouchStart)
+        canvas.removeEventListener("pointermove", onTouchMove)
+        canvas.removeEventListener("pointerup", onTouchEnd)
+        canvas.removeEventListener("pointercancel", onTouchEnd)
         window.removeEventListener("resize", updateCanvasTargetSize)
+        document.removeEventListener("fullscreenchange", onFullscreenChange)
+        if (document.fullscreenElement === container) void document.exitFullscreen().catch(() => { })
+        canvas.removeEventListener("dragover", onDragOver)
+        canvas.removeEventListener("dragleave", onDragLeave)
+        canvas.removeEventListener("drop", onDrop)
+    }
+
+    viewport.appendChild(canvas)
+    container.appendChild(viewport)
+    if (!viewOnly) container.appendChild(textInput)
+    container.appendChild(transferStatus)
+    return container
+}
+
+const PLAYER_SPEEDS = [0.25, 0.5, 1, 2, 4, 8]
+
+// Replays a recording: frames at their recorded pace, with the viewer's pointer and held keys on top.
+export function create_player_div(session_id, name) {
+    const container = document.createElement("div")
+    container.style.display = "flex"
+    container.style.flexDirection = "column"
+    container.style.gap = "8px"
+    container.style.alignItems = "flex-start"
+
+    const toolbar = document.createElement("div")
+    toolbar.style.display = "flex"
+    toolbar.style.alignItems = "center"
+    toolbar.style.gap = "8px"
+
+    const playBtn = document.createElement("button")
+    playBtn.textContent = "Play"
+    playBtn.disabled = true
+
+    const seek = document.createElement("input")
+    seek.type = "range"
+    seek.min = "0"
+    seek.max = "0"
+    seek.step = "1"
+    seek.style.width = "320px"
+    seek.disabled = true
+
+    const timeLabel = document.createElement("span")
+    timeLabel.style.fontVariantNumeric = "tabular-nums"
+
+    const speedSelect = document.createElement("select")
+    speedSelect.title = "Playback speed"
+    for (const speed of PLAYER_SPEEDS) {
+        const option = document.createElement("option")
+        option.value = String(speed)
+        option.textContent = `${speed}x`
+        speedSelect.appendChild(option)
+    }
+    speedSelect.value = "1"
+
+    const downloadLink = document.createElement("a")
+    downloadLink.href = get_recording_url(session_id, name)
+    downloadLink.download = name
+    downloadLink.textContent = "Download"
+
+    const closeBtn = document.createElement("button")
+    closeBtn.textContent = "Close player"
+
+    const status = document.createElement("div")
+    status.style.opacity = "0.8"
+    status.textContent = `Loading ${name}…`
+
+    toolbar.appendChild(playBtn)
+    toolbar.appendChild(seek)
+    toolbar.appendChild(timeLabel)
+    toolbar.appendChild(speedSelect)
+    toolbar.appendChild(downloadLink)
+    toolbar.appendChild(closeBtn)
+
+    const canvas = document.createElement("canvas")
+    canvas.width = 1280
+    canvas.height = 720
+    canvas.style.maxWidth = "min(100%, 1280px)"
+    canvas.style.height = "auto"
+    canvas.style.border = "1px solid #ddd"
+    const ctx = canvas.getContext("2d")
+
+    // Frames are composed here at the recorded resolution; tile deltas build on it like the live view.
+    const frameCanvas = document.createElement("canvas")
+
+    /** @type {{ meta: any, frames: any[], controls: any[] } | null} */
+    let recording = null
+    let start = 0
+    let duration = 0
+    let position = 0
+    let playing = false
+    let applied = -1
+    let painting = false
+    let closed = false
+    let rafId = 0
+    let lastTick = performance.now()
+
+    async function syncFrames() {
+        if (painting || !recording) return
+        painting = true
+        try {
+            const target = lastIndexAt(recording.frames, start + position)
+            if (target < 0) {
+                if (applied >= 0) resizeCanvas(frameCanvas, 0, 0)
+                applied = -1
+                return
+            }
+            let from = applied + 1
+            // Seeking back (or far ahead): restart from the closest keyframe instead of every delta.
+            if (target < applied || target - applied > 30) {
+                let key = target
+                while (key > 0 && !recording.frames[key].keyframe) key--
+                if (target < applied || key > applied) from = key
+            }
+            for (let i = from; i <= target && !closed; i++) {
+                try {
+                    await paintFrame(frameCanvas, recording.frames[i].data)
+                } catch {
+                    // Skip undecodable frames.
+                }
+                applied = i
+            }
+        } finally {
+            painting = false
+        }
+    }
+
+    function drawOverlay() {
+        const index = lastIndexAt(recording.controls, start + position)
+        if (index < 0) return
+        const { control } = recording.controls[index]
+        const scale = Math.max(1, canvas.width / 1280)
+
+        const mouse = control?.mouse
+        if (Number.isFinite(mouse?.x) && Number.isFinite(mouse?.y)) {
+            ctx.beginPath()
+            ctx.arc(mouse.x * canvas.width, mouse.y * canvas.height, 8 * scale, 0, Math.PI * 2)
+            ctx.fillStyle = mouse.buttons ? "rgba(220, 40, 40, 0.6)" : "rgba(255, 200, 0, 0.5)"
+            ctx.fill()
+            ctx.lineWidth = 2 * scale
+            ctx.strokeStyle = "#000"
+            ctx.stroke()
+        }
+
+        const keys = Array.isArray(control?.keys) ? control.keys : control?.keys?.down ?? []
+        const labels = keys.map(keyLabel)
+        if (typeof control?.text === "string" && control.text) labels.push(JSON.stringify(control.text))
+        if (!labels.length) return
+        const who = control.viewer?.name || control.viewer?.viewer_id
+        const text = `${who ? `${who}: ` : ""}${labels.join(" + ")}`
+        ctx.font = `${Math.round(16 * scale)}px sans-serif`
+        const width = ctx.measureText(text).width
+        ctx.fillStyle = "rgba(0, 0, 0, 0.6)"
+        ctx.fillRect(8 * scale, canvas.height - 36 * scale, width + 16 * scale, 28 * scale)
+        ctx.fillStyle = "#fff"
+        ctx.fillText(text, 16 * scale, canvas.height - 16 * scale)
+    }
+
+    function draw() {
+        if (closed) return
+        const now = performance.now()
+        if (playing) {
+            position = Math.min(duration, position + (now - lastTick) * Number(speedSelect.value))
+            seek.value = String(Math.round(position))
+            if (position >= duration) {
+                playing = false
+                playBtn.textContent = "Play"
+            }
+        }
+        lastTick = now
+        void syncFrames()
+
+        if (applied >= 0 && frameCanvas.width > 0) {
+            if (canvas.width !== frameCanvas.width || canvas.height !== frameCanvas.height) {
+                resizeCanvas(canvas, frameCanvas.width, frameCanvas.height)
+            }
+            ctx.drawImage(frameCanvas, 0, 0)
+        } else {
+            ctx.fillStyle = "#f7f7f7"
+            ctx.fillRect(0, 0, canvas.width, canvas.height)
+        }
+        if (recording) {
+            drawOverlay()
+            timeLabel.textContent = `${formatDuration(position)} / ${formatDuration(duration)}`
+        }
+        rafId = window.requestAnimationFrame(draw)
+    }
+
+    playBtn.addEventListener("click", () => {
+        if (!playing && position >= duration) position = 0
+        playing = !playing
+        playBtn.textContent = playing ? "Pause" : "Play"
+    })
+
+    seek.addEventListener("input", () => {
+        position = Number(seek.value)
+    })
+
+    async function load() {
+        try {
+            recording = parseRecording(await fetch_recording(session_id, name))
+        } catch (err) {
+            status.textContent = `Could not load ${name}: ${err?.message ?? err}`
+            return
+        }
+        if (closed) return
+        const lastFrame = recording.frames[recording.frames.length - 1]?.time ?? 0
+        const lastControl = recording.controls[recording.controls.length - 1]?.time ?? 0
+        start = Number(recording.meta?.started_at) || Math.min(recording.frames[0]?.time ?? 0, recording.controls[0]?.time ?? 0)
+        duration = Math.max(0, Math.max(lastFrame, lastControl) - start)
+        seek.max = String(Math.round(duration))
+        seek.disabled = false
+        playBtn.disabled = false
+        status.textContent = `${new Date(start).toLocaleString()}: ${recording.frames.length} frames, ${recording.controls.length} input events`
+    }
+
+    rafId = window.requestAnimationFrame(draw)
+    void load()
+
+    container.close = () => {
+        if (closed) return
+        closed = true
+        if (rafId) window.cancelAnimationFrame(rafId)
+        recording = null
+        container.remove()
     }
+    closeBtn.addEventListener("click", container.close)
 
+    container.appendChild(toolbar)
+    container.appendChild(status)
     container.appendChild(canvas)
     return container
 }
 
-export function create_session_div(session_id) {
+export function create_session_div(session_id, { viewOnly = false } = {}) {
     const root = document.createElement("div")
     root.style.display = "flex"
     root.style.flexDirection = "column"
@@ -402,17 +1748,628 @@ export function create_session_div(session_id) {
     const closeBtn = document.createElement("button")
     closeBtn.textContent = "Close"
 
+    const approvalStatus = document.createElement("div")
+    approvalStatus.style.opacity = "0.8"
+    approvalStatus.textContent = "Waiting for host approval…"
+
+    // Keyboard mode: text for typing in any layout, raw keys for apps that read physical keys (games, remote shells).
+    const keyboardSelect = document.createElement("select")
+    keyboardSelect.title = "Keyboard"
+    for (const [label, mode] of [["Type text", "text"], ["Raw keys", "keys"]]) {
+        const option = document.createElement("option")
+        option.value = mode
+        option.textContent = label
+        keyboardSelect.appendChild(option)
+    }
+
+    // View: how the remote screen is scaled, and full screen.
+    const scaleSelect = document.createElement("select")
+    scaleSelect.title = "Scale"
+    for (const [label, mode] of [["Fit", "fit"], ["Fill", "fill"], ["1:1", "native"], ["Zoom", "zoom"]]) {
+        const option = document.createElement("option")
+        option.value = mode
+        option.textContent = label
+        scaleSelect.appendChild(option)
+    }
+
+    const zoomInput = document.createElement("input")
+    zoomInput.type = "number"
+    zoomInput.min = "10"
+    zoomInput.max = "800"
+    zoomInput.step = "10"
+    zoomInput.value = "100"
+    zoomInput.title = "Zoom (% of native pixels)"
+    zoomInput.style.width = "4.5em"
+    zoomInput.style.display = "none"
+
+    const fullscreenBtn = document.createElement("button")
+    fullscreenBtn.textContent = "Full screen"
+
+    const viewGroup = document.createElement("div")
+    viewGroup.style.display = "flex"
+    viewGroup.style.alignItems = "center"
+    viewGroup.style.gap = "6px"
+    viewGroup.appendChild(scaleSelect)
+    viewGroup.appendChild(zoomInput)
+    viewGroup.appendChild(fullscreenBtn)
+
+    // Host displays and capture (a window or region); hidden until the host publishes its layout.
+    const displaySelect = document.createElement("select")
+    displaySelect.style.display = "none"
+    displaySelect.title = "Display"
+
+    // Clipboard: explicit actions only, the browser clipboard is never read behind the user's back.
+    const pasteBtn = document.createElement("button")
+    pasteBtn.textContent = "Paste to host"
+    pasteBtn.title = "Send this computer's clipboard to the host clipboard"
+
+    const copyBtn = document.createElement("button")
+    copyBtn.textContent = "Copy from host"
+    copyBtn.title = "Put the host clipboard into this computer's clipboard"
+
+    const clipboardStatus = document.createElement("span")
+    clipboardStatus.style.opacity = "0.8"
+
+    const clipboardGroup = document.createElement("div")
+    clipboardGroup.style.display = "flex"
+    clipboardGroup.style.alignItems = "center"
+    clipboardGroup.style.gap = "6px"
+    clipboardGroup.appendChild(pasteBtn)
+    clipboardGroup.appendChild(copyBtn)
+    clipboardGroup.appendChild(clipboardStatus)
+
+    // Host outbox: files the host offers; fetched through the server, then saved by the browser.
+    const filesSelect = document.createElement("select")
+    filesSelect.title = "Files offered by the host"
+
+    const downloadBtn = document.createElement("button")
+    downloadBtn.textContent = "Download"
+    downloadBtn.disabled = true
+
+    const filesStatus = document.createElement("span")
+    filesStatus.style.opacity = "0.8"
+
+    const filesGroup = document.createElement("div")
+    filesGroup.style.display = "none"
+    filesGroup.style.alignItems = "center"
+    filesGroup.style.gap = "6px"
+    filesGroup.appendChild(filesSelect)
+    filesGroup.appendChild(downloadBtn)
+    filesGroup.appendChild(filesStatus)
+
+    // Recordings of this session (only when the server records); played below the live view.
+    const recordingsSelect = document.createElement("select")
+    recordingsSelect.title = "Recordings"
+
+    const playRecordingBtn = document.createElement("button")
+    playRecordingBtn.textContent = "Play recording"
+
+    const recordingsGroup = document.createElement("div")
+    recordingsGroup.style.display = "none"
+    recordingsGroup.style.alignItems = "center"
+    recordingsGroup.style.gap = "6px"
+    recordingsGroup.appendChild(recordingsSelect)
+    recordingsGroup.appendChild(playRecordingBtn)
+
+    // View-only links: anyone with one can watch (not control) this session.
+    const shareExpiry = document.createElement("select")
+    shareExpiry.title = "Link expiry"
+    for (const [label, ttl] of [["1 hour", 3_600_000], ["1 day", 86_400_000], ["1 week", 604_800_000]]) {
+        const option = document.createElement("option")
+        option.value = String(ttl)
+        option.textContent = label
+        shareExpiry.appendChild(option)
+    }
+
+    const shareSingleUse = document.createElement("input")
+    shareSingleUse.type = "checkbox"
+    const shareSingleUseLabel = document.createElement("label")
+    shareSingleUseLabel.appendChild(shareSingleUse)
+    shareSingleUseLabel.append(" single use")
+
+    const shareBtn = document.createElement("button")
+    shareBtn.textContent = "Copy view-only link"
+
+    const shareStatus = document.createElement("span")
+    shareStatus.style.opacity = "0.8"
+
+    const shareGroup = document.createElement("div")
+    shareGroup.style.display = "flex"
+    shareGroup.style.alignItems = "center"
+    shareGroup.style.gap = "6px"
+    shareGroup.appendChild(shareBtn)
+    shareGroup.appendChild(shareExpiry)
+    shareGroup.appendChild(shareSingleUseLabel)
+    shareGroup.appendChild(shareStatus)
+
+    // Key toolbar: combos the browser swallows, each sent to the host as one key sequence.
+    const keyToolbar = document.createElement("div")
+    keyToolbar.style.display = "flex"
+    keyToolbar.style.flexWrap = "wrap"
+    keyToolbar.style.alignItems = "center"
+    keyToolbar.style.gap = "6px"
+
+    const keyStatus = document.createElement("span")
+    keyStatus.style.opacity = "0.8"
+
+    // Touch devices: the on-screen keyboard, how a finger drives the pointer, and a way back from pinch zoom.
+    const keyboardBtn = document.createElement("button")
+    keyboardBtn.textContent = "Keyboard"
+    keyboardBtn.title = "Open the on-screen keyboard"
+
+    const touchModeSelect = document.createElement("select")
+    touchModeSelect.title = "Touch input"
+    for (const [label, mode] of [["Touch: direct", "direct"], ["Touch: trackpad", "trackpad"]]) {
+        const option = document.createElement("option")
+        option.value = mode
+        option.textContent = label
+        touchModeSelect.appendChild(option)
+    }
+
+    const resetZoomBtn = document.createElement("button")
+    resetZoomBtn.textContent = "Reset zoom"
+
+    // Participants and the control baton: one viewer drives the host, the others watch.
+    const participantsRow = document.createElement("div")
+    participantsRow.style.display = "flex"
+    participantsRow.style.flexWrap = "wrap"
+    participantsRow.style.alignItems = "center"
+    participantsRow.style.gap = "8px"
+
     header.appendChild(title)
+    header.appendChild(clipboardGroup)
+    header.appendChild(filesGroup)
+    header.appendChild(recordingsGroup)
+    header.appendChild(keyboardSelect)
+    header.appendChild(viewGroup)
+    header.appendChild(displaySelect)
+    header.appendChild(shareGroup)
+    header.appendChild(approvalStatus)
     header.appendChild(closeBtn)
 
-    const vizu = create_vizu_canvas(session_id)
+    if (viewOnly) {
+        clipboardGroup.style.display = "none"
+        shareGroup.style.display = "none"
+        keyboardSelect.style.display = "none"
+        approvalStatus.textContent = "View only"
+    }
+
+    const vizu = create_vizu_canvas(session_id, { viewOnly })
 
     const closeDeferred = defer()
     let closed = false
+    let approvalTimer = 0
+
+    let displaysTimer = 0
+    let lastDisplays = ""
+    let shownDisplay = -1 // option for what the host captures
+
+    async function refreshDisplays() {
+        displaysTimer = 0
+        if (closed) return
+        try {
+            const { displays, selected, capture = "screen", locked = false } = await get_displays(session_id)
+            const serialized = JSON.stringify({ displays, selected, capture, locked })
+            if (serialized !== lastDisplays) {
+                lastDisplays = serialized
+                displaySelect.replaceChildren()
+                for (const d of displays) {
+                    const option = document.createElement("option")
+                    option.value = d.id
+                    option.textContent = `${d.name || d.id}${d.primary ? " (primary)" : ""} ${d.width}x${d.height}`
+                    displaySelect.appendChild(option)
+                }
+                if (displays.length > 1) {
+                    const all = document.createElement("option")
+                    all.value = "all"
+                    all.textContent = "All displays"
+                    displaySelect.appendChild(all)
+                }
+                // Options for the capture are told apart by `data-capture`, display ids can be anything.
+                if (capture !== "screen") {
+                    const current = document.createElement("option")
+                    current.dataset.capture = "current"
+                    current.textContent = capture
+                    displaySelect.appendChild(current)
+                }
+                if (!locked) {
+                    const custom = document.createElement("option")
+                    custom.dataset.capture = "custom"
+                    custom.textContent = "Window or region…"
+                    displaySelect.appendChild(custom)
+                }
+                if (capture !== "screen") displaySelect.selectedIndex = displaySelect.options.length - (locked ? 1 : 2)
+                else displaySelect.value = selected
+                displaySelect.disabled = locked
+                displaySelect.style.display = displays.length && (displays.length > 1 || capture !== "screen" || !locked) ? "" : "none"
+            }
+            shownDisplay = displaySelect.selectedIndex
+        } catch {
+            // Try again later.
+        }
+        if (!closed) displaysTimer = window.setTimeout(refreshDisplays, 10_000)
+    }
+    void refreshDisplays()
+
+    scaleSelect.addEventListener("change", () => {
+        vizu.set_scale(scaleSelect.value, Number(zoomInput.value) / 100)
+    })
+    zoomInput.addEventListener("change", () => {
+        const percent = Number(zoomInput.value)
+        if (Number.isFinite(percent) && percent > 0) vizu.set_scale("zoom", percent / 100)
+    })
+    // Also follows pinch zoom.
+    vizu.addEventListener("scalechange", (event) => {
+        scaleSelect.value = event.detail.mode
+        zoomInput.style.display = event.detail.mode === "zoom" ? "" : "none"
+        zoomInput.value = String(Math.round(event.detail.zoom * 100))
+    })
+    fullscreenBtn.addEventListener("click", () => {
+        vizu.toggle_fullscreen().catch(() => {
+            // ignore: fullscreen refused (e.g. not from a user gesture)
+        })
+    })
+
+    keyboardSelect.addEventListener("change", () => {
+        vizu.set_keyboard_mode(keyboardSelect.value)
+    })
+
+    displaySelect.addEventListener("change", () => {
+        // The host switches capture (and input mapping) when it sees this packet.
+        if (typeof vizu.send_controls !== "function") return
+        const choice = displaySelect.selectedOptions[0]?.dataset.capture
+        if (choice === "custom") {
+            const spec = window.prompt(
+                "Capture a window or a region of the screen:\nwindow:<title>, pid:<process id> or rect:<x>,<y>,<width>,<height>",
+                "window:",
+            )
+            // Back to what the host shows until it publishes the new capture.
+            displaySelect.selectedIndex = shownDisplay
+            if (spec?.trim()) void vizu.send_controls({ capture: spec.trim() })
+            return
+        }
+        if (choice === "current") return
+        void vizu.send_controls({ select_display: displaySelect.value })
+    })
+
+    let filesTimer = 0
+    let lastOutbox = ""
+
+    async function refreshFiles() {
+        filesTimer = 0
+        if (closed) return
+        try {
+            const { outbox } = await list_files(session_id)
+            const serialized = JSON.stringify(outbox)
+            if (serialized !== lastOutbox) {
+                lastOutbox = serialized
+                const previous = filesSelect.value
+                filesSelect.replaceChildren()
+                for (const file of outbox) {
+                    const option = document.createElement("option")
+                    option.value = file.name
+                    option.textContent = `${file.name} (${formatBytes(file.size)})`
+                    filesSelect.appendChild(option)
+                }
+                if (outbox.some((f) => f.name === previous)) filesSelect.value = previous
+                downloadBtn.disabled = !outbox.length
+                filesGroup.style.display = outbox.length ? "flex" : "none"
+            }
+        } catch {
+            // Not approved yet, or the server is unreachable.
+        }
+        if (!closed) filesTimer = window.setTimeout(refreshFiles, 10_000)
+    }
+    if (!viewOnly) void refreshFiles()
+
+    downloadBtn.addEventListener("click", async () => {
+        const name = filesSelect.value
+        if (!name) return
+        downloadBtn.disabled = true
+        try {
+            let transfer = await create_transfer(session_id, { direction: "from_host", name })
+            // The host picks the request up, then streams it to the server.
+            while (!closed && !["complete", "failed", "delivered"].includes(transfer.status)) {
+                filesStatus.textContent = transfer.size
+                    ? `Fetching ${name}: ${Math.floor((transfer.received / Math.max(1, transfer.size)) * 100)}%`
+                    : `Waiting for host…`
+                await new Promise((resolve) => window.setTimeout(resolve, 1_000))
+                transfer = await get_transfer(session_id, transfer.id)
+            }
+            if (transfer.status !== "complete") throw new Error(transfer.error ?? "Transfer failed")
+
+            const link = document.createElement("a")
+            link.href = get_transfer_data_url(session_id, transfer.id)
+            link.download = name
+            link.click()
+            filesStatus.textContent = `Downloaded ${name}`
+        } catch (err) {
+            filesStatus.textContent = `Download failed: ${err?.message ?? err}`
+        } finally {
+            downloadBtn.disabled = false
+        }
+    })
+
+    let participantsTimer = 0
+    let participantsState = null
+
+    function controlButton(text, action, viewerId) {
+        const btn = document.createElement("button")
+        btn.textContent = text
+        btn.addEventListener("click", async () => {
+            btn.disabled = true
+            try {
+                renderParticipants(await send_control_action(session_id, action, viewerId))
+            } catch {
+                // The next poll shows the actual state.
+            }
+        })
+        return btn
+    }
+
+    function renderParticipants(state) {
+        participantsState = state
+        const you = state.you
+        const inControl = state.holder != null && state.holder === you
+        if (typeof vizu.set_can_control === "function") {
+            vizu.set_can_control(inControl || (state.holder == null && !state.locked))
+        }
+
+        participantsRow.replaceChildren()
+        const label = document.createElement("span")
+        label.textContent = "Participants:"
+        participantsRow.appendChild(label)
+
+        for (const participant of state.participants) {
+            const chip = document.createElement("span")
+            chip.style.padding = "2px 8px"
+            chip.style.borderRadius = "10px"
+            chip.style.background = participant.in_control ? "#d7ecd9" : "#eee"
+            chip.style.opacity = participant.online ? "1" : "0.5"
+            const tags = []
+            if (participant.viewer_id === you) tags.push("you")
+            tags.push(participant.in_control ? "in control" : "view only")
+            if (participant.requested) tags.push("wants control")
+            if (participant.approval !== "approved") tags.push(participant.approval)
+            if (!participant.online) tags.push("offline")
+            chip.textContent = `${participant.name || participant.viewer_id.slice(0, 8)} (${tags.join(", ")})`
+            participantsRow.appendChild(chip)
+        }
+
+        if (state.locked && !inControl) {
+            const note = document.createElement("span")
+            note.style.opacity = "0.8"
+            note.textContent = "Host has control"
+            participantsRow.appendChild(note)
+        }
+
+        if (viewOnly) {
+            return
+        } else if (inControl) {
+            participantsRow.appendChild(controlButton("Release control", "release"))
+            for (const requester of state.participants.filter((p) => p.requested && p.online)) {
+                participantsRow.appendChild(controlButton(`Give control to ${requester.name || requester.viewer_id.slice(0, 8)}`, "grant", requester.viewer_id))
+            }
+        } else if (state.requests.includes(you)) {
+            participantsRow.appendChild(controlButton("Cancel request", "cancel"))
+        } else {
+            participantsRow.appendChild(controlButton("Request control", "request"))
+        }
+    }
+
+    async function pollParticipants() {
+        participantsTimer = 0
+        if (closed) return
+        try {
+            renderParticipants(await get_participants(session_id))
+        } catch {
+            // Try again later.
+        }
+        if (!closed) participantsTimer = window.setTimeout(pollParticipants, 2_000)
+    }
+    void pollParticipants()
+
+    let recordingsTimer = 0
+    let lastRecordings = ""
+    let player = null
+
+    async function refreshRecordings() {
+        recordingsTimer = 0
+        if (closed) return
+        try {
+            const recordings = await list_recordings(session_id)
+            const serialized = JSON.stringify(recordings.map((r) => [r.name, r.active]))
+            if (serialized !== lastRecordings) {
+                lastRecordings = serialized
+                const previous = recordingsSelect.value
+                recordingsSelect.replaceChildren()
+                for (const recording of recordings) {
+                    const option = document.createElement("option")
+                    option.value = recording.name
+                    option.textContent = `${new Date(recording.started_at).toLocaleString()}${recording.active ? " (recording)" : ""}`
+                    recordingsSelect.appendChild(option)
+                }
+                if (recordings.some((r) => r.name === previous)) recordingsSelect.value = previous
+                recordingsGroup.style.display = recordings.length ? "flex" : "none"
+            }
+        } catch {
+            // Not approved yet, or the server is unreachable.
+        }
+        if (!closed) recordingsTimer = window.setTimeout(refreshRecordings, 15_000)
+    }
+    if (!viewOnly) void refreshRecordings()
+
+    playRecordingBtn.addEventListener("click", () => {
+        if (!recordingsSelect.value) return
+        if (player) player.close()
+        player = create_player_div(session_id, recordingsSelect.value)
+        root.appendChild(player)
+    })
+
+    shareBtn.addEventListener("click", async () => {
+        let url
+        try {
+            const { share_token } = await create_share_link(session_id, {
+                ttl_ms: Number(shareExpiry.value),
+                single_use: shareSingleUse.checked,
+            })
+            url = get_share_page_url(session_id, share_token)
+        } catch (err) {
+            shareStatus.textContent = `Could not create link: ${err?.message ?? err}`
+            return
+        }
+        try {
+            await navigator.clipboard.writeText(url)
+            shareStatus.textContent = "Link copied"
+        } catch {
+            // Clipboard API unavailable (e.g. plain http): let the user copy it by hand.
+            window.prompt("View-only link", url)
+            shareStatus.textContent = ""
+        }
+    })
+
+    function renderKeyToolbar() {
+        keyToolbar.replaceChildren()
+        if (vizu.has_touch) {
+            keyToolbar.appendChild(keyboardBtn)
+            keyToolbar.appendChild(touchModeSelect)
+            keyToolbar.appendChild(resetZoomBtn)
+        }
+        for (const macro of load_macros()) {
+            let steps
+            try {
+                steps = parse_macro(macro)
+            } catch {
+                continue
+            }
+            const btn = document.createElement("button")
+            btn.textContent = macro
+            btn.addEventListener("click", () => {
+                void vizu.send_key_sequence(steps)
+                // Typing goes back to the remote screen.
+                vizu.focus_keyboard()
+            })
+            keyToolbar.appendChild(btn)
+        }
+
+        const editBtn = document.createElement("button")
+        editBtn.textContent = "Edit keys…"
+        editBtn.title = "Comma-separated macros, e.g. Ctrl+Alt+Delete, Win+R, Ctrl+Shift+Esc"
+        editBtn.addEventListener("click", () => {
+            const text = window.prompt("Key macros (comma separated)", load_macros().join(", "))
+            if (text == null) return
+            const macros = text.split(",").map((macro) => macro.trim()).filter(Boolean)
+            try {
+                for (const macro of macros) parse_macro(macro)
+            } catch (err) {
+                keyStatus.textContent = err?.message ?? String(err)
+                return
+            }
+            save_macros(macros)
+            keyStatus.textContent = ""
+            renderKeyToolbar()
+        })
+        keyToolbar.appendChild(editBtn)
+
+        if (vizu.can_capture_system_keys) {
+            const captureBtn = document.createElement("button")
+            captureBtn.textContent = "Capture system keys"
+            captureBtn.title = "Full screen, with shortcuts like Alt+Tab and the Windows key sent to the host (hold Esc to leave)"
+            captureBtn.addEventListener("click", async () => {
+                try {
+                    await vizu.capture_system_keys()
+                } catch (err) {
+                    keyStatus.textContent = `Could not capture keys: ${err?.message ?? err}`
+                }
+            })
+            keyToolbar.appendChild(captureBtn)
+        }
+        keyToolbar.appendChild(keyStatus)
+    }
+    if (!viewOnly) renderKeyToolbar()
+
+    keyboardBtn.addEventListener("click", () => vizu.focus_keyboard())
+    touchModeSelect.addEventListener("change", () => vizu.set_touch_mode(touchModeSelect.value))
+    resetZoomBtn.addEventListener("click", () => vizu.set_scale("fit"))
+
+    let clipboardStatusTimer = 0
+    function showClipboardStatus(text) {
+        clipboardStatus.textContent = text
+        if (clipboardStatusTimer) window.clearTimeout(clipboardStatusTimer)
+        clipboardStatusTimer = window.setTimeout(() => {
+            clipboardStatus.textContent = ""
+        }, 3_000)
+    }
+
+    pasteBtn.addEventListener("click", async () => {
+        try {
+            const text = await navigator.clipboard.readText()
+            await send_clipboard(session_id, text)
+            showClipboardStatus("Sent")
+        } catch (err) {
+            showClipboardStatus(`Paste failed: ${err?.message ?? err}`)
+        }
+    })
+
+    copyBtn.addEventListener("click", async () => {
+        try {
+            const text = await get_host_clipboard(session_id)
+            if (text == null) {
+                showClipboardStatus("Host did not answer")
+                return
+            }
+            if (!text) {
+                showClipboardStatus("Host clipboard is empty")
+                return
+            }
+            await navigator.clipboard.writeText(text)
+            showClipboardStatus("Copied")
+        } catch (err) {
+            showClipboardStatus(`Copy failed: ${err?.message ?? err}`)
+        }
+    })
+
+    // The host decides; poll until it does (frames only start flowing once approved).
+    async function pollApproval() {
+        approvalTimer = 0
+        if (closed) return
+        let status = "pending"
+        try {
+            status = await get_approval(session_id)
+        } catch {
+            // Keep waiting if the server is unreachable.
+        }
+        if (closed) return
+        if (status === "approved") {
+            approvalStatus.textContent = "Connected"
+            return
+        }
+        if (status === "rejected") {
+            approvalStatus.textContent = "Rejected by host"
+            approvalStatus.style.color = "#b00"
+            if (typeof vizu.close === "function") vizu.close()
+            return
+        }
+        approvalTimer = window.setTimeout(pollApproval, 1_500)
+    }
+    if (!viewOnly) void pollApproval()
 
     function doClose() {
         if (closed) return
         closed = true
+        if (approvalTimer) window.clearTimeout(approvalTimer)
+        if (displaysTimer) window.clearTimeout(displaysTimer)
+        if (filesTimer) window.clearTimeout(filesTimer)
+        if (recordingsTimer) window.clearTimeout(recordingsTimer)
+        if (participantsTimer) window.clearTimeout(participantsTimer)
+        // Hand the control over instead of leaving others waiting for the timeout.
+        if (participantsState?.holder != null && participantsState.holder === participantsState.you) {
+            send_control_action(session_id, "release").catch(() => {
+                // The server frees it once we stop showing up.
+            })
+        }
+        if (player) player.close()
+        if (clipboardStatusTimer) window.clearTimeout(clipboardStatusTimer)
         if (typeof vizu.close === "function") vizu.close()
         closeDeferred.resolve(true)
     }
@@ -423,6 +2380,8 @@ export function create_session_div(session_id) {
     root.close = doClose
 
     root.appendChild(header)
+    root.appendChild(participantsRow)
+    if (!viewOnly) root.appendChild(keyToolbar)
     root.appendChild(vizu)
     return root
 }
@@ -444,7 +2403,43 @@ function save_known_sessions(known_sessions) {
     localStorage.setItem(KNOWN_SESSIONS_KEY, JSON.stringify(known_sessions ?? {}))
 }
 
-export function create_connection_div() {
+function formatAgo(time) {
+    const seconds = Math.max(0, Math.round((Date.now() - time) / 1000))
+    if (seconds < 60) return `${seconds}s ago`
+    if (seconds < 3600) return `${Math.round(seconds / 60)} min ago`
+    if (seconds < 86400) return `${Math.round(seconds / 3600)} h ago`
+    return new Date(time).toLocaleDateString()
+}
+
+// Badge for a known session: online / offline (last seen) / unknown to the server.
+function create_presence_badge(presence) {
+    const badge = document.createElement("span")
+    badge.style.fontSize = "12px"
+    badge.style.padding = "2px 6px"
+    badge.style.borderRadius = "10px"
+    badge.style.whiteSpace = "nowrap"
+    if (!presence) {
+        badge.textContent = "unknown"
+        badge.style.background = "#eee"
+        badge.style.color = "#777"
+        badge.title = "The server has no host registered for this session"
+    } else if (presence.online) {
+        badge.textContent = presence.viewers ? `online · ${presence.viewers} watching` : "online"
+        badge.style.background = "#d7ecd9"
+        badge.style.color = "#1b5e20"
+    } else {
+        badge.textContent = presence.last_seen ? `offline · ${formatAgo(presence.last_seen)}` : "offline"
+        badge.style.background = "#f3e0e0"
+        badge.style.color = "#8a1c1c"
+    }
+    if (presence) {
+        const size = presence.width && presence.height ? ` ${presence.width}x${presence.height}` : ""
+        badge.title = [presence.name, presence.os].filter(Boolean).join(" · ") + size
+    }
+    return badge
+}
+
+export function create_connection_div(notice = "") {
     const root = document.createElement("div")
     root.style.display = "flex"
     root.style.flexDirection = "column"
@@ -467,8 +2462,16 @@ export function create_connection_div() {
 
     serverRow.appendChild(serverInput)
 
+    const nameLabel = document.createElement("div")
+    nameLabel.textContent = "Your name (shown to the host):"
+
+    const nameInput = document.createElement("input")
+    nameInput.type = "text"
+    nameInput.placeholder = "name"
+    nameInput.value = get_viewer_name()
+
     const label = document.createElement("div")
-    label.textContent = "Enter a session id to connect:"
+    label.textContent = "Enter a session id and the PIN shown by the host:"
 
     const row = document.createElement("div")
     row.style.display = "flex"
@@ -482,9 +2485,20 @@ export function create_connection_div() {
     const button = document.createElement("button")
     button.textContent = "Connect"
 
+    const pinInput = document.createElement("input")
+    pinInput.type = "password"
+    pinInput.placeholder = "PIN"
+    pinInput.autocomplete = "off"
+    pinInput.style.width = "96px"
+
     row.appendChild(input)
+    row.appendChild(pinInput)
     row.appendChild(button)
 
+    const status = document.createElement("div")
+    status.style.color = "#b00"
+    status.textContent = notice ?? ""
+
     const connectDeferred = defer()
 
     const knownTitle = document.createElement("div")
@@ -495,6 +2509,33 @@ export function create_connection_div() {
     knownList.style.flexDirection = "column"
     knownList.style.gap = "6px"
 
+    // session_id -> presence from the server; null until the first answer.
+    /** @type {Record<string, any> | null} */
+    let presence = null
+    let presenceTimer = 0
+    // Bumped on server change / connect so a late answer doesn't start a second poll loop.
+    let presenceRound = 0
+
+    async function refreshPresence() {
+        if (presenceTimer) window.clearTimeout(presenceTimer)
+        presenceTimer = 0
+        const round = ++presenceRound
+        const ids = Object.values(load_known_sessions()).map((id) => String(id ?? "").trim()).filter(Boolean)
+        let next = null
+        if (ids.length) {
+            try {
+                const sessions = await list_sessions(ids)
+                next = Object.fromEntries(sessions.map((s) => [s.session_id, s]))
+            } catch {
+                // Server unreachable: no badges rather than stale ones.
+            }
+        }
+        if (round !== presenceRound) return
+        presence = next
+        renderKnownSessions()
+        presenceTimer = window.setTimeout(refreshPresence, 10_000)
+    }
+
     function renderKnownSessions() {
         knownList.replaceChildren()
 
@@ -526,6 +2567,7 @@ export function create_connection_div() {
             label.addEventListener("click", () => {
                 connectToSessionId(sessionId)
             })
+            if (presence?.[sessionId]?.name) label.textContent = `${name} (${presence[sessionId].name})`
 
             const editBtn = document.createElement("button")
             editBtn.type = "button"
@@ -558,6 +2600,7 @@ export function create_connection_div() {
                 renderKnownSessions()
             })
 
+            if (presence) line.appendChild(create_presence_badge(presence[sessionId]))
             line.appendChild(label)
             line.appendChild(editBtn)
             line.appendChild(delBtn)
@@ -571,11 +2614,32 @@ export function create_connection_div() {
         set_server(url)
     }
 
-    function connectToSessionId(sessionId) {
+    serverInput.addEventListener("change", () => {
         applyServerFromInput()
+        void refreshPresence()
+    })
+
+    async function connectToSessionId(sessionId) {
+        applyServerFromInput()
+        set_viewer_name(nameInput.value.trim())
         const value = String(sessionId ?? "").trim()
         if (!value) return
 
+        const pin = pinInput.value.trim()
+        if (!pin) {
+            status.textContent = "Enter the PIN shown by the host."
+            pinInput.focus()
+            return
+        }
+
+        status.textContent = ""
+        try {
+            await pair(value, pin)
+        } catch (err) {
+            status.textContent = `Could not connect: ${err?.message ?? err}`
+            return
+        }
+
         const sessions = load_known_sessions()
         const alreadyKnown = Object.values(sessions).some((id) => String(id) === value)
         if (!alreadyKnown) {
@@ -583,6 +2647,8 @@ export function create_connection_div() {
             save_known_sessions(sessions)
         }
 
+        presenceRound++
+        if (presenceTimer) window.clearTimeout(presenceTimer)
         connectDeferred.resolve(value)
     }
 
@@ -599,23 +2665,76 @@ export function create_connection_div() {
         if (e.key === "Enter") tryConnect()
     })
 
+    pinInput.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") tryConnect()
+    })
+
     root.wait_for_connect = () => connectDeferred.promise
 
     renderKnownSessions()
+    void refreshPresence()
 
     root.appendChild(serverLabel)
     root.appendChild(serverRow)
+    root.appendChild(nameLabel)
+    root.appendChild(nameInput)
     root.appendChild(label)
     root.appendChild(row)
+    root.appendChild(status)
     root.appendChild(knownTitle)
     root.appendChild(knownList)
     return root
 }
 
+// Opened from a view-only link (?session=…&share=…&server=…): watch that session first.
+async function open_shared_session() {
+    const params = new URLSearchParams(window.location.search)
+    const session_id = params.get("session")
+    const share_token = params.get("share")
+    if (!session_id || !share_token) return
+    // Links are often single-use: don't retry on reload.
+    window.history.replaceState(null, "", window.location.pathname)
+
+    // The link's server is used for this view only, and only after the user saw where it points
+    // (unless it is this page's server or the one already in use).
+    const saved_server = get_server()
+    const link_server = params.get("server")
+    if (link_server) {
+        let origin
+        try {
+            origin = new URL(link_server).origin
+        } catch {
+            return "Could not open shared session: invalid server in the link"
+        }
+        const known = [window.location.origin, new URL(saved_server, window.location.href).origin]
+        if (!known.includes(origin) && !window.confirm(`This link opens a shared screen served by ${origin}. Continue?`)) {
+            return `Shared session on ${origin} not opened`
+        }
+        set_server(link_server, { remember: false })
+    }
+
+    try {
+        try {
+            await redeem_share(session_id, share_token)
+        } catch (err) {
+            return `Could not open shared session: ${err?.message ?? err}`
+        }
+        const session_div = create_session_div(session_id, { viewOnly: true })
+        document.body.appendChild(session_div)
+        await session_div.wait_for_close()
+        document.body.removeChild(session_div)
+    } finally {
+        set_server(saved_server, { remember: false })
+    }
+}
+
 export async function system() {
+    let notice = await open_shared_session()
+
     // Simple loop: connect -> session -> close -> connect again.
     while (true) {
-        const conn_div = create_connection_div()
+        const conn_div = create_connection_div(notice)
+        notice = ""
         document.body.appendChild(conn_div)
         const connect_id = await conn_div.wait_for_connect()
         document.body.removeChild(conn_div)
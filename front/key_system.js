@@ -0,0 +1,56 @@
+// Key names for the key toolbar and macros, mapped to KeyboardEvent.keyCode values (what the host expects).
+
+const KEY_CODES = {
+    backspace: 8, tab: 9, enter: 13, return: 13, shift: 16, ctrl: 17, control: 17, alt: 18, pause: 19,
+    capslock: 20, esc: 27, escape: 27, space: 32, pageup: 33, pgup: 33, pagedown: 34, pgdn: 34,
+    end: 35, home: 36, left: 37, up: 38, right: 39, down: 40, printscreen: 44, prtsc: 44, print: 44,
+    insert: 45, ins: 45, delete: 46, del: 46, win: 91, meta: 91, super: 91, cmd: 91, menu: 93,
+    numlock: 144, scrolllock: 145,
+}
+
+const MACROS_KEY = "sailaway_macros"
+
+// Keys the browser keeps for itself (or the OS never lets a page see).
+export const DEFAULT_MACROS = [
+    "Ctrl+Alt+Delete", "Alt+Tab", "Win", "Win+R", "Win+L", "Win+D", "Ctrl+Shift+Esc", "Alt+F4", "Ctrl+W", "PrintScreen",
+]
+
+function key_code(name) {
+    const lower = name.toLowerCase()
+    if (Object.hasOwn(KEY_CODES, lower)) return KEY_CODES[lower]
+    if (/^[a-z0-9]$/.test(lower)) return lower.toUpperCase().charCodeAt(0)
+    const fkey = /^f([1-9]|1[0-9]|2[0-4])$/.exec(lower)
+    if (fkey) return 111 + Number(fkey[1])
+    return null
+}
+
+// "Ctrl+Alt+Delete", or chords one after the other ("Win+R Enter"). Each chord presses its keys in order,
+// then releases them in reverse. Returns the steps as [{ key, down }]; throws on unknown key names.
+export function parse_macro(text) {
+    const steps = []
+    for (const chord of String(text).trim().split(/\s+/).filter(Boolean)) {
+        const keys = chord.split("+").map((name) => {
+            const key = key_code(name)
+            if (key == null) throw new Error(`Unknown key "${name}" in "${text}"`)
+            return key
+        })
+        for (const key of keys) steps.push({ key, down: true })
+        for (const key of keys.reverse()) steps.push({ key, down: false })
+    }
+    if (!steps.length) throw new Error("Empty macro")
+    return steps
+}
+
+export function load_macros() {
+    try {
+        const macros = JSON.parse(localStorage.getItem(MACROS_KEY) ?? "null")
+        if (Array.isArray(macros)) return macros.map(String)
+    } catch {
+        // ignore: fall back to the defaults
+    }
+    return [...DEFAULT_MACROS]
+}
+
+export function save_macros(macros) {
+    localStorage.setItem(MACROS_KEY, JSON.stringify(macros))
+}
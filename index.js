@@ -2,6 +2,7 @@ import path from "node:path"
 import { fileURLToPath } from "node:url"
 import express from "express"
 import generate_api from "./api.js"
+import generate_socket from "./socket.js"
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -21,6 +22,9 @@ app.get("/", (req, res) => {
     res.sendFile(path.join(frontDir, "index.html"))
 })
 
-app.listen(PORT, "0.0.0.0", () => {
+const http_server = app.listen(PORT, "0.0.0.0", () => {
     console.log(`Server listening on port ${PORT}`)
-})
\ No newline at end of file
+})
+
+// Realtime channel (controls + frames), HTTP routes stay as fallback
+generate_socket(http_server)
\ No newline at end of file
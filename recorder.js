@@ -0,0 +1,146 @@
+// Session recordings: every frame and control event the server relays, appended to one file per run.
+//
+// Layout (big-endian):
+//   'SAR1' | u32 meta_length | <meta_length bytes of JSON { session_id, started_at }>
+//   records until end of file:
+//     u8 kind | f64 time (ms since epoch) | u32 length | <length bytes>
+//     kind 1: frame, the uploaded bytes as-is (plain image or tile packet, see tiles.js)
+//     kind 2: control event, JSON as stored by post_controls()
+//
+// Each file starts with a keyframe record (kind 1, the full screen as get_keyframe() composes it), so
+// it can be played back on its own even if the run began in the middle of tile updates.
+// A run ends after SAILAWAY_RECORD_IDLE_MS without frames or controls; the next event starts a
+// new file. Readers should ignore a truncated last record (the file may still be written to).
+
+import fs from 'node:fs'
+import path from 'node:path'
+
+const record_dir = process.env.SAILAWAY_RECORD_DIR ?? '' // '' = recording off
+const idle_ms = Number(process.env.SAILAWAY_RECORD_IDLE_MS ?? 60_000)
+
+const MAGIC = Buffer.from('SAR1', 'ascii')
+const RECORD_HEADER_SIZE = 13
+const EXTENSION = '.sarec'
+
+export const RECORD_KIND_FRAME = 1
+export const RECORD_KIND_CONTROLS = 2
+
+const active = new Map() // session_id -> { name, stream, idle_timer }
+
+export function is_recording_enabled() {
+    return !!record_dir
+}
+
+// Session ids are arbitrary strings: encode them so names stay file-safe and never collide.
+function file_prefix(session_id) {
+    // '.' is outside the base64url alphabet, unlike '_', so one session's prefix never matches another's names.
+    return `${Buffer.from(String(session_id)).toString('base64url')}.`
+}
+
+function open_recording(session_id) {
+    const started_at = Date.now()
+    const name = `${file_prefix(session_id)}${started_at}${EXTENSION}`
+    fs.mkdirSync(record_dir, { recursive: true })
+    const stream = fs.createWriteStream(path.join(record_dir, name), { flags: 'a' })
+    const recording = { name, stream, idle_timer: null }
+    stream.on('error', (err) => {
+        console.error(`[recorder] ${name}: ${err?.message ?? err}`)
+        if (active.get(session_id) === recording) close_recording(session_id)
+    })
+
+    const meta = Buffer.from(JSON.stringify({ session_id, started_at }))
+    const header = Buffer.allocUnsafe(8)
+    MAGIC.copy(header, 0)
+    header.writeUInt32BE(meta.length, 4)
+    stream.write(header)
+    stream.write(meta)
+    return recording
+}
+
+function close_recording(session_id) {
+    const recording = active.get(session_id)
+    if (!recording) return
+    active.delete(session_id)
+    clearTimeout(recording.idle_timer)
+    recording.stream.end()
+}
+
+function append_record(recording, kind, data) {
+    const header = Buffer.allocUnsafe(RECORD_HEADER_SIZE)
+    header.writeUInt8(kind, 0)
+    header.writeDoubleBE(Date.now(), 1)
+    header.writeUInt32BE(data.length, 9)
+    recording.stream.write(header)
+    recording.stream.write(data)
+}
+
+// `get_keyframe` returns the current full screen (or null); it is only called when a new file starts.
+function write_record(session_id, kind, data, get_keyframe) {
+    if (!record_dir) return
+    let recording = active.get(session_id)
+    let keyframe = null
+    if (!recording) {
+        try {
+            recording = open_recording(session_id)
+        } catch (err) {
+            console.error(`[recorder] could not start recording: ${err?.message ?? err}`)
+            return
+        }
+        active.set(session_id, recording)
+        keyframe = get_keyframe?.() ?? null
+        if (keyframe?.length) append_record(recording, RECORD_KIND_FRAME, keyframe)
+    }
+    clearTimeout(recording.idle_timer)
+    recording.idle_timer = setTimeout(() => close_recording(session_id), idle_ms)
+    recording.idle_timer.unref()
+
+    // A frame that opened the file is already part of the keyframe.
+    if (kind === RECORD_KIND_FRAME && keyframe?.length) return
+    append_record(recording, kind, data)
+}
+
+// Call after the frame was applied, so `get_keyframe` already includes it.
+export function record_frame(session_id, blob, get_keyframe) {
+    if (!Buffer.isBuffer(blob) || !blob.length) return
+    write_record(session_id, RECORD_KIND_FRAME, blob, get_keyframe)
+}
+
+export function record_controls(session_id, control, get_keyframe) {
+    write_record(session_id, RECORD_KIND_CONTROLS, Buffer.from(JSON.stringify(control)), get_keyframe)
+}
+
+// Newest first: [{ name, size, started_at, updated_at, active }]
+export async function list_recordings(session_id) {
+    if (!record_dir) return []
+    const prefix = file_prefix(session_id)
+    let names
+    try {
+        names = await fs.promises.readdir(record_dir)
+    } catch {
+        return []
+    }
+    const recordings = []
+    for (const name of names) {
+        if (!name.startsWith(prefix) || !name.endsWith(EXTENSION)) continue
+        try {
+            const stat = await fs.promises.stat(path.join(record_dir, name))
+            recordings.push({
+                name,
+                size: stat.size,
+                started_at: Number(name.slice(prefix.length, -EXTENSION.length)) || stat.mtimeMs,
+                updated_at: stat.mtimeMs,
+                active: active.get(session_id)?.name === name,
+            })
+        } catch {
+            // ignore: removed while listing
+        }
+    }
+    return recordings.sort((a, b) => b.started_at - a.started_at)
+}
+
+// Path of one of the session's recordings, or null if `name` isn't one.
+export function get_recording_path(session_id, name) {
+    if (!record_dir || typeof name !== 'string' || path.basename(name) !== name) return null
+    if (!name.startsWith(file_prefix(session_id)) || !name.endsWith(EXTENSION)) return null
+    return path.join(record_dir, name)
+}
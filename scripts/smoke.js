@@ -0,0 +1,164 @@
+// End to end smoke test, no display server needed: starts the server and a host on the test-pattern capture
+// backend with the mock input driver, waits for frames, sends a few control events as the host and checks
+// what the mock driver wrote to its JSONL log.
+//
+//   npm run smoke
+//
+// Exits 0 when everything arrived as expected, 1 otherwise (with both processes' output).
+
+import crypto from 'node:crypto'
+import { spawn } from 'node:child_process'
+import net from 'node:net'
+import os from 'node:os'
+import path from 'node:path'
+import { promises as fs } from 'node:fs'
+import { fileURLToPath } from 'node:url'
+
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)))
+const timeout_ms = Number(process.env.SMOKE_TIMEOUT_MS ?? 30_000)
+const [width, height] = [640, 360] // test pattern size
+
+function free_port() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer()
+        probe.once('error', reject)
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address()
+            probe.close(() => resolve(port))
+        })
+    })
+}
+
+function start(name, script, env) {
+    const child = spawn(process.execPath, [path.join(root, script)], {
+        cwd: root,
+        env: { ...process.env, ...env },
+        stdio: ['ignore', 'pipe', 'pipe'],
+    })
+    child.output = ''
+    child.stdout.on('data', (chunk) => { child.output += chunk })
+    child.stderr.on('data', (chunk) => { child.output += chunk })
+    child.label = name
+    return child
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Polls `check` until it returns something truthy, or throws `what` after the deadline.
+async function wait_for(what, check, deadline) {
+    while (Date.now() < deadline) {
+        const result = await check().catch(() => null)
+        if (result) return result
+        await sleep(200)
+    }
+    throw new Error(`timed out waiting for ${what}`)
+}
+
+async function read_log(log_file) {
+    const text = await fs.readFile(log_file, 'utf8').catch(() => '')
+    return text.split('\n').filter(Boolean).map((line) => JSON.parse(line))
+}
+
+async function main() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sailaway-smoke-'))
+    const port = await free_port()
+    const server = `http://127.0.0.1:${port}`
+    const session_id = `smoke-${crypto.randomBytes(4).toString('hex')}`
+    const secret = crypto.randomBytes(24).toString('base64url')
+    const log_file = path.join(dir, 'input.jsonl')
+    const deadline = Date.now() + timeout_ms
+
+    const children = [
+        start('server', 'index.js', { PORT: String(port), SAILAWAY_CLAIMS_FILE: path.join(dir, 'host_claims.json') }),
+        start('client', 'client.js', {
+            HOME: dir,
+            SAILAWAY_SERVER: server,
+            SAILAWAY_SESSION_ID: session_id,
+            SAILAWAY_HOST_SECRET: secret,
+            SAILAWAY_CAPTURE_BACKEND: 'test',
+            SAILAWAY_TEST_PATTERN_SIZE: `${width}x${height}`,
+            SAILAWAY_INPUT: 'mock',
+            SAILAWAY_INPUT_LOG: log_file,
+            SAILAWAY_WEBRTC: '0',
+        }),
+    ]
+
+    const api = `${server}/api/session/${encodeURIComponent(session_id)}`
+    const headers = { 'Authorization': `Bearer ${secret}`, 'Content-Type': 'application/json' }
+    const post_controls = async (control) => {
+        const res = await fetch(`${api}/controls`, { method: 'POST', headers, body: JSON.stringify(control) })
+        if (!res.ok) throw new Error(`POST /controls: ${res.status}`)
+    }
+
+    try {
+        await wait_for('the host to come online', async () => {
+            const res = await fetch(`${server}/api/sessions?ids=${encodeURIComponent(session_id)}`)
+            return (await res.json()).sessions?.[0]?.online
+        }, deadline)
+        console.log('[smoke] host online')
+
+        // Frames only flow once someone asks for them.
+        await post_controls({ wake: 'smoke', wake_tick: 1 })
+        await wait_for('a frame', async () => {
+            const controller = new AbortController()
+            const res = await fetch(`${api}/stream`, { headers, signal: controller.signal })
+            const reader = res.body.getReader()
+            let seen = ''
+            while (!seen.includes('Content-Type: image/')) {
+                const { value, done } = await reader.read()
+                if (done) break
+                seen += Buffer.from(value).toString('latin1')
+            }
+            controller.abort()
+            return seen.includes('Content-Type: image/')
+        }, deadline)
+        console.log('[smoke] frames flowing')
+
+        const mouse = (x, y, buttons) => ({ mouse: { x, y, buttons, wheel: { y: 0 } }, keys: [] })
+        await post_controls(mouse(0.25, 0.5, 1))
+        await post_controls(mouse(0.25, 0.5, 0))
+        await post_controls(mouse(0.75, 0.5, 2))
+        await post_controls(mouse(0.75, 0.5, 0))
+        await post_controls({ ...mouse(0.75, 0.5, 0), keys: [65] })
+        await post_controls({ ...mouse(0.75, 0.5, 0), keys: [], text: 'hi' })
+
+        const expected = [
+            { type: 'mousemove', x: Math.round(0.25 * (width - 1)), y: Math.round(0.5 * (height - 1)) },
+            { type: 'mousedown', button: 1 },
+            { type: 'mouseup', button: 1 },
+            { type: 'mousemove', x: Math.round(0.75 * (width - 1)), y: Math.round(0.5 * (height - 1)) },
+            { type: 'mousedown', button: 3 },
+            { type: 'mouseup', button: 3 },
+            { type: 'keydown', vk: 65 },
+            { type: 'keyup', vk: 65 },
+            { type: 'text', text: 'hi' },
+        ]
+        const matches = (event, want) => Object.entries(want).every(([key, value]) => event[key] === value)
+        const events = await wait_for('the mock input log', async () => {
+            const events = await read_log(log_file)
+            return events.length >= expected.length ? events : null
+        }, deadline).catch(async (err) => {
+            console.error(`[smoke] input log: ${JSON.stringify(await read_log(log_file))}`)
+            throw err
+        })
+        const mismatch = expected.findIndex((want, i) => !events[i] || !matches(events[i], want))
+        if (mismatch !== -1) {
+            throw new Error(`input event ${mismatch}: expected ${JSON.stringify(expected[mismatch])}, got ${JSON.stringify(events[mismatch])}`)
+        }
+        console.log(`[smoke] ${events.length} input events recorded as expected`)
+    } catch (err) {
+        for (const child of children) console.error(`----- ${child.label} -----\n${child.output}`)
+        throw err
+    } finally {
+        for (const child of children) child.kill()
+        await fs.rm(dir, { recursive: true, force: true })
+    }
+}
+
+main().then(() => {
+    console.log('[smoke] ok')
+    process.exit(0)
+}, (err) => {
+    console.error(`[smoke] failed: ${err?.message ?? err}`)
+    process.exit(1)
+})
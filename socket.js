@@ -0,0 +1,248 @@
+import { WebSocketServer } from 'ws'
+
+import {
+    post_image, post_controls, get_controls_after, ack_controls, post_viewer_stats, get_keyframe, set_cursor, get_cursor,
+    session_events, is_host, get_viewer, can_watch, touch_participant, share_wake, is_share_valid, touch_host,
+    start_video, post_video, end_video, set_watching, get_wanted, post_signal, take_signals,
+} from './engine.js'
+import { get_request_token } from './api.js'
+
+// Skip frames for viewers whose socket still has this much unsent data.
+const MAX_BUFFERED_BYTES = 4 * 1024 * 1024
+
+const SOCKET_PATH = /^\/api\/session\/([^/?]+)\/ws(?:\?.*)?$/
+
+function send_json(ws, data) {
+    if (ws.readyState !== ws.OPEN) return
+    ws.send(JSON.stringify(data))
+}
+
+function send_frame(ws, blob) {
+    if (!blob || ws.readyState !== ws.OPEN) return false
+    if (ws.bufferedAmount > MAX_BUFFERED_BYTES) return false
+    ws.send(blob, { binary: true })
+    return true
+}
+
+// Host role: uploads binary frames (each one acked) and pointer updates ({ type: 'cursor', cursor }), receives
+// control events, viewer stats, pasted clipboard text and clipboard requests, file transfer updates, which streams viewers watch
+// ({ type: 'wanted', wanted: { images, video } }, also sent on connect). WebRTC signals go both ways:
+// `{ type: 'signal', to, signal }` up, `{ type: 'signals', signals }` down.
+// Control events start flowing once the host sent `{ type: 'resume', after: <seq> }`; it acknowledges applied
+// ones with `{ type: 'ack', seq }`.
+function handle_host(ws, session_id) {
+    let resumed = false
+    const on_controls = (control) => {
+        if (resumed) send_json(ws, { type: 'controls', controls: [control] })
+    }
+    const on_stats = (stats) => send_json(ws, { type: 'stats', stats })
+    const on_clipboard = (clipboard) => send_json(ws, { type: 'clipboard', clipboard })
+    const on_files = (transfer) => send_json(ws, { type: 'files', transfer })
+    const on_wanted = (wanted) => send_json(ws, { type: 'wanted', wanted })
+    const on_signal = (viewer_id) => {
+        if (viewer_id != null) return
+        const signals = take_signals(session_id, null)
+        if (signals.length) send_json(ws, { type: 'signals', signals })
+    }
+    session_events.on(`controls:${session_id}`, on_controls)
+    session_events.on(`stats:${session_id}`, on_stats)
+    session_events.on(`clipboard:${session_id}`, on_clipboard)
+    session_events.on(`files:${session_id}`, on_files)
+    session_events.on(`wanted:${session_id}`, on_wanted)
+    session_events.on(`signal:${session_id}`, on_signal)
+    on_wanted(get_wanted(session_id))
+    on_signal(null)
+
+    touch_host(session_id)
+    ws.on('message', (data, isBinary) => {
+        touch_host(session_id)
+        if (isBinary) {
+            post_image(session_id, Buffer.from(data))
+            send_json(ws, { type: 'frame_ack' })
+            return
+        }
+        let message
+        try {
+            message = JSON.parse(String(data))
+        } catch {
+            return
+        }
+        if (message?.type === 'resume') {
+            // Catch the host up from its cursor (wake packets included), live events follow.
+            send_json(ws, { type: 'controls', ...get_controls_after(session_id, message.after) })
+            resumed = true
+        } else if (message?.type === 'ack') {
+            ack_controls(session_id, message.seq)
+        } else if (message?.type === 'cursor') {
+            set_cursor(session_id, message.cursor)
+        } else if (message?.type === 'signal') {
+            post_signal(session_id, null, message.to, message.signal)
+        }
+    })
+
+    ws.on('close', () => {
+        session_events.off(`controls:${session_id}`, on_controls)
+        session_events.off(`stats:${session_id}`, on_stats)
+        session_events.off(`clipboard:${session_id}`, on_clipboard)
+        session_events.off(`files:${session_id}`, on_files)
+        session_events.off(`wanted:${session_id}`, on_wanted)
+        session_events.off(`signal:${session_id}`, on_signal)
+    })
+}
+
+// Video role (host only): one encoded video per connection. The first message is `{ type: 'start', mime }`,
+// then binary messages carry the container bytes as the encoder writes them. Closing ends the video.
+function handle_video_host(ws, session_id) {
+    let generation = null
+    ws.on('message', (data, isBinary) => {
+        touch_host(session_id)
+        if (!isBinary) {
+            let message
+            try {
+                message = JSON.parse(String(data))
+            } catch {
+                return
+            }
+            if (message?.type === 'start' && generation == null) {
+                generation = start_video(session_id, message.mime)
+                if (generation == null) ws.close(1003, 'Unsupported video type')
+            }
+            return
+        }
+        if (generation == null) return
+        if (!post_video(session_id, generation, Buffer.from(data))) ws.close(1007, 'Invalid video stream')
+    })
+    ws.on('close', () => {
+        if (generation != null) end_video(session_id, generation)
+    })
+}
+
+// Viewer role: sends control events (input only counts while it holds the baton), receives binary frames and the
+// host's pointer ({ type: 'cursor', cursor }) once the host approved it.
+// A viewer playing the video stream sends `{ type: 'images', wanted: false }` to stop frames (true resumes them).
+// `viewer` is null when the host itself connects as a viewer.
+function handle_viewer(ws, session_id, viewer) {
+    // Tile deltas only make sense on top of what the viewer already has: after a skipped
+    // update (or before the first one), resync with the server's composed keyframe instead.
+    let needs_keyframe = true
+    let wants_images = true
+    const on_image = (blob) => {
+        if (!wants_images || !can_watch(session_id, viewer)) {
+            needs_keyframe = true
+            return
+        }
+        const frame = needs_keyframe ? get_keyframe(session_id) : blob
+        needs_keyframe = !send_frame(ws, frame)
+    }
+    session_events.on(`image:${session_id}`, on_image)
+    const on_cursor = (cursor) => {
+        if (cursor && can_watch(session_id, viewer)) send_json(ws, { type: 'cursor', cursor })
+    }
+    session_events.on(`cursor:${session_id}`, on_cursor)
+    // Approved while waiting: the screen may not change for a while, send the current frame.
+    const on_approval = ({ viewer_id, status }) => {
+        if (viewer_id === viewer?.viewer_id && status === 'approved') on_image(null)
+    }
+    session_events.on(`approval:${session_id}`, on_approval)
+
+    touch_participant(session_id, viewer)
+    set_watching(session_id, 'images', ws, true)
+    on_image(null)
+    on_cursor(get_cursor(session_id))
+
+    // Share-link viewers can't send wake packets: keep the host capturing while they watch.
+    let wake_timer = null
+    if (viewer?.view_only) {
+        share_wake(session_id)
+        wake_timer = setInterval(() => {
+            if (!is_share_valid(session_id, viewer.share_id)) {
+                ws.close(1008, 'Share link revoked')
+                return
+            }
+            touch_participant(session_id, viewer)
+            share_wake(session_id)
+        }, 5_000)
+    }
+
+    ws.on('message', (data, isBinary) => {
+        touch_participant(session_id, viewer)
+        if (isBinary) return
+        let message
+        try {
+            message = JSON.parse(String(data))
+        } catch {
+            return
+        }
+        if (message?.type === 'controls' && message.controls && typeof message.controls === 'object') {
+            const controls = message.controls
+            controls.time = Date.now()
+            controls.viewer = viewer
+            post_controls(session_id, controls)
+        } else if (message?.type === 'stats') {
+            post_viewer_stats(session_id, viewer, message.stats)
+        } else if (message?.type === 'images') {
+            wants_images = message.wanted !== false
+            set_watching(session_id, 'images', ws, wants_images)
+            if (wants_images) on_image(null)
+        }
+    })
+
+    ws.on('close', () => {
+        set_watching(session_id, 'images', ws, false)
+        clearInterval(wake_timer)
+        session_events.off(`image:${session_id}`, on_image)
+        session_events.off(`cursor:${session_id}`, on_cursor)
+        session_events.off(`approval:${session_id}`, on_approval)
+    })
+}
+
+export default function generate_socket(http_server) {
+
+    const wss = new WebSocketServer({ noServer: true })
+
+    // WS to /api/session/:session_id/ws?role=host|viewer|video
+    http_server.on('upgrade', (req, socket, head) => {
+        const match = SOCKET_PATH.exec(req.url ?? '')
+        if (!match) {
+            socket.destroy()
+            return
+        }
+        let session_id
+        try {
+            session_id = decodeURIComponent(match[1])
+        } catch {
+            socket.write('HTTP/1.1 400 Bad Request\r\n\r\n')
+            socket.destroy()
+            return
+        }
+        const role = new URL(req.url, 'http://localhost').searchParams.get('role')
+        if (role !== 'host' && role !== 'viewer' && role !== 'video') {
+            socket.write('HTTP/1.1 400 Bad Request\r\n\r\n')
+            socket.destroy()
+            return
+        }
+
+        const token = get_request_token(req)
+        const viewer = role === 'viewer' ? get_viewer(session_id, token) : null
+        const allowed = viewer != null || is_host(session_id, token)
+        if (!allowed) {
+            socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n')
+            socket.destroy()
+            return
+        }
+
+        wss.handleUpgrade(req, socket, head, (ws) => {
+            // Forgotten session: drop the connection at once, so late messages can't recreate it.
+            const on_forget = () => ws.terminate()
+            session_events.once(`forget:${session_id}`, on_forget)
+            ws.on('close', () => session_events.off(`forget:${session_id}`, on_forget))
+
+            if (role === 'host') handle_host(ws, session_id)
+            else if (role === 'video') handle_video_host(ws, session_id)
+            else handle_viewer(ws, session_id, viewer)
+        })
+    })
+
+    return wss
+
+}
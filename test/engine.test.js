@@ -0,0 +1,71 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+// The engine reads its settings once, on import.
+process.env.SAILAWAY_CONTROLS_MAX = '5'
+process.env.SAILAWAY_CLAIMS_FILE = ''
+process.env.SAILAWAY_RECORD_DIR = ''
+const { post_controls, get_controls_after, ack_controls } = await import('../engine.js')
+
+// Host-sent events: no viewer, so no baton involved.
+function post(session_id, count) {
+    for (let i = 0; i < count; i++) post_controls(session_id, { keys: [], time: Date.now() })
+}
+
+const seqs = ({ controls }) => controls.map(c => c.seq)
+
+test('the host resumes after what it acked, without a gap', () => {
+    post('queue/resume', 3)
+    const first = get_controls_after('queue/resume', 0)
+    assert.deepEqual(seqs(first), [1, 2, 3])
+    assert.equal(first.last_seq, 3)
+    assert.equal(first.gap, false)
+
+    ack_controls('queue/resume', 2)
+    post('queue/resume', 2)
+    const resumed = get_controls_after('queue/resume', 2)
+    assert.deepEqual(seqs(resumed), [3, 4, 5])
+    assert.equal(resumed.last_seq, 5)
+    assert.equal(resumed.gap, false)
+
+    ack_controls('queue/resume', 5)
+    assert.deepEqual(get_controls_after('queue/resume', 5), { controls: [], last_seq: 5, gap: false })
+})
+
+test('events dropped from a full queue show up as a gap', () => {
+    post('queue/overflow', 8)
+    // Only the newest SAILAWAY_CONTROLS_MAX are kept; 1 to 3 were never acked.
+    const behind = get_controls_after('queue/overflow', 0)
+    assert.deepEqual(seqs(behind), [4, 5, 6, 7, 8])
+    assert.equal(behind.last_seq, 8)
+    assert.equal(behind.gap, true)
+    assert.equal(get_controls_after('queue/overflow', 2).gap, true)
+
+    // A host that had applied the dropped ones missed nothing.
+    const caught_up = get_controls_after('queue/overflow', 3)
+    assert.deepEqual(seqs(caught_up), [4, 5, 6, 7, 8])
+    assert.equal(caught_up.gap, false)
+
+    ack_controls('queue/overflow', 8)
+    post('queue/overflow', 1)
+    const next = get_controls_after('queue/overflow', 8)
+    assert.deepEqual(seqs(next), [9])
+    assert.equal(next.gap, false)
+})
+
+test('a cursor past the last seq means the server restarted: everything queued, as a gap', () => {
+    post('queue/restart', 2)
+    const restarted = get_controls_after('queue/restart', 40)
+    assert.deepEqual(seqs(restarted), [1, 2])
+    assert.equal(restarted.last_seq, 2)
+    assert.equal(restarted.gap, true)
+})
+
+test('an ack past the last seq keeps the queue', () => {
+    post('queue/stale-ack', 3)
+    ack_controls('queue/stale-ack', 40)
+    assert.deepEqual(seqs(get_controls_after('queue/stale-ack', 0)), [1, 2, 3])
+
+    ack_controls('queue/stale-ack', 'not a seq')
+    assert.deepEqual(seqs(get_controls_after('queue/stale-ack', 0)), [1, 2, 3])
+})
@@ -0,0 +1,32 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { parse_macro, DEFAULT_MACROS } from '../front/key_system.js'
+
+const press = (...keys) => [...keys.map((key) => ({ key, down: true })), ...keys.reverse().map((key) => ({ key, down: false }))]
+
+test('a chord presses its keys in order and releases them in reverse', () => {
+    assert.deepEqual(parse_macro('Ctrl+Alt+Delete'), press(17, 18, 46))
+})
+
+test('chords follow one another', () => {
+    assert.deepEqual(parse_macro('  Win+R   Enter '), [...press(91, 82), ...press(13)])
+})
+
+test('key names are case-insensitive, with aliases, letters, digits and F-keys', () => {
+    assert.deepEqual(parse_macro('ESC'), parse_macro('escape'))
+    assert.deepEqual(parse_macro('cmd+a'), press(91, 65))
+    assert.deepEqual(parse_macro('Shift+7'), press(16, 55))
+    assert.deepEqual(parse_macro('F1 F12 F24'), [...press(112), ...press(123), ...press(135)])
+})
+
+test('unknown keys and empty macros throw', () => {
+    assert.throws(() => parse_macro('Ctrl+Hyper'), /Unknown key "Hyper" in "Ctrl\+Hyper"/)
+    assert.throws(() => parse_macro('F25'), /Unknown key "F25"/)
+    assert.throws(() => parse_macro('Ctrl+'), /Unknown key ""/)
+    assert.throws(() => parse_macro('   '), /Empty macro/)
+})
+
+test('the default macros all parse', () => {
+    for (const macro of DEFAULT_MACROS) assert.ok(parse_macro(macro).length)
+})
@@ -0,0 +1,83 @@
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import os from 'node:os'
+import path from 'node:path'
+import { promises as fs } from 'node:fs'
+
+// The recorder reads its settings once, on import.
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sailaway-recorder-'))
+process.env.SAILAWAY_RECORD_DIR = dir
+process.env.SAILAWAY_RECORD_IDLE_MS = '50'
+const { record_frame, record_controls, list_recordings, get_recording_path, RECORD_KIND_FRAME, RECORD_KIND_CONTROLS } =
+    await import('../recorder.js')
+
+after(() => fs.rm(dir, { recursive: true, force: true }))
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// { meta, records: [{ kind, time, data }] }, see the layout at the top of recorder.js.
+function parse_recording(buf) {
+    assert.equal(buf.toString('ascii', 0, 4), 'SAR1')
+    const meta_length = buf.readUInt32BE(4)
+    const meta = JSON.parse(buf.toString('utf8', 8, 8 + meta_length))
+    const records = []
+    let offset = 8 + meta_length
+    while (offset < buf.length) {
+        const length = buf.readUInt32BE(offset + 9)
+        records.push({
+            kind: buf.readUInt8(offset),
+            time: buf.readDoubleBE(offset + 1),
+            data: buf.subarray(offset + 13, offset + 13 + length),
+        })
+        offset += 13 + length
+    }
+    assert.equal(offset, buf.length)
+    return { meta, records }
+}
+
+test('a run starts with a keyframe, then every frame and control event in order', async () => {
+    const started = Date.now()
+    const keyframe = Buffer.from('full screen')
+    const get_keyframe = () => keyframe
+    const control = { seq: 1, time: started, mouse: { x: 0.5, y: 0.5, buttons: 0 }, keys: [65] }
+
+    record_frame('rec/1', Buffer.from('first frame'), get_keyframe)
+    record_controls('rec/1', control, get_keyframe)
+    record_frame('rec/1', Buffer.from('second frame'), get_keyframe)
+
+    // The run ends once idle; wait for the file to be closed.
+    await sleep(300)
+    const [recording, ...others] = await list_recordings('rec/1')
+    assert.equal(others.length, 0)
+    assert.equal(recording.active, false)
+    const { meta, records } = parse_recording(await fs.readFile(get_recording_path('rec/1', recording.name)))
+    assert.equal(meta.session_id, 'rec/1')
+    assert.ok(meta.started_at >= started)
+    // The frame that opened the file is part of the keyframe, not recorded twice.
+    assert.deepEqual(records.map(({ kind, data }) => [kind, data.toString()]), [
+        [RECORD_KIND_FRAME, 'full screen'],
+        [RECORD_KIND_CONTROLS, JSON.stringify(control)],
+        [RECORD_KIND_FRAME, 'second frame'],
+    ])
+    for (const record of records) assert.ok(record.time >= started && record.time <= Date.now())
+})
+
+test('the next event after an idle run starts a new file', async () => {
+    record_controls('rec/2', { seq: 1 })
+    await sleep(300)
+    record_controls('rec/2', { seq: 2 })
+    await sleep(300)
+    const recordings = await list_recordings('rec/2')
+    assert.equal(recordings.length, 2)
+    const [newest, oldest] = await Promise.all(recordings.map(async ({ name }) =>
+        parse_recording(await fs.readFile(get_recording_path('rec/2', name)))))
+    assert.deepEqual(oldest.records.map(({ data }) => JSON.parse(data).seq), [1])
+    assert.deepEqual(newest.records.map(({ data }) => JSON.parse(data).seq), [2])
+})
+
+test('recordings are only reachable through their own session', async () => {
+    const [{ name }] = await list_recordings('rec/1')
+    assert.equal(get_recording_path('rec/2', name), null)
+    assert.equal(get_recording_path('rec/1', `../${name}`), null)
+    assert.deepEqual(await list_recordings('rec'), [])
+})
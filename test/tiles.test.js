@@ -0,0 +1,41 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { encode_tile_packet, decode_tile_packet, is_tile_packet } from '../tiles.js'
+
+const tiles = [
+    { x: 0, y: 0, width: 640, height: 360, data: Buffer.from('base image') },
+    { x: 64, y: 128, width: 32, height: 16, data: Buffer.from([1, 2, 3]) },
+    { x: 608, y: 344, width: 32, height: 16, data: Buffer.alloc(0) },
+]
+
+test('a tile packet decodes to what was encoded', () => {
+    for (const keyframe of [true, false]) {
+        const packet = encode_tile_packet({ width: 640, height: 360, keyframe, tiles })
+        assert.ok(is_tile_packet(packet))
+        const decoded = decode_tile_packet(packet)
+        assert.equal(decoded.width, 640)
+        assert.equal(decoded.height, 360)
+        assert.equal(decoded.keyframe, keyframe)
+        assert.deepEqual(decoded.tiles.map(({ data, ...rest }) => ({ ...rest, data: Buffer.from(data) })), tiles)
+    }
+})
+
+test('a packet without tiles is valid', () => {
+    const decoded = decode_tile_packet(encode_tile_packet({ width: 1, height: 1, keyframe: false, tiles: [] }))
+    assert.deepEqual(decoded, { width: 1, height: 1, keyframe: false, tiles: [] })
+})
+
+test('anything else is not a tile packet', () => {
+    assert.equal(is_tile_packet(null), false)
+    assert.equal(is_tile_packet(Buffer.from('SAT1')), false)
+    assert.equal(is_tile_packet(Buffer.from('\xff\xd8\xff\xe0 some jpeg bytes', 'latin1')), false)
+    assert.throws(() => decode_tile_packet(Buffer.from('not a tile packet')), /Not a tile packet/)
+})
+
+test('a truncated packet throws', () => {
+    const packet = encode_tile_packet({ width: 640, height: 360, keyframe: true, tiles })
+    for (const length of [packet.length - 1, 11 + 12 + 4, 11 + 5]) {
+        assert.throws(() => decode_tile_packet(packet.subarray(0, length)), /Truncated tile packet/)
+    }
+})
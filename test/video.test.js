@@ -0,0 +1,131 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { create_video_splitter, video_container } from '../video.js'
+
+//#region ----------------------------------------------------------------------- MP4
+
+function box(type, ...parts) {
+    const body = Buffer.concat(parts)
+    const header = Buffer.alloc(8)
+    header.writeUInt32BE(8 + body.length, 0)
+    header.write(type, 4, 'latin1')
+    return Buffer.concat([header, body])
+}
+
+function u32(...values) {
+    const buf = Buffer.alloc(4 * values.length)
+    values.forEach((value, i) => buf.writeUInt32BE(value, 4 * i))
+    return buf
+}
+
+const NON_SYNC = 0x10000
+
+// trex: version/flags, track_ID, default sample description index, duration, size, flags.
+const mp4_init = (default_flags) => Buffer.concat([
+    box('ftyp', Buffer.from('iso5'), u32(0)),
+    box('moov', box('mvhd', Buffer.alloc(100)), box('mvex', box('trex', u32(0, 1, 1, 0, 0, default_flags)))),
+])
+
+// A fragment whose trun gives the first sample's flags, or leaves them to the trex defaults.
+const mp4_fragment = (first_sample_flags) => Buffer.concat([
+    box('moof',
+        box('mfhd', u32(0, 1)),
+        box('traf',
+            box('tfhd', u32(0, 1)),
+            first_sample_flags == null ? box('trun', u32(0, 1)) : box('trun', u32(0x4, 1, first_sample_flags)),
+        ),
+    ),
+    box('mdat', Buffer.from('sample data')),
+])
+
+test('fMP4 splits into the init segment and one segment per fragment', () => {
+    const init = mp4_init(NON_SYNC)
+    const key = mp4_fragment(0)
+    const delta = mp4_fragment(null)
+    const splitter = create_video_splitter('video/mp4; codecs="avc1.42E028"')
+    assert.deepEqual(splitter.push(Buffer.concat([init, key, delta])), [
+        { init: true, data: init },
+        { init: false, data: key, keyframe: true },
+        { init: false, data: delta, keyframe: false },
+    ])
+})
+
+test('fMP4 segments come out whole however the stream is chunked', () => {
+    const stream = Buffer.concat([mp4_init(0), mp4_fragment(null), box('styp', Buffer.from('msdh')), mp4_fragment(NON_SYNC)])
+    const splitter = create_video_splitter('video/mp4')
+    const segments = []
+    for (let offset = 0; offset < stream.length; offset += 7) {
+        segments.push(...splitter.push(stream.subarray(offset, offset + 7)))
+    }
+    assert.deepEqual(segments.map(({ init, keyframe }) => ({ init, keyframe })), [
+        { init: true, keyframe: undefined },
+        { init: false, keyframe: true },
+        { init: false, keyframe: false },
+    ])
+    // The styp in front of a fragment belongs to it.
+    assert.equal(segments[2].data.toString('latin1', 4, 8), 'styp')
+    assert.deepEqual(Buffer.concat(segments.map((segment) => segment.data)), stream)
+})
+
+test('a malformed fMP4 box throws', () => {
+    const bad = Buffer.from(box('ftyp', Buffer.alloc(4)))
+    bad.writeUInt32BE(4, 0)
+    assert.throws(() => create_video_splitter('video/mp4').push(bad), /Invalid ftyp box size/)
+})
+
+//#region ----------------------------------------------------------------------- WEBM
+
+// Sizes as 2-byte EBML integers; the Segment gets the "unknown" size a pipe writer uses.
+function element(id, ...parts) {
+    const body = Buffer.concat(parts)
+    const size = Buffer.alloc(2)
+    size.writeUInt16BE(0x4000 | body.length)
+    return Buffer.concat([Buffer.from(id), size, body])
+}
+
+const SEGMENT_UNKNOWN = Buffer.from([0x18, 0x53, 0x80, 0x67, 0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff])
+
+const webm_header = Buffer.concat([
+    element([0x1a, 0x45, 0xdf, 0xa3], element([0x42, 0x82], Buffer.from('webm'))),
+    SEGMENT_UNKNOWN,
+    element([0x15, 0x49, 0xa9, 0x66], element([0x2a, 0xd7, 0xb1], Buffer.from([0x0f, 0x42, 0x40]))),
+    element([0x16, 0x54, 0xae, 0x6b], element([0xae], element([0xd7], Buffer.from([1])))),
+])
+
+// Cluster: Timecode, then one SimpleBlock (track 1, timecode 0, flags).
+const webm_cluster = (keyframe) => element([0x1f, 0x43, 0xb6, 0x75],
+    element([0xe7], Buffer.from([0])),
+    element([0xa3], Buffer.from([0x81, 0, 0, keyframe ? 0x80 : 0]), Buffer.from('frame data')),
+)
+
+test('WebM splits into the header and one segment per cluster', () => {
+    const key = webm_cluster(true)
+    const delta = webm_cluster(false)
+    const splitter = create_video_splitter('video/webm; codecs="vp8"')
+    assert.deepEqual(splitter.push(Buffer.concat([webm_header, key, delta])), [
+        { init: true, data: webm_header },
+        { init: false, data: key, keyframe: true },
+        { init: false, data: delta, keyframe: false },
+    ])
+})
+
+test('WebM clusters come out whole however the stream is chunked', () => {
+    const stream = Buffer.concat([webm_header, webm_cluster(true), webm_cluster(false)])
+    const splitter = create_video_splitter('video/webm')
+    const segments = []
+    for (const byte of stream) segments.push(...splitter.push(Buffer.from([byte])))
+    assert.deepEqual(segments.map(({ init, keyframe }) => ({ init, keyframe })), [
+        { init: true, keyframe: undefined },
+        { init: false, keyframe: true },
+        { init: false, keyframe: false },
+    ])
+    assert.deepEqual(Buffer.concat(segments.map((segment) => segment.data)), stream)
+})
+
+test('only mp4 and webm can be split', () => {
+    assert.equal(video_container('Video/MP4; codecs="avc1"'), 'video/mp4')
+    assert.equal(video_container('video/ogg'), null)
+    assert.equal(video_container(undefined), null)
+    assert.throws(() => create_video_splitter('video/ogg'), /Unsupported video type video\/ogg/)
+})
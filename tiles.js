@@ -0,0 +1,67 @@
+// Tile packets: a frame update made of independently encoded image tiles.
+//
+// Layout (big-endian):
+//   'SAT1' | u16 width | u16 height | u8 flags | u16 tile_count
+//   tile_count x ( u16 x | u16 y | u16 w | u16 h | u32 length | <length bytes of jpeg/webp/png> )
+//
+// `width`/`height` are the full frame size. With the KEYFRAME flag the receiver drops what it had
+// before painting the tiles; a tile covering the whole frame acts as the base image.
+
+const MAGIC = Buffer.from('SAT1', 'ascii')
+const HEADER_SIZE = 11
+const TILE_HEADER_SIZE = 12
+
+export const TILE_FLAG_KEYFRAME = 1
+
+export function is_tile_packet(buf) {
+    return !!buf && buf.length >= HEADER_SIZE && MAGIC.equals(buf.subarray(0, 4))
+}
+
+export function encode_tile_packet({ width, height, keyframe, tiles }) {
+    const size = HEADER_SIZE + tiles.reduce((sum, t) => sum + TILE_HEADER_SIZE + t.data.length, 0)
+    const buf = Buffer.allocUnsafe(size)
+    MAGIC.copy(buf, 0)
+    buf.writeUInt16BE(width, 4)
+    buf.writeUInt16BE(height, 6)
+    buf.writeUInt8(keyframe ? TILE_FLAG_KEYFRAME : 0, 8)
+    buf.writeUInt16BE(tiles.length, 9)
+
+    let offset = HEADER_SIZE
+    for (const tile of tiles) {
+        buf.writeUInt16BE(tile.x, offset)
+        buf.writeUInt16BE(tile.y, offset + 2)
+        buf.writeUInt16BE(tile.width, offset + 4)
+        buf.writeUInt16BE(tile.height, offset + 6)
+        buf.writeUInt32BE(tile.data.length, offset + 8)
+        offset += TILE_HEADER_SIZE
+        offset += tile.data.copy(buf, offset)
+    }
+    return buf
+}
+
+// Tile data are views into `buf`, not copies.
+export function decode_tile_packet(buf) {
+    if (!is_tile_packet(buf)) throw new Error('Not a tile packet')
+    const width = buf.readUInt16BE(4)
+    const height = buf.readUInt16BE(6)
+    const keyframe = (buf.readUInt8(8) & TILE_FLAG_KEYFRAME) !== 0
+    const count = buf.readUInt16BE(9)
+
+    const tiles = []
+    let offset = HEADER_SIZE
+    for (let i = 0; i < count; i++) {
+        if (offset + TILE_HEADER_SIZE > buf.length) throw new Error('Truncated tile packet')
+        const length = buf.readUInt32BE(offset + 8)
+        const start = offset + TILE_HEADER_SIZE
+        if (start + length > buf.length) throw new Error('Truncated tile packet')
+        tiles.push({
+            x: buf.readUInt16BE(offset),
+            y: buf.readUInt16BE(offset + 2),
+            width: buf.readUInt16BE(offset + 4),
+            height: buf.readUInt16BE(offset + 6),
+            data: buf.subarray(start, start + length),
+        })
+        offset = start + length
+    }
+    return { width, height, keyframe, tiles }
+}
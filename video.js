@@ -0,0 +1,249 @@
+// Live video from the host (see client.js VIDEO): the byte stream ffmpeg writes, split into what viewers need
+// to join mid-stream. Two containers are understood:
+//
+//   video/mp4   fragmented MP4. Init segment = every box before the first 'moof' (ftyp, moov);
+//               media segment = 'moof' + 'mdat' (plus any 'styp'/'sidx'/'prft' boxes in front of it).
+//   video/webm  WebM with an unknown-size Segment, as written to a pipe. Init segment = EBML header, Segment
+//               header and everything up to the first Cluster; media segment = one Cluster (known size).
+//
+// Each media segment says whether it starts with a keyframe, so a joining viewer can start decoding there.
+
+const MAX_PENDING_BYTES = 64 * 1024 * 1024 // one box/element larger than this means the stream is broken
+
+export const VIDEO_CONTAINERS = ['video/mp4', 'video/webm']
+
+// `video/mp4; codecs="avc1.42E028"` -> 'video/mp4'; null for containers we can't split.
+export function video_container(mime) {
+    const container = String(mime ?? '').split(';')[0].trim().toLowerCase()
+    return VIDEO_CONTAINERS.includes(container) ? container : null
+}
+
+// Returns { push(chunk) } where push() returns the segments completed by `chunk`, in order, as
+// { init: true, data } or { init: false, data, keyframe }. Throws on malformed input.
+export function create_video_splitter(mime) {
+    const container = video_container(mime)
+    if (!container) throw new Error(`Unsupported video type ${mime}`)
+    let pending = Buffer.alloc(0)
+    const state = container === 'video/mp4' ? mp4_state() : webm_state()
+
+    return {
+        push(chunk) {
+            pending = pending.length ? Buffer.concat([pending, chunk]) : Buffer.from(chunk)
+            const segments = []
+            let used
+            while ((used = state.next(pending, segments)) > 0) {
+                pending = pending.subarray(used)
+            }
+            if (pending.length > MAX_PENDING_BYTES) throw new Error('Video element too large')
+            return segments
+        },
+    }
+}
+
+//#region ----------------------------------------------------------------------- MP4
+
+// Sample flags bit 16: sample_is_non_sync_sample.
+const MP4_NON_SYNC = 0x10000
+
+function read_box(buffer, offset, end = buffer.length) {
+    if (offset + 8 > end) return null
+    let size = buffer.readUInt32BE(offset)
+    const type = buffer.toString('latin1', offset + 4, offset + 8)
+    let header = 8
+    if (size === 1) {
+        if (offset + 16 > end) return null
+        size = Number(buffer.readBigUInt64BE(offset + 8))
+        header = 16
+    } else if (size === 0) {
+        // "Until the end of the file": never the case for fragments streamed live.
+        throw new Error(`Unbounded ${type} box`)
+    }
+    if (size < header) throw new Error(`Invalid ${type} box size`)
+    return { type, start: offset, body: offset + header, end: offset + size }
+}
+
+function* child_boxes(buffer, box) {
+    let offset = box.body
+    while (offset < box.end) {
+        const child = read_box(buffer, offset, box.end)
+        if (!child || child.end > box.end) return
+        yield child
+        offset = child.end
+    }
+}
+
+function find_box(buffer, box, type) {
+    for (const child of child_boxes(buffer, box)) {
+        if (child.type === type) return child
+    }
+    return null
+}
+
+// Flags of the fragment's first sample (trun, then tfhd defaults, then the init segment's trex defaults).
+function mp4_first_sample_flags(moof, trex_flags) {
+    const traf = find_box(moof, { body: 8, end: moof.length }, 'traf')
+    if (!traf) return trex_flags
+    let flags = trex_flags
+    const tfhd = find_box(moof, traf, 'tfhd')
+    if (tfhd) {
+        const tf_flags = moof.readUInt32BE(tfhd.body) & 0xffffff
+        let offset = tfhd.body + 8
+        if (tf_flags & 0x1) offset += 8
+        if (tf_flags & 0x2) offset += 4
+        if (tf_flags & 0x8) offset += 4
+        if (tf_flags & 0x10) offset += 4
+        if (tf_flags & 0x20) flags = moof.readUInt32BE(offset)
+    }
+    const trun = find_box(moof, traf, 'trun')
+    if (trun) {
+        const tr_flags = moof.readUInt32BE(trun.body) & 0xffffff
+        let offset = trun.body + 8
+        if (tr_flags & 0x1) offset += 4
+        if (tr_flags & 0x4) return moof.readUInt32BE(offset)
+        if (tr_flags & 0x400) {
+            if (tr_flags & 0x100) offset += 4
+            if (tr_flags & 0x200) offset += 4
+            return moof.readUInt32BE(offset)
+        }
+    }
+    return flags
+}
+
+function mp4_state() {
+    let init = []
+    let init_done = false
+    let trex_flags = 0
+    let prefix = [] // boxes waiting for the next moof
+    let moof = null
+
+    return {
+        next(buffer, segments) {
+            const box = read_box(buffer, 0)
+            if (!box || box.end > buffer.length) return 0
+            const data = buffer.subarray(0, box.end)
+
+            if (!init_done && box.type !== 'moof') {
+                init.push(Buffer.from(data))
+                if (box.type === 'moov') {
+                    const mvex = find_box(data, { body: 8, end: data.length }, 'mvex')
+                    const trex = mvex && find_box(data, mvex, 'trex')
+                    if (trex) trex_flags = data.readUInt32BE(trex.body + 20)
+                }
+                return box.end
+            }
+            if (!init_done) {
+                init_done = true
+                segments.push({ init: true, data: Buffer.concat(init) })
+                init = []
+            }
+
+            if (box.type === 'moof') {
+                moof = Buffer.from(data)
+            } else if (box.type === 'mdat' && moof) {
+                const keyframe = (mp4_first_sample_flags(moof, trex_flags) & MP4_NON_SYNC) === 0
+                segments.push({ init: false, data: Buffer.concat([...prefix, moof, data]), keyframe })
+                prefix = []
+                moof = null
+            } else if (!moof) {
+                prefix.push(Buffer.from(data))
+            }
+            return box.end
+        },
+    }
+}
+
+//#region ----------------------------------------------------------------------- WEBM
+
+const EBML_SEGMENT = 0x18538067
+const EBML_CLUSTER = 0x1f43b675
+const EBML_SIMPLE_BLOCK = 0xa3
+const EBML_BLOCK_GROUP = 0xa0
+const EBML_REFERENCE_BLOCK = 0xfb
+
+// EBML variable-size integer at `offset`: { value, length }, with the length marker kept for ids
+// (`raw`) or stripped for sizes. value is -1 for an "unknown" size. null when incomplete.
+function read_vint(buffer, offset, raw = false) {
+    if (offset >= buffer.length) return null
+    const first = buffer[offset]
+    let length = 1
+    while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++
+    if (length > 8) throw new Error('Invalid EBML integer')
+    if (offset + length > buffer.length) return null
+    let value = raw ? first : first & (0xff >> length)
+    let all_ones = value === (0xff >> length)
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buffer[offset + i]
+        all_ones &&= buffer[offset + i] === 0xff
+    }
+    return { value: !raw && all_ones ? -1 : value, length }
+}
+
+function read_element(buffer, offset, end = buffer.length) {
+    const id = read_vint(buffer, offset, true)
+    if (!id) return null
+    const size = read_vint(buffer, offset + id.length)
+    if (!size) return null
+    const body = offset + id.length + size.length
+    if (body > end) return null
+    return { id: id.value, body, end: size.value < 0 ? -1 : body + size.value }
+}
+
+// A cluster starts with a keyframe when its first block is one.
+function webm_cluster_keyframe(cluster, element) {
+    let offset = element.body
+    while (offset < element.end) {
+        const child = read_element(cluster, offset, element.end)
+        if (!child || child.end < 0 || child.end > element.end) return false
+        if (child.id === EBML_SIMPLE_BLOCK) {
+            const track = read_vint(cluster, child.body)
+            // track number, 16-bit timecode, then flags (0x80 = keyframe)
+            return !!track && (cluster[child.body + track.length + 2] & 0x80) !== 0
+        }
+        if (child.id === EBML_BLOCK_GROUP) {
+            let inner = child.body
+            while (inner < child.end) {
+                const block_child = read_element(cluster, inner, child.end)
+                if (!block_child || block_child.end < 0) break
+                if (block_child.id === EBML_REFERENCE_BLOCK) return false
+                inner = block_child.end
+            }
+            return true
+        }
+        offset = child.end
+    }
+    return false
+}
+
+function webm_state() {
+    let init = []
+    let init_done = false
+
+    return {
+        next(buffer, segments) {
+            const element = read_element(buffer, 0)
+            if (!element) return 0
+
+            // The Segment is the container of everything else: keep its header, read its children in line.
+            if (element.id === EBML_SEGMENT) {
+                if (!init_done) init.push(Buffer.from(buffer.subarray(0, element.body)))
+                return element.body
+            }
+            if (element.end < 0) throw new Error('Unknown-size WebM element')
+            if (element.end > buffer.length) return 0
+            const data = buffer.subarray(0, element.end)
+
+            if (element.id !== EBML_CLUSTER) {
+                // Header elements go to the init segment; anything after the first cluster (cues, tags) is dropped.
+                if (!init_done) init.push(Buffer.from(data))
+                return element.end
+            }
+            if (!init_done) {
+                init_done = true
+                segments.push({ init: true, data: Buffer.concat(init) })
+                init = []
+            }
+            segments.push({ init: false, data: Buffer.from(data), keyframe: webm_cluster_keyframe(data, element) })
+            return element.end
+        },
+    }
+}